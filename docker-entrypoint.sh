@@ -6,10 +6,15 @@ until pg_isready -h "$POSTGRES_HOST" -p "$POSTGRES_PORT" -U "$(cat $POSTGRES_USE
   sleep 2
 done
 
-# Ejecutar migraciones
-echo "Ejecutando migraciones..."
-npm run migrate
+# Ejecutar migraciones (los servicios secundarios las omiten)
+if [ "$SKIP_MIGRATIONS" != "true" ]; then
+  echo "Ejecutando migraciones..."
+  npm run migrate
+fi
 
 # Mantener el contenedor activo sin bucle
 echo "🚀 Iniciando aplicación..."
+if [ "$#" -gt 0 ]; then
+  exec "$@"
+fi
 exec npm start
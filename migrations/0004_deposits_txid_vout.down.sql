@@ -0,0 +1,11 @@
+-- Vuelve a identificar los depósitos solo por txid. Falla (y no cambia nada)
+-- si alguna transacción tiene más de una salida registrada.
+ALTER TABLE failed_transactions DROP COLUMN vout;
+
+DROP INDEX deposits_txid_vout_key;
+ALTER TABLE deposits ADD CONSTRAINT deposits_txid_key UNIQUE (txid);
+
+ALTER TABLE deposits DROP COLUMN updated_at;
+ALTER TABLE deposits DROP COLUMN blocktime;
+ALTER TABLE deposits DROP COLUMN blockhash;
+ALTER TABLE deposits DROP COLUMN vout;
@@ -0,0 +1,15 @@
+-- La identidad de un depósito pasa a ser (txid, vout): una misma transacción
+-- puede pagar a varias de nuestras direcciones en salidas distintas.
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS vout INT;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS blockhash VARCHAR(64);
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS blocktime BIGINT;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Las filas existentes se registraron sin vout; se migran como salida 0.
+UPDATE deposits SET vout = 0 WHERE vout IS NULL;
+ALTER TABLE deposits ALTER COLUMN vout SET NOT NULL;
+
+ALTER TABLE deposits DROP CONSTRAINT IF EXISTS deposits_txid_key;
+CREATE UNIQUE INDEX IF NOT EXISTS deposits_txid_vout_key ON deposits (txid, vout);
+
+ALTER TABLE failed_transactions ADD COLUMN IF NOT EXISTS vout INT;
@@ -0,0 +1,10 @@
+-- Antes del ciclo de vida solo se guardaban depósitos acreditados: los
+-- pendientes, descartados o reorganizados se eliminan para que no cuenten
+-- como acreditados.
+DROP TABLE deposit_status_transitions;
+
+DELETE FROM deposits WHERE status <> 'credited';
+
+DROP INDEX deposits_status_idx;
+ALTER TABLE deposits DROP COLUMN last_execution_id;
+ALTER TABLE deposits DROP COLUMN status;
@@ -0,0 +1,20 @@
+-- Ciclo de vida de un depósito: pending -> credited, pending -> dropped.
+-- Las filas existentes se guardaron con el mínimo de confirmaciones, por lo
+-- que quedan como acreditadas.
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'credited';
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS last_execution_id UUID;
+
+UPDATE deposits SET last_execution_id = execution_id WHERE last_execution_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS deposits_status_idx ON deposits (status);
+
+CREATE TABLE IF NOT EXISTS deposit_status_transitions (
+  id SERIAL PRIMARY KEY,
+  deposit_id INT NOT NULL REFERENCES deposits (id) ON DELETE CASCADE,
+  from_status VARCHAR(16),
+  to_status VARCHAR(16) NOT NULL,
+  execution_id UUID NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS deposit_status_transitions_deposit_idx ON deposit_status_transitions (deposit_id);
@@ -0,0 +1,4 @@
+-- Los depósitos `reorged` conservan su estado: ninguna versión anterior los
+-- cuenta como acreditados.
+ALTER TABLE deposits DROP COLUMN reorg_detected_at;
+ALTER TABLE deposits DROP COLUMN blockindex;
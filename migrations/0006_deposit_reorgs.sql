@@ -0,0 +1,5 @@
+-- Metadatos de bloque por depósito para detectar reorganizaciones.
+-- Un depósito acreditado que reaparece en otro bloque, o con menos
+-- confirmaciones, pasa a `reorged` y deja de contarse como acreditado.
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS blockindex INT;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS reorg_detected_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,50 @@
+-- Registro de clientes y sus direcciones. Una dirección se atribuye a un
+-- cliente mientras su asignación está activa (active_from <= t < active_until).
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(128) NOT NULL UNIQUE,
+  deactivated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+  id SERIAL PRIMARY KEY,
+  customer_id INT NOT NULL REFERENCES customers (id),
+  address VARCHAR(128) NOT NULL,
+  active_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  active_until TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Una dirección solo puede tener una asignación activa a la vez.
+CREATE UNIQUE INDEX IF NOT EXISTS addresses_active_address_key
+  ON addresses (address) WHERE active_until IS NULL;
+CREATE INDEX IF NOT EXISTS addresses_customer_idx ON addresses (customer_id);
+
+-- Semilla con el mapa que antes estaba en src/config/index.js (KNOWN_ADDRESSES).
+-- Las asignaciones iniciales cubren todo el histórico de depósitos.
+INSERT INTO customers (name)
+VALUES
+  ('Wesley Crusher'),
+  ('Leonard McCoy'),
+  ('Jonathan Archer'),
+  ('Jadzia Dax'),
+  ('Montgomery Scott'),
+  ('James T. Kirk'),
+  ('Spock')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO addresses (customer_id, address, active_from)
+SELECT c.id, seed.address, TIMESTAMP WITH TIME ZONE '1970-01-01 00:00:00+00'
+FROM (
+  VALUES
+    ('Wesley Crusher', 'mvd6qFeVkqH6MNAS2Y2cLifbdaX5XUkbZJ'),
+    ('Leonard McCoy', 'mmFFG4jqAtw9MoCC88hw5FNfreQWuEHADp'),
+    ('Jonathan Archer', 'mzzg8fvHXydKs8j9D2a8t7KpSXpGgAnk4n'),
+    ('Jadzia Dax', '2N1SP7r92ZZJvYKG2oNtzPwYnzw62up7mTo'),
+    ('Montgomery Scott', 'mutrAf4usv3HKNdpLwVD4ow2oLArL6Rez8'),
+    ('James T. Kirk', 'miTHhiX3iFhVnAEecLjybxvV5g8mKYTtnM'),
+    ('Spock', 'mvcyJMiAcSXKAEsQxbW9TYZ369rsMG6rVV')
+) AS seed (name, address)
+JOIN customers c ON c.name = seed.name
+WHERE NOT EXISTS (SELECT 1 FROM addresses a WHERE a.address = seed.address);
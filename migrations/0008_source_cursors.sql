@@ -0,0 +1,6 @@
+-- Último bloque visto por cada fuente de transacciones (listsinceblock).
+CREATE TABLE IF NOT EXISTS source_cursors (
+  name VARCHAR(64) PRIMARY KEY,
+  last_block VARCHAR(64) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
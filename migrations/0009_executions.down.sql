@@ -0,0 +1,2 @@
+DROP TABLE execution_files;
+DROP TABLE executions;
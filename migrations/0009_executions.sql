@@ -0,0 +1,27 @@
+-- Seguimiento de ejecuciones: estado, inicio/fin, configuración usada y
+-- contadores. Los archivos de cada ejecución se registran con su checksum
+-- para poder reanudar una ejecución interrumpida sin repetirlos.
+CREATE TABLE IF NOT EXISTS executions (
+  id UUID PRIMARY KEY,
+  status VARCHAR(16) NOT NULL DEFAULT 'running', -- running, completed, failed
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  published_count INT NOT NULL DEFAULT 0,
+  confirmed_count INT NOT NULL DEFAULT 0,
+  credited_count INT NOT NULL DEFAULT 0,
+  pending_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS execution_files (
+  execution_id UUID NOT NULL REFERENCES executions (id) ON DELETE CASCADE,
+  origin VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  transaction_count INT NOT NULL,
+  published_count INT NOT NULL,
+  confirmed_count INT NOT NULL,
+  completed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (execution_id, origin)
+);
@@ -0,0 +1,11 @@
+-- Registro de archivos ingeridos desde el inbox, identificados por el
+-- SHA-256 de su contenido: la misma exportación nunca se procesa dos veces.
+CREATE TABLE IF NOT EXISTS ingested_files (
+  checksum CHAR(64) PRIMARY KEY,
+  filename VARCHAR(255) NOT NULL,
+  status VARCHAR(16) NOT NULL, -- processed, rejected
+  error TEXT,
+  transaction_count INT,
+  execution_id UUID,
+  ingested_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+DROP INDEX failed_transactions_reason_code_idx;
+
+ALTER TABLE failed_transactions DROP COLUMN policy_version;
+ALTER TABLE failed_transactions DROP COLUMN rule;
+ALTER TABLE failed_transactions DROP COLUMN reason_code;
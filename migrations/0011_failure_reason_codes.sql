@@ -0,0 +1,17 @@
+-- Código estable del motivo de rechazo, regla que falló y versión de la
+-- política de validación con la que se evaluó la transacción.
+ALTER TABLE failed_transactions ADD COLUMN IF NOT EXISTS reason_code VARCHAR(32);
+ALTER TABLE failed_transactions ADD COLUMN IF NOT EXISTS rule VARCHAR(64);
+ALTER TABLE failed_transactions ADD COLUMN IF NOT EXISTS policy_version VARCHAR(32);
+
+-- Las filas anteriores a la política solo tienen el texto del motivo.
+UPDATE failed_transactions
+SET reason_code = CASE reason
+  WHEN 'Categoría inválida' THEN 'CATEGORY_NOT_ALLOWED'
+  WHEN 'Monto negativo o cero' THEN 'AMOUNT_BELOW_MIN'
+  ELSE 'INVALID_FIELD'
+END
+WHERE reason_code IS NULL;
+
+CREATE INDEX IF NOT EXISTS failed_transactions_reason_code_idx
+  ON failed_transactions (reason_code);
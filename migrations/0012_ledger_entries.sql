@@ -0,0 +1,41 @@
+-- Libro mayor: cada transacción del wallet como asientos tipados de crédito
+-- o débito. Los montos son siempre positivos; el signo lo da `direction`.
+--   receive  crédito, sigue el estado del depósito (deposit_id)
+--   send     débito por el monto enviado
+--   fee      débito por la comisión de un envío
+--   coinbase crédito de minería: immature hasta madurar, luego posted
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id SERIAL PRIMARY KEY,
+  txid VARCHAR(128) NOT NULL,
+  vout INT NOT NULL,
+  entry_type VARCHAR(16) NOT NULL,
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('credit', 'debit')),
+  address VARCHAR(128) NOT NULL,
+  amount NUMERIC(18, 8) NOT NULL CHECK (amount >= 0),
+  status VARCHAR(16) NOT NULL, -- pending, posted, immature, void
+  confirmations INT NOT NULL,
+  blockhash VARCHAR(64),
+  blocktime BIGINT,
+  deposit_id INT REFERENCES deposits (id),
+  execution_id UUID NOT NULL,
+  last_execution_id UUID NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (txid, vout, entry_type)
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_address_idx ON ledger_entries (address);
+CREATE INDEX IF NOT EXISTS ledger_entries_deposit_idx ON ledger_entries (deposit_id);
+
+-- Los depósitos ya registrados pasan al libro como créditos `receive`.
+INSERT INTO ledger_entries (
+  txid, vout, entry_type, direction, address, amount, status, confirmations,
+  blockhash, blocktime, deposit_id, execution_id, last_execution_id, created_at
+)
+SELECT
+  d.txid, d.vout, 'receive', 'credit', d.address, d.amount,
+  CASE d.status WHEN 'credited' THEN 'posted' WHEN 'pending' THEN 'pending' ELSE 'void' END,
+  d.confirmations, d.blockhash, d.blocktime, d.id, d.execution_id,
+  COALESCE(d.last_execution_id, d.execution_id), d.created_at
+FROM deposits d
+ON CONFLICT (txid, vout, entry_type) DO NOTHING;
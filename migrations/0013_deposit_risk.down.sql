@@ -0,0 +1,9 @@
+-- Sin señales de riesgo no hay retenciones: los depósitos retenidos vuelven
+-- a pendientes (y sus asientos también) hasta que una nueva observación los
+-- reevalúe.
+UPDATE deposits SET status = 'pending' WHERE status = 'held';
+UPDATE ledger_entries SET status = 'pending' WHERE status = 'held';
+
+DROP INDEX deposits_held_idx;
+ALTER TABLE deposits DROP COLUMN walletconflicts;
+ALTER TABLE deposits DROP COLUMN risk_flags;
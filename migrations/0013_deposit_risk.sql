@@ -0,0 +1,7 @@
+-- Señales de riesgo de doble gasto: RBF (bip125-replaceable) y conflictos
+-- del wallet. Un depósito señalado queda en estado `held` (retenido para
+-- revisión) hasta alcanzar la profundidad configurada en la política.
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS risk_flags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS walletconflicts TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS deposits_held_idx ON deposits (status) WHERE status = 'held';
@@ -0,0 +1,44 @@
+-- Notificaciones por webhook. Cada cliente puede registrar endpoints; al
+-- acreditarse un depósito se escribe una fila en `webhook_outbox` por
+-- endpoint activo, en la misma transacción que el depósito. El despachador
+-- las entrega firmadas (HMAC-SHA256 con el `secret` del endpoint) y guarda
+-- cada intento en `webhook_delivery_attempts`.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  customer_id INT NOT NULL REFERENCES customers (id),
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (customer_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event_id UUID NOT NULL DEFAULT gen_random_uuid(),
+  event_type VARCHAR(64) NOT NULL,
+  endpoint_id INT NOT NULL REFERENCES webhook_endpoints (id),
+  deposit_id INT REFERENCES deposits (id),
+  payload JSONB NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhook_outbox_due_idx
+  ON webhook_outbox (next_attempt_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  outbox_id BIGINT NOT NULL REFERENCES webhook_outbox (id) ON DELETE CASCADE,
+  status_code INT,
+  error TEXT,
+  duration_ms INT NOT NULL,
+  attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhook_delivery_attempts_outbox_idx
+  ON webhook_delivery_attempts (outbox_id);
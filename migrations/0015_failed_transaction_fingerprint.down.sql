@@ -0,0 +1,2 @@
+DROP INDEX failed_transactions_fingerprint_key;
+ALTER TABLE failed_transactions DROP COLUMN fingerprint;
@@ -0,0 +1,7 @@
+-- Huella (SHA-256 del JSON recibido) de cada transacción fallida. Un mensaje
+-- reentregado dentro de la misma ejecución no vuelve a registrarse: el
+-- INSERT lo descarta como duplicado. Las filas anteriores quedan sin huella.
+ALTER TABLE failed_transactions ADD COLUMN IF NOT EXISTS fingerprint CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS failed_transactions_fingerprint_key
+  ON failed_transactions (execution_id, fingerprint) WHERE fingerprint IS NOT NULL;
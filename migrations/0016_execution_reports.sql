@@ -0,0 +1,8 @@
+-- Reporte estructurado de cada ejecución (totales por cliente, sin
+-- referencia, retenidos, extremos, fallidas por motivo y saldos), para
+-- consultar y comparar reportes pasados sin reinterpretar `execution_logs`.
+CREATE TABLE IF NOT EXISTS execution_reports (
+  execution_id UUID PRIMARY KEY REFERENCES executions (id) ON DELETE CASCADE,
+  report JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
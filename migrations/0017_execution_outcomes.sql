@@ -0,0 +1,24 @@
+-- (txid, vout) que el consumidor aceptó en cada ejecución, como depósito o
+-- como asiento del libro mayor. Se registra aunque el depósito o asiento no
+-- cambie (reingesta de los mismos archivos, reentregas), para que la
+-- conciliación de una ejecución no dé por buenos resultados de otra.
+CREATE TABLE execution_outcomes (
+  execution_id UUID NOT NULL REFERENCES executions (id) ON DELETE CASCADE,
+  txid VARCHAR(128) NOT NULL,
+  vout INT NOT NULL,
+  record_type VARCHAR(8) NOT NULL CHECK (record_type IN ('deposit', 'ledger')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (execution_id, txid, vout, record_type)
+);
+
+-- Lo ya escrito cuenta para la ejecución que lo creó y para la última que
+-- lo actualizó; no hay registro de las que lo vieron sin cambiarlo.
+INSERT INTO execution_outcomes (execution_id, txid, vout, record_type)
+SELECT DISTINCT e.id, d.txid, d.vout, 'deposit'
+FROM deposits d
+JOIN executions e ON e.id IN (d.execution_id, d.last_execution_id)
+UNION
+SELECT DISTINCT e.id, l.txid, l.vout, 'ledger'
+FROM ledger_entries l
+JOIN executions e ON e.id IN (l.execution_id, l.last_execution_id)
+WHERE l.entry_type IN ('send', 'coinbase');
@@ -0,0 +1 @@
+ALTER TABLE addresses DROP CONSTRAINT addresses_no_overlap;
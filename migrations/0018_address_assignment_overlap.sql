@@ -0,0 +1,8 @@
+-- Las asignaciones de una misma dirección no pueden solaparse en el tiempo:
+-- un depósito caería en dos y contaría para dos clientes. Si ya hay
+-- asignaciones solapadas, la migración falla hasta corregirlas a mano.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE addresses
+  ADD CONSTRAINT addresses_no_overlap
+  EXCLUDE USING gist (address WITH =, tstzrange(active_from, active_until) WITH &&);
@@ -1,29 +1,81 @@
-import fs from 'fs';
-import path from 'path';
 import { fileURLToPath } from 'url';
 import db from '../src/db/connection.js';
+import {
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  parseVersion,
+  MIGRATION_STATE,
+} from '../src/db/migrator.js';
+import { AppError } from '../src/utils/errors.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const USAGE = `Uso: npm run migrate -- [comando] [--to <versión>]
 
-async function runMigrations() {
-  try {
-    const migrationsDir = path.join(__dirname);
-    const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql'));
+  status                 Estado de cada migración (applied, pending, modified, missing)
+  up [--to <versión>]    Aplica las pendientes hasta la versión dada (por defecto, todas)
+  down [--to <versión>]  Revierte hasta dejar la versión dada como la última aplicada
+                         (por defecto, solo la última; --to 0 revierte todas)
+
+  Sin comando se ejecuta up. Código de salida: 0 si termina bien, 2 si
+  status encuentra migraciones aplicadas modificadas o sin archivo, 1 ante
+  un error.`;
+
+/**
+ * Ejecuta un comando de migraciones e imprime su resultado.
+ * @param {string} [command] - `status`, `up` (por defecto) o `down`.
+ * @param {Object} [options]
+ * @param {string} [options.to] - Versión destino.
+ * @returns {Promise<boolean>} `false` si `status` encuentra migraciones
+ *   aplicadas que ya no coinciden con sus archivos.
+ */
+export async function runMigrationCommand(command = 'up', { to } = {}) {
+  const target = to === undefined ? undefined : parseVersion(to);
 
-    for (const file of files) {
-      const filePath = path.join(migrationsDir, file);
-      const sql = fs.readFileSync(filePath, 'utf8');
-      // Ejecutar el SQL en la BD
-      await db.query(sql);
-      console.log(`Migración ejecutada: ${file}`);
+  switch (command) {
+    case 'status': {
+      const rows = await migrationStatus();
+      for (const { version, file, state, appliedAt } of rows) {
+        console.log(`${version}  ${state.padEnd(8)}  ${appliedAt ? appliedAt.toISOString() : '-'.padEnd(24)}  ${file}`);
+      }
+      return rows.every(({ state }) => state === MIGRATION_STATE.APPLIED || state === MIGRATION_STATE.PENDING);
     }
-    console.log('Todas las migraciones se han ejecutado correctamente.');
-    process.exit(0);
+    case 'up': {
+      const applied = await migrateUp({ to: target });
+      console.log(applied.length > 0
+        ? `${applied.length} migraciones aplicadas.`
+        : 'No hay migraciones pendientes.');
+      return true;
+    }
+    case 'down': {
+      const reverted = await migrateDown({ to: target });
+      console.log(reverted.length > 0
+        ? `${reverted.length} migraciones revertidas.`
+        : 'No hay migraciones que revertir.');
+      return true;
+    }
+    default:
+      throw new AppError(USAGE, 400);
+  }
+}
+
+/**
+ * Separa el comando de `--to <versión>`.
+ */
+function parseArgs(argv) {
+  const positional = argv.filter((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--to');
+  const index = argv.indexOf('--to');
+  return { command: positional[0], to: index === -1 ? undefined : argv[index + 1] };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const { command, to } = parseArgs(process.argv.slice(2));
+    const consistent = await runMigrationCommand(command, { to });
+    await db.pool.end();
+    process.exit(consistent ? 0 : 2);
   } catch (error) {
-    console.error('Error ejecutando migraciones:', error);
+    console.error('Error ejecutando migraciones:', error.message);
+    await db.pool.end();
     process.exit(1);
   }
 }
-
-runMigrations();
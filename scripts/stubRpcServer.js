@@ -0,0 +1,75 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Servidor JSON-RPC de prueba que imita `listsinceblock` de bitcoind
+ * sirviendo los archivos de `data/` como bloques consecutivos:
+ * sin cursor devuelve el primer archivo, con el `lastblock` de un archivo
+ * devuelve el siguiente, y tras el último devuelve una lista vacía.
+ *
+ * Uso: STUB_RPC_PORT=18332 BITCOIN_RPC_USER=u BITCOIN_RPC_PASSWORD=p npm run rpc:stub
+ */
+
+const PORT = Number(process.env.STUB_RPC_PORT) || 18332;
+const USER = process.env.BITCOIN_RPC_USER || 'test';
+const PASSWORD = process.env.BITCOIN_RPC_PASSWORD || 'test';
+const FILES = ['transactions-1.json', 'transactions-2.json'];
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data');
+
+const expectedAuth = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+
+function blockHashFor(index) {
+  return `stub-block-${index}`;
+}
+
+async function listSinceBlock(blockhash = '') {
+  const start = blockhash ? FILES.findIndex((_, i) => blockHashFor(i) === blockhash) + 1 : 0;
+  if (blockhash && start === 0) {
+    throw { code: -5, message: 'Block not found' };
+  }
+  if (start >= FILES.length) {
+    return { transactions: [], removed: [], lastblock: blockHashFor(FILES.length - 1) };
+  }
+  // Se parsea como lo haría bitcoind: los montos viajan como números JSON.
+  const content = await fs.readFile(path.join(DATA_DIR, FILES[start]), 'utf8');
+  const { transactions } = JSON.parse(content);
+  return { transactions, removed: [], lastblock: blockHashFor(start) };
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', async () => {
+    if (req.headers.authorization !== expectedAuth) {
+      res.writeHead(401);
+      return res.end();
+    }
+
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ result: null, error: { code: -32700, message: 'Parse error' }, id: null }));
+    }
+
+    try {
+      if (request.method !== 'listsinceblock') {
+        throw { code: -32601, message: 'Method not found' };
+      }
+      const result = await listSinceBlock(...(request.params ?? []));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result, error: null, id: request.id }));
+    } catch (error) {
+      const status = error.code === -32601 ? 404 : 500;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: null, error, id: request.id }));
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Stub RPC escuchando en el puerto ${PORT}`);
+});
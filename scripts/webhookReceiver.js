@@ -0,0 +1,59 @@
+import http from 'http';
+import {
+  verifyWebhookSignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+} from '../src/utils/webhookSignature.js';
+
+/**
+ * Receptor de webhooks de prueba: verifica la firma HMAC de cada entrega,
+ * la muestra por consola y responde 204. Con `WEBHOOK_RECEIVER_FAIL=<n>`
+ * responde 503 a las primeras n entregas de cada evento, para observar los
+ * reintentos del despachador.
+ *
+ * Uso: WEBHOOK_SECRET=whsec_... WEBHOOK_RECEIVER_PORT=4000 npm run webhook:receiver
+ * y registrar el endpoint con
+ *   npm run webhooks -- add-endpoint "<cliente>" http://localhost:4000/hooks --secret whsec_...
+ */
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || 'test';
+const FAIL_FIRST = Number(process.env.WEBHOOK_RECEIVER_FAIL) || 0;
+
+const seen = new Map();
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const eventId = req.headers[EVENT_ID_HEADER];
+    const valid = verifyWebhookSignature(
+      SECRET,
+      req.headers[TIMESTAMP_HEADER],
+      body,
+      req.headers[SIGNATURE_HEADER]
+    );
+    if (!valid) {
+      console.log(`🚫 Firma inválida para ${eventId ?? '(sin id)'}`);
+      res.writeHead(401);
+      return res.end();
+    }
+
+    const deliveries = (seen.get(eventId) ?? 0) + 1;
+    seen.set(eventId, deliveries);
+    if (deliveries <= FAIL_FIRST) {
+      console.log(`⏳ ${eventId}: entrega ${deliveries}, respondiendo 503`);
+      res.writeHead(503);
+      return res.end();
+    }
+
+    console.log(`✅ ${eventId} (entrega ${deliveries}): ${body}`);
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Receptor de webhooks escuchando en el puerto ${PORT}`);
+});
@@ -0,0 +1,140 @@
+import { aggregateValidDeposits } from "../services/transactionProcessor.js";
+import {
+  listDeposits,
+  getFailuresByReason,
+  getExecutionLogs,
+  getExecutionReport,
+} from "../db/reportRepository.js";
+import { getLedgerBalances, getCustomerLedger } from "../db/ledgerRepository.js";
+import { DEPOSIT_STATUS } from "../services/transactionHelpers.js";
+import { formatSats } from "../utils/amount.js";
+import { AppError, TransactionValidationError } from "../utils/errors.js";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Totales por cliente: las mismas cifras que produce `aggregateValidDeposits`,
+ * con los montos como decimales exactos.
+ */
+export async function getCustomerTotals() {
+  const { stats, smallest, largest } = await aggregateValidDeposits();
+  const formatTotals = ({ count, sum, pending }) => ({
+    count,
+    sum: formatSats(sum),
+    pending: { count: pending.count, sum: formatSats(pending.sum) },
+  });
+
+  return {
+    customers: Object.entries(stats.known).map(([name, totals]) => ({
+      name,
+      ...formatTotals(totals),
+    })),
+    unreferenced: formatTotals(stats.unknown),
+    held: { count: stats.held.count, sum: formatSats(stats.held.sum) },
+    smallest: smallest === null ? null : formatSats(smallest),
+    largest: largest === null ? null : formatSats(largest),
+  };
+}
+
+/**
+ * Totales por cliente del libro mayor (créditos, débitos, neto, pendiente e
+ * inmaduro). Los débitos quedan en la fila sin cliente, así que el neto de un
+ * cliente es su volumen acreditado (ver `getLedgerBalances`).
+ */
+export async function getBalances() {
+  return { data: await getLedgerBalances() };
+}
+
+/**
+ * Créditos de un cliente con su volumen acreditado acumulado.
+ */
+export async function getLedgerByCustomer(customer) {
+  return { customer, data: await getCustomerLedger(customer) };
+}
+
+/**
+ * Depósitos paginados. Filtros: `address`, `customer`, `from`, `to`,
+ * `executionId`; paginación: `page` (desde 1) y `pageSize`.
+ */
+export async function getDeposits(query) {
+  const page = parsePositiveInt(query.get("page"), "page", 1);
+  const pageSize = parsePositiveInt(query.get("pageSize"), "pageSize", 50);
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw new TransactionValidationError(`pageSize no puede superar ${MAX_PAGE_SIZE}`);
+  }
+
+  const executionId = query.get("executionId") ?? undefined;
+  if (executionId !== undefined) assertUuid(executionId);
+
+  const status = query.get("status") ?? undefined;
+  if (status !== undefined && !Object.values(DEPOSIT_STATUS).includes(status)) {
+    throw new TransactionValidationError(`Estado de depósito inválido: ${status}`);
+  }
+
+  const { rows, total } = await listDeposits({
+    address: query.get("address") ?? undefined,
+    customer: query.get("customer") ?? undefined,
+    from: parseDate(query.get("from"), "from"),
+    to: parseDate(query.get("to"), "to"),
+    executionId,
+    status,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+
+  return { data: rows, page, pageSize, total };
+}
+
+/**
+ * Transacciones fallidas agrupadas por motivo; con `executionId`, solo las
+ * de esa ejecución.
+ */
+export async function getFailures(query) {
+  const executionId = query.get("executionId") ?? null;
+  if (executionId !== null) assertUuid(executionId);
+  return { data: await getFailuresByReason(executionId) };
+}
+
+/**
+ * Logs de una ejecución.
+ */
+export async function getExecutionLogsById(executionId) {
+  assertUuid(executionId);
+  return { executionId, data: await getExecutionLogs(executionId) };
+}
+
+/**
+ * Reporte estructurado de una ejecución.
+ */
+export async function getExecutionReportById(executionId) {
+  assertUuid(executionId);
+  const report = await getExecutionReport(executionId);
+  if (!report) throw new AppError(`La ejecución ${executionId} no tiene reporte`, 404);
+  return report;
+}
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new TransactionValidationError(`${name} debe ser un entero positivo`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  if (value === null) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TransactionValidationError(`${name} no es una fecha válida`);
+  }
+  return date;
+}
+
+function assertUuid(value) {
+  if (!UUID_PATTERN.test(value)) {
+    throw new TransactionValidationError(`Identificador de ejecución inválido: ${value}`);
+  }
+}
@@ -0,0 +1,80 @@
+import http from "http";
+import { API_PORT } from "../config/index.js";
+import { logger } from "../utils/logger.js";
+import { AppError } from "../utils/errors.js";
+import {
+  getCustomerTotals,
+  getBalances,
+  getLedgerByCustomer,
+  getDeposits,
+  getFailures,
+  getExecutionLogsById,
+  getExecutionReportById,
+} from "./handlers.js";
+
+/**
+ * Rutas de solo lectura. Cada handler recibe los parámetros de la ruta y la
+ * query string, y devuelve el cuerpo JSON de la respuesta.
+ */
+const routes = [
+  { pattern: /^\/customers\/totals$/, handler: () => getCustomerTotals() },
+  { pattern: /^\/customers\/balances$/, handler: () => getBalances() },
+  {
+    pattern: /^\/customers\/([^/]+)\/ledger$/,
+    handler: ([customer]) => getLedgerByCustomer(decodeURIComponent(customer)),
+  },
+  { pattern: /^\/deposits$/, handler: (_params, query) => getDeposits(query) },
+  { pattern: /^\/failed-transactions\/by-reason$/, handler: (_params, query) => getFailures(query) },
+  {
+    pattern: /^\/executions\/([^/]+)\/logs$/,
+    handler: ([executionId]) => getExecutionLogsById(decodeURIComponent(executionId)),
+  },
+  {
+    pattern: /^\/executions\/([^/]+)\/report$/,
+    handler: ([executionId]) => getExecutionReportById(decodeURIComponent(executionId)),
+  },
+];
+
+/**
+ * Crea el servidor HTTP de la API.
+ * Los errores se responden con el `statusCode` de las clases de
+ * `src/utils/errors.js` (500 si el error no lo define).
+ */
+function createApiServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method !== "GET") {
+        throw new AppError(`Método no permitido: ${req.method}`, 405);
+      }
+
+      for (const { pattern, handler } of routes) {
+        const match = pattern.exec(url.pathname);
+        if (match) {
+          return sendJson(res, 200, await handler(match.slice(1), url.searchParams));
+        }
+      }
+
+      throw new AppError(`Ruta no encontrada: ${url.pathname}`, 404);
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      if (statusCode >= 500) {
+        logger.error(`❌ Error en ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      sendJson(res, statusCode, {
+        error: { name: error.name, message: error.message },
+      });
+    }
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+const server = createApiServer();
+server.listen(API_PORT, () => {
+  logger.info(`🌐 API escuchando en el puerto ${API_PORT}`);
+});
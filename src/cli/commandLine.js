@@ -0,0 +1,107 @@
+import {
+  UsageError,
+  AppError,
+  TransactionValidationError,
+  FileProcessingError,
+} from '../utils/errors.js';
+
+/**
+ * Códigos de salida de la línea de comandos.
+ * - `SUCCESS`: terminó bien.
+ * - `INFRASTRUCTURE_ERROR`: falló Postgres, el broker, el nodo u otra
+ *   dependencia; reintentar puede resolverlo.
+ * - `VALIDATION_FAILED`: la entrada no es válida (archivo malformado,
+ *   ejecución inexistente o, con `--fail-on-rejected`, transacciones
+ *   rechazadas).
+ * - `USAGE`: comando u opciones inválidos (como `EX_USAGE` de sysexits).
+ */
+export const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  INFRASTRUCTURE_ERROR: 1,
+  VALIDATION_FAILED: 2,
+  USAGE: 64,
+});
+
+/**
+ * Código de salida que corresponde a un error.
+ */
+export function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (
+    error instanceof TransactionValidationError ||
+    error instanceof FileProcessingError ||
+    (error instanceof AppError && error.statusCode < 500)
+  ) {
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+  return EXIT_CODES.INFRASTRUCTURE_ERROR;
+}
+
+/**
+ * Separa argumentos posicionales y opciones según su especificación.
+ * Las opciones se escriben `--clave valor` o `--clave=valor`; las de tipo
+ * `boolean` no llevan valor y las de tipo `list` pueden repetirse o separar
+ * sus valores con comas.
+ *
+ * @param {string[]} argv
+ * @param {Object<string, {type: 'string'|'integer'|'boolean'|'list', choices?: string[], alias?: string}>} spec
+ *   Opciones admitidas; `alias` es el nombre de otra opción a la que equivale.
+ * @returns {{positional: string[], options: Object}} Opciones con el nombre
+ *   en camelCase (`--min-confirmations` -> `minConfirmations`).
+ * @throws {UsageError} Si una opción es desconocida o su valor inválido.
+ */
+export function parseOptions(argv, spec) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [flag, inline] = splitFlag(arg.slice(2));
+    const name = spec[flag]?.alias ?? flag;
+    const { type, choices } = spec[name] ?? {};
+    if (!type) throw new UsageError(`Opción desconocida: --${flag}`);
+
+    const key = camelCase(name);
+    if (type === 'boolean') {
+      if (inline !== undefined) throw new UsageError(`--${flag} no lleva valor`);
+      options[key] = true;
+      continue;
+    }
+
+    const value = inline ?? argv[++i];
+    if (value === undefined || value === '' || (inline === undefined && value.startsWith('--'))) {
+      throw new UsageError(`--${flag} requiere un valor`);
+    }
+
+    if (type === 'list') {
+      options[key] = [...(options[key] ?? []), ...value.split(',').filter(Boolean)];
+    } else if (type === 'integer') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`--${flag} debe ser un entero no negativo`);
+      }
+      options[key] = number;
+    } else {
+      if (choices && !choices.includes(value)) {
+        throw new UsageError(`Valor inválido para --${flag}: ${value} (${choices.join(', ')})`);
+      }
+      options[key] = value;
+    }
+  }
+
+  return { positional, options };
+}
+
+function splitFlag(flag) {
+  const index = flag.indexOf('=');
+  return index === -1 ? [flag, undefined] : [flag.slice(0, index), flag.slice(index + 1)];
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
@@ -0,0 +1,105 @@
+import db from '../db/connection.js';
+import {
+  createCustomer,
+  listCustomers,
+  listAddressAssignments,
+  assignAddress,
+  deactivateAddress,
+  deactivateCustomer,
+} from '../db/customerRepository.js';
+import { AppError } from '../utils/errors.js';
+
+const USAGE = `Uso: npm run customers -- <comando>
+
+  add <nombre>                                 Da de alta un cliente
+  list                                         Lista clientes y direcciones
+  assign-address <nombre> <dirección> [--from <fecha ISO>]
+                                               Asigna una dirección a un cliente
+  deactivate --address <dirección>             Cierra la asignación de una dirección
+  deactivate --customer <nombre>               Desactiva un cliente y sus direcciones`;
+
+/**
+ * Separa argumentos posicionales y opciones `--clave valor`.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function parseDate(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Fecha inválida: ${value}`, 400);
+  }
+  return date;
+}
+
+async function run([command, ...rest]) {
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'add': {
+      const [name] = positional;
+      if (!name) throw new AppError(USAGE, 400);
+      const customer = await createCustomer(name);
+      console.log(`Cliente creado: ${customer.name} (id ${customer.id})`);
+      break;
+    }
+    case 'list': {
+      const customers = await listCustomers();
+      const assignments = await listAddressAssignments();
+      for (const customer of customers) {
+        const status = customer.deactivated_at ? ' [desactivado]' : '';
+        console.log(`${customer.name}${status}`);
+        for (const a of assignments.filter((a) => a.customer === customer.name)) {
+          const until = a.active_until ? a.active_until.toISOString() : 'activa';
+          console.log(`  ${a.address}  ${a.active_from.toISOString()} -> ${until}`);
+        }
+      }
+      break;
+    }
+    case 'assign-address': {
+      const [name, address] = positional;
+      if (!name || !address) throw new AppError(USAGE, 400);
+      await assignAddress(name, address, parseDate(options.from));
+      console.log(`Dirección ${address} asignada a ${name}`);
+      break;
+    }
+    case 'deactivate': {
+      if (options.address) {
+        const closed = await deactivateAddress(options.address);
+        if (closed === 0) {
+          throw new AppError(`La dirección ${options.address} no tiene asignación activa`, 404);
+        }
+        console.log(`Dirección ${options.address} desactivada`);
+      } else if (options.customer) {
+        const closed = await deactivateCustomer(options.customer);
+        console.log(`Cliente ${options.customer} desactivado (${closed} direcciones cerradas)`);
+      } else {
+        throw new AppError(USAGE, 400);
+      }
+      break;
+    }
+    default:
+      throw new AppError(USAGE, 400);
+  }
+}
+
+try {
+  await run(process.argv.slice(2));
+  await db.pool.end();
+} catch (error) {
+  console.error(error.message);
+  await db.pool.end();
+  process.exit(1);
+}
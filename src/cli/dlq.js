@@ -0,0 +1,74 @@
+import { createTransport } from '../transport/index.js';
+import {
+  RETRY_COUNT_HEADER,
+  ERROR_HEADER,
+  DEAD_LETTERED_AT_HEADER,
+} from '../transport/retryPolicy.js';
+import { AppError } from '../utils/errors.js';
+
+const USAGE = `Uso: npm run dlq -- <comando> [--limit <n>]
+
+  list     Muestra los mensajes de la DLQ sin retirarlos
+  replay   Reinyecta los mensajes de la DLQ en la cola de transacciones
+  purge    Elimina todos los mensajes de la DLQ`;
+
+function parseLimit(argv) {
+  const index = argv.indexOf('--limit');
+  if (index === -1) return Infinity;
+  const limit = Number(argv[index + 1]);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new AppError('--limit debe ser un entero positivo', 400);
+  }
+  return limit;
+}
+
+function describe({ headers, content }) {
+  return {
+    deadLetteredAt: headers[DEAD_LETTERED_AT_HEADER],
+    retries: headers[RETRY_COUNT_HEADER] ?? 0,
+    error: headers[ERROR_HEADER],
+    content: content.toString(),
+  };
+}
+
+const COMMANDS = ['list', 'replay', 'purge'];
+
+async function run([command, ...rest], transport) {
+  if (!COMMANDS.includes(command)) throw new AppError(USAGE, 400);
+  const limit = parseLimit(rest);
+  await transport.connect();
+
+  switch (command) {
+    case 'list': {
+      const messages = await transport.deadLetters.list(limit);
+      messages.forEach((msg, index) => {
+        const { deadLetteredAt, retries, error, content } = describe(msg);
+        console.log(`#${index + 1} ${deadLetteredAt ?? '-'} reintentos=${retries}`);
+        console.log(`  error: ${error ?? '-'}`);
+        console.log(`  mensaje: ${content}`);
+      });
+      console.log(`${messages.length} mensajes en la DLQ`);
+      break;
+    }
+    case 'replay': {
+      const replayed = await transport.deadLetters.replay(limit);
+      console.log(`${replayed} mensajes reinyectados en la cola de transacciones`);
+      break;
+    }
+    case 'purge': {
+      const purged = await transport.deadLetters.purge();
+      console.log(`${purged} mensajes eliminados de la DLQ`);
+      break;
+    }
+  }
+}
+
+const transport = createTransport();
+try {
+  await run(process.argv.slice(2), transport);
+  await transport.close();
+} catch (error) {
+  console.error(error.message);
+  await transport.close();
+  process.exit(1);
+}
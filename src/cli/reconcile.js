@@ -0,0 +1,64 @@
+import db from '../db/connection.js';
+import { reconcileExecution } from '../services/reconciliation.js';
+import { AppError } from '../utils/errors.js';
+
+const USAGE = `Uso: npm run reconcile -- <executionId> [--json]
+
+  Vuelve a leer los archivos de la ejecución y los contrasta con depósitos,
+  libro mayor y transacciones fallidas.
+
+  Código de salida: 0 si concilia, 2 si hay discrepancias, 1 ante un error.`;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SECTIONS = [
+  ['unreadable', 'Archivos no conciliables', ({ origin, reason }) => `${origin}: ${reason}`],
+  ['missing', 'Sin resultado persistido', ({ key, where }) => `${key ?? '(sin txid/vout)'} en ${where}`],
+  ['duplicated', 'Duplicadas', ({ key, where, detail }) => `${key ?? '(sin txid/vout)'} en ${where}: ${detail}`],
+  ['mismatched', 'Con diferencias', ({ key, where, record, detail }) => `${key} en ${where} (${record}): ${detail}`],
+  ['unexpected', 'Fallidas que no están en la entrada', ({ id, txid, vout, reasonCode }) =>
+    `#${id} ${txid ?? '-'}:${vout ?? '-'} ${reasonCode ?? ''}`],
+];
+
+function printReport(report) {
+  console.log(`Ejecución ${report.executionId} (${report.executionStatus})`);
+  for (const { origin, transactions } of report.files) {
+    console.log(`  ${origin}: ${transactions} transacciones`);
+  }
+  console.log(`Transacciones contrastadas: ${report.checked}`);
+
+  for (const [field, title, describe] of SECTIONS) {
+    if (report[field].length === 0) continue;
+    console.log(`\n${title} (${report[field].length}):`);
+    for (const item of report[field]) console.log(`  ${describe(item)}`);
+  }
+
+  console.log(report.reconciled ? '\n✅ La ejecución concilia' : '\n❌ La ejecución no concilia');
+}
+
+async function run(argv) {
+  const [executionId] = argv.filter((arg) => !arg.startsWith('--'));
+  if (!executionId) throw new AppError(USAGE, 400);
+  if (!UUID_PATTERN.test(executionId)) {
+    throw new AppError(`Identificador de ejecución inválido: ${executionId}`, 400);
+  }
+
+  const report = await reconcileExecution(executionId);
+  if (argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return report.reconciled;
+}
+
+try {
+  const reconciled = await run(process.argv.slice(2));
+  await db.pool.end();
+  process.exit(reconciled ? 0 : 2);
+} catch (error) {
+  console.error(error.message);
+  await db.pool.end();
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+import db from '../db/connection.js';
+import { getExecutionReport, listExecutionReports } from '../db/reportRepository.js';
+import { renderReport, writeReport, diffReports, REPORT_FORMATS } from '../services/executionReport.js';
+import { AppError } from '../utils/errors.js';
+
+const USAGE = `Uso: npm run report -- <comando>
+
+  list [--limit <n>]                   Ejecuciones con reporte, las más recientes primero
+  show <executionId> [--format <formato>] [--output <archivo>]
+                                       Muestra (o escribe) el reporte de una ejecución
+  diff <executionId> <executionId>     Cambios del primer reporte al segundo
+
+  Formatos: ${REPORT_FORMATS.join(', ')}`;
+
+/**
+ * Separa argumentos posicionales y opciones `--clave valor`.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function loadReport(executionId) {
+  if (!executionId) throw new AppError(USAGE, 400);
+  const report = await getExecutionReport(executionId);
+  if (!report) throw new AppError(`La ejecución ${executionId} no tiene reporte`, 404);
+  return report;
+}
+
+function describeValue(value) {
+  if (!value) return '(sin dato)';
+  return [value.count === null ? null : `count=${value.count}`, value.amount === null ? null : `amount=${value.amount}`]
+    .filter(Boolean)
+    .join(' ') || '-';
+}
+
+async function run([command, ...rest]) {
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'list': {
+      const limit = Number(options.limit ?? 20);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new AppError('--limit debe ser un entero positivo', 400);
+      }
+      for (const r of await listExecutionReports(limit)) {
+        console.log(`${r.execution_id}  ${r.status}  ${r.created_at.toISOString()}`);
+      }
+      break;
+    }
+    case 'show': {
+      const report = await loadReport(positional[0]);
+      if (options.output) {
+        await writeReport(report, options.output, options.format);
+        console.log(`Reporte escrito en ${options.output}`);
+      } else {
+        process.stdout.write(renderReport(report, options.format ?? 'text'));
+      }
+      break;
+    }
+    case 'diff': {
+      const [beforeId, afterId] = positional;
+      if (!afterId) throw new AppError(USAGE, 400);
+      const changes = diffReports(await loadReport(beforeId), await loadReport(afterId));
+      for (const { section, subject, metric, before, after } of changes) {
+        // En depósitos y saldos, un sujeto nulo son los montos sin cliente
+        const owner = subject ?? (['deposits', 'balances'].includes(section) ? '(sin referencia)' : null);
+        const label = [section, owner, metric].filter(Boolean).join(' / ');
+        console.log(`${label}: ${describeValue(before)} -> ${describeValue(after)}`);
+      }
+      console.log(`${changes.length} diferencias`);
+      break;
+    }
+    default:
+      throw new AppError(USAGE, 400);
+  }
+}
+
+try {
+  await run(process.argv.slice(2));
+  await db.pool.end();
+} catch (error) {
+  console.error(error.message);
+  await db.pool.end();
+  process.exit(1);
+}
@@ -0,0 +1,138 @@
+import db from '../db/connection.js';
+import {
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  setWebhookEndpointActive,
+  listWebhookDeliveries,
+  getWebhookAttempts,
+  redeliverWebhook,
+} from '../db/webhookRepository.js';
+import { dispatchDueWebhooks } from '../services/webhookDispatcher.js';
+import { generateWebhookSecret } from '../utils/webhookSignature.js';
+import { AppError } from '../utils/errors.js';
+
+const USAGE = `Uso: npm run webhooks -- <comando>
+
+  add-endpoint <cliente> <url> [--secret <secreto>]
+                                   Registra un endpoint (genera el secreto si no se indica)
+  endpoints                        Lista los endpoints
+  disable <id> | enable <id>       Desactiva o reactiva un endpoint
+  deliveries [--status <estado>] [--limit <n>]
+                                   Lista entregas (pending, delivered, failed)
+  attempts <id>                    Historial de intentos de una entrega
+  redeliver <id>                   Vuelve a enviar una entrega
+  dispatch                         Entrega ahora las notificaciones vencidas`;
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Separa argumentos posicionales y opciones `--clave valor`.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw new AppError(USAGE, 400);
+  return id;
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new AppError(`URL inválida: ${value}`, 400);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new AppError(`El endpoint debe ser http o https: ${value}`, 400);
+  }
+  return url.toString();
+}
+
+async function run([command, ...rest]) {
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'add-endpoint': {
+      const [customer, url] = positional;
+      if (!customer || !url) throw new AppError(USAGE, 400);
+      const secret = options.secret ?? generateWebhookSecret();
+      const endpoint = await createWebhookEndpoint(customer, parseUrl(url), secret);
+      console.log(`Endpoint ${endpoint.id} registrado para ${customer}: ${endpoint.url}`);
+      if (!options.secret) console.log(`Secreto de firma: ${secret}`);
+      break;
+    }
+    case 'endpoints': {
+      for (const e of await listWebhookEndpoints()) {
+        const status = e.active ? '' : ' [desactivado]';
+        console.log(`#${e.id} ${e.customer}  ${e.url}${status}`);
+      }
+      break;
+    }
+    case 'disable':
+    case 'enable': {
+      const id = parseId(positional[0]);
+      const updated = await setWebhookEndpointActive(id, command === 'enable');
+      if (updated === 0) throw new AppError(`No existe el endpoint ${id}`, 404);
+      console.log(`Endpoint ${id} ${command === 'enable' ? 'activado' : 'desactivado'}`);
+      break;
+    }
+    case 'deliveries': {
+      if (options.status !== undefined && !DELIVERY_STATUSES.includes(options.status)) {
+        throw new AppError(`Estado inválido: ${options.status}`, 400);
+      }
+      const limit = options.limit === undefined ? 50 : parseId(options.limit);
+      const deliveries = await listWebhookDeliveries({ status: options.status, limit });
+      for (const d of deliveries) {
+        console.log(`#${d.id} ${d.event_type} ${d.event_id} ${d.customer} -> ${d.url}`);
+        console.log(`  ${d.status} intentos=${d.attempts} próximo=${d.next_attempt_at.toISOString()}` +
+          (d.last_error ? ` error: ${d.last_error}` : ''));
+      }
+      console.log(`${deliveries.length} entregas`);
+      break;
+    }
+    case 'attempts': {
+      const attempts = await getWebhookAttempts(parseId(positional[0]));
+      attempts.forEach((a, index) => {
+        console.log(`#${index + 1} ${a.attempted_at.toISOString()} HTTP ${a.status_code ?? '-'} ` +
+          `${a.duration_ms} ms${a.error ? ` error: ${a.error}` : ''}`);
+      });
+      console.log(`${attempts.length} intentos`);
+      break;
+    }
+    case 'redeliver': {
+      const id = parseId(positional[0]);
+      await redeliverWebhook(id);
+      console.log(`Entrega ${id} reencolada`);
+      break;
+    }
+    case 'dispatch': {
+      const { delivered, retried, failed } = await dispatchDueWebhooks();
+      console.log(`Entregadas: ${delivered}, reprogramadas: ${retried}, fallidas: ${failed}`);
+      break;
+    }
+    default:
+      throw new AppError(USAGE, 400);
+  }
+}
+
+try {
+  await run(process.argv.slice(2));
+  await db.pool.end();
+} catch (error) {
+  console.error(error.message);
+  await db.pool.end();
+  process.exit(1);
+}
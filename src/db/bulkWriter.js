@@ -0,0 +1,117 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { from as copyFrom } from 'pg-copy-streams';
+import { BULK_COPY_THRESHOLD } from '../config/index.js';
+
+// Límite de parámetros de una consulta en el protocolo de Postgres
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Escritura masiva parametrizada. Los lotes chicos se insertan con un
+ * INSERT multi-fila de parámetros (`$1, $2, ...`); los grandes se cargan con
+ * `COPY FROM STDIN` en una tabla temporal de staging y se fusionan con un
+ * único INSERT ... SELECT. En ambos casos ningún valor se concatena al SQL y
+ * la fusión aplica la misma cláusula `ON CONFLICT`.
+ *
+ * Debe llamarse con el cliente de una transacción en curso: la tabla de
+ * staging vive en esa conexión y, si algo falla, el ROLLBACK descarta tanto
+ * la carga como la fusión.
+ *
+ * @param {Object} client - Cliente de la transacción en curso.
+ * @param {Object} spec
+ * @param {string} spec.table - Tabla destino.
+ * @param {Array<[string, string]>} spec.columns - Pares `[columna, tipo SQL]`.
+ * @param {Array<Array>} spec.rows - Valores de cada fila en el orden de `columns`.
+ * @param {string} [spec.onConflict] - Cláusula `ON CONFLICT ...` de la fusión.
+ * @param {string} [spec.returning] - Columnas a devolver de cada fila escrita.
+ * @param {Object} [options]
+ * @param {number} [options.copyThreshold] - Filas a partir de las cuales se usa COPY.
+ * @returns {Promise<{rows: Array<Object>, inserted: number, updated: number, skipped: number}>}
+ *   `skipped` son las filas que la cláusula `ON CONFLICT` descartó por duplicadas.
+ */
+export async function bulkInsert(
+  client,
+  { table, columns, rows, onConflict = '', returning },
+  { copyThreshold = BULK_COPY_THRESHOLD } = {}
+) {
+  if (rows.length === 0) return { rows: [], inserted: 0, updated: 0, skipped: 0 };
+
+  const names = columns.map(([name]) => name).join(', ');
+  // `xmax = 0` distingue una fila nueva de una que ON CONFLICT actualizó
+  const returningClause = `RETURNING (xmax = 0) AS inserted${returning ? `, ${returning}` : ''}`;
+
+  let result;
+  if (rows.length < copyThreshold && rows.length * columns.length <= MAX_PARAMETERS) {
+    const { text, values } = valuesSource(columns, rows);
+    result = await client.query(
+      `INSERT INTO ${table} (${names})
+       SELECT ${names} FROM (VALUES ${text}) AS incoming (${names})
+       ${onConflict}
+       ${returningClause}`,
+      values
+    );
+  } else {
+    const stage = `${table}_stage`;
+    await client.query(
+      `CREATE TEMP TABLE ${stage} (${columns.map(([name, type]) => `${name} ${type}`).join(', ')})`
+    );
+    await pipeline(
+      Readable.from(csvLines(rows)),
+      client.query(copyFrom(`COPY ${stage} (${names}) FROM STDIN WITH (FORMAT csv)`))
+    );
+    result = await client.query(
+      `INSERT INTO ${table} (${names})
+       SELECT ${names} FROM ${stage}
+       ${onConflict}
+       ${returningClause}`
+    );
+    await client.query(`DROP TABLE ${stage}`);
+  }
+
+  const inserted = result.rows.filter((row) => row.inserted).length;
+  return {
+    rows: result.rows.map(({ inserted: _inserted, ...row }) => row),
+    inserted,
+    updated: result.rows.length - inserted,
+    skipped: rows.length - result.rows.length,
+  };
+}
+
+/**
+ * `($1::tipo, $2::tipo, ...), (...)` y sus valores. El tipo explícito evita
+ * que Postgres infiera `text` para columnas que llegan todas en NULL.
+ */
+function valuesSource(columns, rows) {
+  const values = [];
+  const tuples = rows.map((row) => {
+    const placeholders = columns.map(([, type], index) => {
+      values.push(row[index] ?? null);
+      return `$${values.length}::${type}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  return { text: tuples.join(', '), values };
+}
+
+/**
+ * Filas en CSV para COPY: NULL es un campo vacío sin comillas y todo texto
+ * va entre comillas, de modo que la cadena vacía no se confunde con NULL.
+ */
+function* csvLines(rows) {
+  for (const row of rows) {
+    yield `${row.map(csvField).join(',')}\n`;
+  }
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? arrayLiteral(value) : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function arrayLiteral(values) {
+  const items = values.map((item) =>
+    item === null ? 'NULL' : `"${String(item).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+  );
+  return `{${items.join(',')}}`;
+}
@@ -1,6 +1,7 @@
 import pg from 'pg';
 import { POSTGRES_CONFIG } from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { dbQueryDuration } from '../utils/metrics.js';
 
 const { Pool } = pg;
 
@@ -18,7 +19,44 @@ pool.on('error', (err) => {
   logger.error('Error inesperado en el pool de PostgreSQL', err);
 });
 
+/**
+ * Ejecuta `callback` dentro de una transacción con un cliente dedicado.
+ * Hace COMMIT si el callback termina bien y ROLLBACK si lanza un error.
+ * @param {(client: pg.PoolClient) => Promise<any>} callback
+ * @param {Object} [options]
+ * @param {string} [options.isolationLevel] - p. ej. `REPEATABLE READ`.
+ */
+async function withTransaction(callback, { isolationLevel } = {}) {
+  const endTimer = dbQueryDuration.startTimer({ operation: 'transaction' });
+  const client = await pool.connect();
+  try {
+    await client.query(isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel}` : 'BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    endTimer();
+  }
+}
+
+/**
+ * Consulta con un cliente del pool, midiendo su duración.
+ */
+async function query(text, params) {
+  const endTimer = dbQueryDuration.startTimer({ operation: 'query' });
+  try {
+    return await pool.query(text, params);
+  } finally {
+    endTimer();
+  }
+}
+
 export default {
-  query: (text, params) => pool.query(text, params),
+  query,
+  withTransaction,
   pool,  // <-- EXPORTA EL POOL AQUÍ
 };
@@ -0,0 +1,197 @@
+import db from './connection.js';
+import { AppError, DatabaseError } from '../utils/errors.js';
+import { validateAddress } from '../utils/address.js';
+import { BITCOIN_NETWORK } from '../config/index.js';
+
+/**
+ * Da de alta un cliente.
+ * @param {string} name - Nombre del cliente.
+ * @returns {Promise<Object>} Cliente creado.
+ */
+export async function createCustomer(name) {
+  try {
+    const query = `
+      INSERT INTO customers (name)
+      VALUES ($1)
+      RETURNING id, name, created_at
+    `;
+    const { rows } = await db.query(query, [name]);
+    return rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new AppError(`El cliente "${name}" ya existe`, 409);
+    }
+    throw new DatabaseError(`Error al crear cliente: ${error.message}`);
+  }
+}
+
+/**
+ * Lista los clientes en orden de alta.
+ * @returns {Promise<Array<{id: number, name: string, deactivated_at: Date|null}>>}
+ */
+export async function listCustomers() {
+  try {
+    const query = `
+      SELECT id, name, deactivated_at
+      FROM customers
+      ORDER BY id
+    `;
+    const { rows } = await db.query(query);
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al listar clientes: ${error.message}`);
+  }
+}
+
+/**
+ * Lista todas las asignaciones de direcciones, activas e inactivas.
+ */
+export async function listAddressAssignments() {
+  try {
+    const query = `
+      SELECT c.name AS customer, a.address, a.active_from, a.active_until
+      FROM addresses a
+      JOIN customers c ON c.id = a.customer_id
+      ORDER BY c.id, a.active_from
+    `;
+    const { rows } = await db.query(query);
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al listar direcciones: ${error.message}`);
+  }
+}
+
+/**
+ * Cliente con asignación activa para cada una de las direcciones dadas.
+ * @param {string[]} addresses
+ * @returns {Promise<Map<string, string>>} Nombre del cliente por dirección.
+ */
+export async function findActiveCustomersByAddresses(addresses, client = db) {
+  try {
+    const { rows } = await client.query(
+      `SELECT a.address, c.name AS customer
+       FROM addresses a
+       JOIN customers c ON c.id = a.customer_id
+       WHERE a.address = ANY($1::text[]) AND a.active_until IS NULL`,
+      [addresses]
+    );
+    return new Map(rows.map(({ address, customer }) => [address, customer]));
+  } catch (error) {
+    throw new DatabaseError(`Error al buscar clientes por dirección: ${error.message}`);
+  }
+}
+
+/**
+ * Asigna una dirección a un cliente a partir de `activeFrom`.
+ * Falla si la dirección no es válida para `BITCOIN_NETWORK` o si la nueva
+ * asignación se solaparía con otra de la misma dirección: la activa o una
+ * cerrada después de `activeFrom`.
+ * @param {string} customerName - Cliente destino.
+ * @param {string} address - Dirección a asignar.
+ * @param {Date} [activeFrom] - Inicio de la asignación (por defecto, ahora).
+ */
+export async function assignAddress(customerName, address, activeFrom = new Date()) {
+  const check = validateAddress(address, BITCOIN_NETWORK);
+  if (!check.valid) {
+    throw new AppError(`Dirección inválida ${address}: ${check.error}`, 400);
+  }
+
+  try {
+    return await db.withTransaction(async (client) => {
+      const customer = await findActiveCustomer(customerName, client);
+
+      const { rows: overlapping } = await client.query(
+        `SELECT c.name, a.active_until FROM addresses a
+         JOIN customers c ON c.id = a.customer_id
+         WHERE a.address = $1 AND (a.active_until IS NULL OR a.active_until > $2)
+         ORDER BY a.active_until DESC NULLS FIRST`,
+        [address, activeFrom]
+      );
+      if (overlapping.length > 0) {
+        const [{ name, active_until: activeUntil }] = overlapping;
+        throw new AppError(
+          activeUntil === null
+            ? `La dirección ${address} ya está asignada a "${name}"`
+            : `La dirección ${address} estuvo asignada a "${name}" hasta ${activeUntil.toISOString()}; ` +
+              'la nueva asignación debe empezar después',
+          409
+        );
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO addresses (customer_id, address, active_from)
+         VALUES ($1, $2, $3)
+         RETURNING address, active_from`,
+        [customer.id, address, activeFrom]
+      );
+      return rows[0];
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    // Otra asignación concurrente ganó la carrera (ver `addresses_no_overlap`)
+    if (error.code === '23P01') {
+      throw new AppError(`La dirección ${address} ya tiene una asignación que se solapa`, 409);
+    }
+    throw new DatabaseError(`Error al asignar dirección: ${error.message}`);
+  }
+}
+
+/**
+ * Cierra la asignación activa de una dirección.
+ * @param {string} address - Dirección a desactivar.
+ * @param {Date} [at] - Fin de la asignación (por defecto, ahora).
+ * @returns {Promise<number>} Asignaciones cerradas.
+ */
+export async function deactivateAddress(address, at = new Date()) {
+  try {
+    const { rowCount } = await db.query(
+      `UPDATE addresses SET active_until = $2
+       WHERE address = $1 AND active_until IS NULL`,
+      [address, at]
+    );
+    return rowCount;
+  } catch (error) {
+    throw new DatabaseError(`Error al desactivar dirección: ${error.message}`);
+  }
+}
+
+/**
+ * Desactiva un cliente y cierra todas sus asignaciones activas.
+ * @param {string} customerName - Cliente a desactivar.
+ * @param {Date} [at] - Momento de la desactivación (por defecto, ahora).
+ * @returns {Promise<number>} Asignaciones cerradas.
+ */
+export async function deactivateCustomer(customerName, at = new Date()) {
+  try {
+    return await db.withTransaction(async (client) => {
+      const customer = await findActiveCustomer(customerName, client);
+      await client.query(
+        'UPDATE customers SET deactivated_at = $2 WHERE id = $1',
+        [customer.id, at]
+      );
+      const { rowCount } = await client.query(
+        `UPDATE addresses SET active_until = $2
+         WHERE customer_id = $1 AND active_until IS NULL`,
+        [customer.id, at]
+      );
+      return rowCount;
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new DatabaseError(`Error al desactivar cliente: ${error.message}`);
+  }
+}
+
+async function findActiveCustomer(name, client) {
+  const { rows } = await client.query(
+    'SELECT id, deactivated_at FROM customers WHERE name = $1 FOR UPDATE',
+    [name]
+  );
+  if (rows.length === 0) {
+    throw new AppError(`No existe el cliente "${name}"`, 404);
+  }
+  if (rows[0].deactivated_at) {
+    throw new AppError(`El cliente "${name}" está desactivado`, 409);
+  }
+  return rows[0];
+}
@@ -1,96 +1,357 @@
 import db from './connection.js';
 import { DatabaseError } from '../utils/errors.js';
+import { bulkInsert } from './bulkWriter.js';
 
 /**
- * Guarda una transacción fallida en la base de datos.
- * @param {Object} transaction - Detalles de la transacción fallida.
+ * Obtiene los depósitos que se encuentran en alguno de los estados indicados.
+ * `amount` se devuelve como texto decimal exacto y `customer` es el cliente
+ * cuya asignación de la dirección estaba activa al registrarse el depósito
+ * (`null` si no hay ninguno).
+ * @param {string[]} statuses - Estados a incluir (p. ej. `pending`, `credited`).
  */
-export async function saveFailedTransaction({ executionId, txid, address, amount, confirmations, reason }) {
+export async function getDepositsByStatus(statuses, client = db) {
   try {
     const query = `
-      INSERT INTO failed_transactions (execution_id, txid, address, amount, confirmations, reason)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      SELECT d.txid, d.vout, d.address, d.amount::text AS amount, d.confirmations, d.status,
+             c.name AS customer
+      FROM deposits d
+      LEFT JOIN addresses a
+        ON a.address = d.address
+       AND a.active_from <= d.created_at
+       AND (a.active_until IS NULL OR d.created_at < a.active_until)
+      LEFT JOIN customers c ON c.id = a.customer_id
+      WHERE d.status = ANY($1::text[])
     `;
-    const values = [executionId, txid, address, amount, confirmations, reason];
-    await db.query(query, values);
+    const { rows } = await client.query(query, [statuses]);
+    return rows;
   } catch (error) {
-    throw new DatabaseError(`Error al registrar transacción fallida: ${error.message}`);
+    throw new DatabaseError(`Error al obtener depósitos: ${error.message}`);
   }
 }
 
 /**
- * Obtiene todos los depósitos válidos con el mínimo de confirmaciones.
- * @param {number} minConfirmations - Número mínimo de confirmaciones.
+ * Suma los montos por dirección y estado, calculada por Postgres.
+ * @param {string[]} statuses - Estados a incluir.
+ * @returns {Promise<Array<{address: string, status: string, count: number, sum: string}>>}
  */
-export async function getAllValidDeposits(minConfirmations) {
+export async function getDepositTotalsByAddress(statuses, client = db) {
   try {
     const query = `
-      SELECT txid, address, amount, confirmations
+      SELECT address, status, COUNT(*)::int AS count, SUM(amount)::text AS sum
       FROM deposits
-      WHERE confirmations >= $1
+      WHERE status = ANY($1::text[])
+      GROUP BY address, status
     `;
-    const { rows } = await db.query(query, [minConfirmations]);
+    const { rows } = await client.query(query, [statuses]);
     return rows;
   } catch (error) {
-    throw new DatabaseError(`Error al obtener depósitos válidos: ${error.message}`);
+    throw new DatabaseError(`Error al sumar depósitos: ${error.message}`);
   }
 }
 
+/**
+ * Busca y bloquea los depósitos existentes para las claves (txid, vout) dadas.
+ * Debe llamarse dentro de una transacción.
+ * @param {Array<{txid: string, vout: number}>} keys - Claves a buscar.
+ * @param {Object} client - Cliente de la transacción en curso.
+ * @returns {Promise<Map<string, Object>>} Depósitos indexados por `txid:vout`.
+ */
+export async function findDepositsByKeys(keys, client = db) {
+  if (keys.length === 0) return new Map();
+
+  const query = `
+    SELECT d.id, d.txid, d.vout, d.status, d.confirmations, d.blockhash, d.blockindex, d.blocktime
+    FROM deposits d
+    JOIN unnest($1::text[], $2::int[]) AS k (txid, vout)
+      ON d.txid = k.txid AND d.vout = k.vout
+    FOR UPDATE OF d
+  `;
+  const { rows } = await client.query(query, [
+    keys.map((k) => k.txid),
+    keys.map((k) => k.vout),
+  ]);
+  return new Map(rows.map((row) => [`${row.txid}:${row.vout}`, row]));
+}
+
+/**
+ * Depósitos registrados con alguno de los txids dados (cualquier vout),
+ * agrupados por txid.
+ * @param {string[]} txids
+ * @returns {Promise<Map<string, Array<Object>>>}
+ */
+export async function findDepositsByTxids(txids, client = db) {
+  if (txids.length === 0) return new Map();
+
+  const { rows } = await client.query(
+    `SELECT txid, vout, status, confirmations
+     FROM deposits
+     WHERE txid = ANY($1::text[])`,
+    [txids]
+  );
+  const byTxid = new Map();
+  for (const row of rows) {
+    if (!byTxid.has(row.txid)) byTxid.set(row.txid, []);
+    byTxid.get(row.txid).push(row);
+  }
+  return byTxid;
+}
+
+/**
+ * Registra transiciones de estado de depósitos.
+ * @param {Array<Object>} transitions - `{ depositId, fromStatus, toStatus, executionId }`.
+ * @param {Object} client - Cliente de la transacción en curso.
+ */
+export async function saveDepositTransitions(transitions, client = db) {
+  if (transitions.length === 0) return;
+
+  const query = `
+    INSERT INTO deposit_status_transitions (deposit_id, from_status, to_status, execution_id)
+    SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::uuid[])
+  `;
+  await client.query(query, [
+    transitions.map((t) => t.depositId),
+    transitions.map((t) => t.fromStatus),
+    transitions.map((t) => t.toStatus),
+    transitions.map((t) => t.executionId),
+  ]);
+}
+
+/**
+ * Marca como `dropped` los depósitos pendientes o retenidos que no aparecen
+ * entre las claves vistas en la ejecución, registrando la transición y
+ * anulando su asiento en el libro mayor.
+ *
+ * Solo se consideran los depósitos dentro del alcance del listado: los que
+ * vio por última vez una ejecución de la misma fuente y, si se indican
+ * archivos, leyendo solo archivos de ese conjunto. Lo que llegó por otra
+ * fuente u otras exportaciones no puede faltar en este listado.
+ *
+ * @param {string} executionId - Ejecución que detecta la desaparición.
+ * @param {Array<{txid: string, vout: number}>} seenKeys - Claves presentes en la entrada.
+ * @param {Object} scope - Alcance del listado (ver `completeListing` en `src/sources`).
+ * @param {string} scope.source - Fuente (`TRANSACTION_SOURCE` de la ejecución).
+ * @param {string[]|null} [scope.files] - Archivos leídos, si la fuente los tiene.
+ * @returns {Promise<number>} Cantidad de depósitos descartados.
+ */
+export async function dropMissingPendingDeposits(executionId, seenKeys, { source, files = null }) {
+  try {
+    const query = `
+      WITH missing AS (
+        SELECT d.id, d.status
+        FROM deposits d
+        JOIN executions e ON e.id = d.last_execution_id
+        WHERE d.status IN ('pending', 'held')
+          AND e.config ->> 'TRANSACTION_SOURCE' = $4
+          AND ($5::jsonb IS NULL OR e.config -> 'INPUT_FILES' <@ $5::jsonb)
+          AND NOT EXISTS (
+            SELECT 1 FROM unnest($2::text[], $3::int[]) AS k (txid, vout)
+            WHERE k.txid = d.txid AND k.vout = d.vout
+          )
+        FOR UPDATE OF d
+      ),
+      dropped AS (
+        UPDATE deposits d
+        SET status = 'dropped', last_execution_id = $1, updated_at = CURRENT_TIMESTAMP
+        FROM missing m
+        WHERE d.id = m.id
+        RETURNING d.id, m.status AS from_status
+      ),
+      voided AS (
+        UPDATE ledger_entries l
+        SET status = 'void', last_execution_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE l.deposit_id IN (SELECT id FROM dropped)
+      )
+      INSERT INTO deposit_status_transitions (deposit_id, from_status, to_status, execution_id)
+      SELECT id, from_status, 'dropped', $1 FROM dropped
+    `;
+    const { rowCount } = await db.query(query, [
+      executionId,
+      seenKeys.map((k) => k.txid),
+      seenKeys.map((k) => k.vout),
+      source,
+      files === null ? null : JSON.stringify(files),
+    ]);
+    return rowCount;
+  } catch (error) {
+    throw new DatabaseError(`Error al descartar depósitos pendientes: ${error.message}`);
+  }
+}
+
+/**
+ * Retiene depósitos ya registrados que resultaron estar en conflicto con uno
+ * nuevo (doble gasto): pasan a `held` con la señal `riskFlag`, se registra
+ * la transición y su asiento `receive` deja de contar para el saldo. Solo
+ * se retienen los pendientes o acreditados.
+ * @param {Array<{txid: string, vout: number, executionId: string}>} deposits
+ *   Depósitos a retener, con la ejecución que detecta el conflicto.
+ * @param {string} riskFlag - Señal que se agrega a `risk_flags`.
+ * @param {Object} client - Cliente de la transacción en curso.
+ * @returns {Promise<Array<{txid: string, vout: number, from_status: string}>>} Depósitos retenidos.
+ */
+export async function holdConflictingDeposits(deposits, riskFlag, client = db) {
+  if (deposits.length === 0) return [];
+
+  const query = `
+    WITH conflicting AS (
+      SELECT d.id, d.status, k.execution_id
+      FROM deposits d
+      JOIN unnest($1::text[], $2::int[], $3::uuid[]) AS k (txid, vout, execution_id)
+        ON d.txid = k.txid AND d.vout = k.vout
+      WHERE d.status IN ('pending', 'credited')
+      FOR UPDATE OF d
+    ),
+    held AS (
+      UPDATE deposits d
+      SET status = 'held',
+          risk_flags = CASE WHEN $4 = ANY (d.risk_flags) THEN d.risk_flags ELSE array_append(d.risk_flags, $4) END,
+          last_execution_id = c.execution_id,
+          updated_at = CURRENT_TIMESTAMP
+      FROM conflicting c
+      WHERE d.id = c.id
+      RETURNING d.id, d.txid, d.vout, c.status AS from_status, c.execution_id
+    ),
+    entries AS (
+      UPDATE ledger_entries l
+      SET status = 'held', last_execution_id = h.execution_id, updated_at = CURRENT_TIMESTAMP
+      FROM held h
+      WHERE l.deposit_id = h.id AND l.entry_type = 'receive'
+    ),
+    transitions AS (
+      INSERT INTO deposit_status_transitions (deposit_id, from_status, to_status, execution_id)
+      SELECT id, from_status, 'held', execution_id FROM held
+    )
+    SELECT txid, vout, from_status FROM held
+  `;
+  const { rows } = await client.query(query, [
+    deposits.map((d) => d.txid),
+    deposits.map((d) => d.vout),
+    deposits.map((d) => d.executionId),
+    riskFlag,
+  ]);
+  return rows;
+}
+
 /**
  * Guarda logs de la ejecución del proceso.
  * @param {Object} log - Detalles del log de ejecución.
+ * @param {Object} client - Cliente de una transacción en curso (opcional).
  */
-export async function saveExecutionLog({ executionId, logLevel, message }) {
+export async function saveExecutionLog({ executionId, logLevel, message }, client = db) {
   try {
     const query = `
       INSERT INTO execution_logs (execution_id, log_level, message)
       VALUES ($1, $2, $3)
     `;
     const values = [executionId, logLevel, message];
-    await db.query(query, values);
+    await client.query(query, values);
   } catch (error) {
     throw new DatabaseError(`Error al guardar log de ejecución: ${error.message}`);
   }
 }
 
-
 /**
- * Guarda múltiples depósitos válidos en batch.
+ * Guarda múltiples depósitos en batch, identificados por (txid, vout).
+ * Los valores (estado incluido) ya vienen resueltos por el servicio; si el
+ * depósito existe se sobrescriben con los del lote. Al pasar a `reorged` se
+ * registra el momento de la detección. El lote no debe repetir (txid, vout).
+ * @returns {Promise<{rows: Array<{id: number, txid: string, vout: number}>, inserted: number, updated: number}>}
  */
-export async function saveValidDepositsInBatch(deposits) {
-  if (deposits.length === 0) return;
+export async function saveValidDepositsInBatch(deposits, client = db) {
+  try {
+    const { rows, inserted, updated } = await inTransaction(client, (client) =>
+      bulkInsert(client, {
+        table: 'deposits',
+        columns: DEPOSIT_COLUMNS,
+        rows: deposits.map((d) => [
+          d.txid, d.vout, d.address, d.amount, d.confirmations, d.blockhash, d.blockindex,
+          d.blocktime, d.status, d.riskFlags ?? [], d.walletconflicts ?? [], d.executionId, d.executionId,
+        ]),
+        onConflict: `
+          ON CONFLICT (txid, vout) DO UPDATE SET
+            confirmations = EXCLUDED.confirmations,
+            risk_flags = EXCLUDED.risk_flags,
+            walletconflicts = EXCLUDED.walletconflicts,
+            blockhash = EXCLUDED.blockhash,
+            blockindex = EXCLUDED.blockindex,
+            blocktime = EXCLUDED.blocktime,
+            reorg_detected_at = CASE
+              WHEN EXCLUDED.status = 'reorged' AND deposits.status <> 'reorged' THEN CURRENT_TIMESTAMP
+              ELSE deposits.reorg_detected_at
+            END,
+            status = EXCLUDED.status,
+            last_execution_id = EXCLUDED.last_execution_id,
+            updated_at = CURRENT_TIMESTAMP`,
+        returning: 'id, txid, vout',
+      })
+    );
+    return { rows, inserted, updated };
+  } catch (error) {
+    throw new DatabaseError(`Error al guardar depósitos: ${error.message}`);
+  }
+}
 
-  const values = deposits
-    .map(({ txid, address, amount, confirmations, executionId }) =>
-      `('${txid}', '${address}', ${amount}, ${confirmations}, '${executionId}')`
-    )
-    .join(", ");
+const DEPOSIT_COLUMNS = [
+  ['txid', 'text'],
+  ['vout', 'int'],
+  ['address', 'text'],
+  ['amount', 'numeric'],
+  ['confirmations', 'int'],
+  ['blockhash', 'text'],
+  ['blockindex', 'int'],
+  ['blocktime', 'bigint'],
+  ['status', 'text'],
+  ['risk_flags', 'text[]'],
+  ['walletconflicts', 'text[]'],
+  ['execution_id', 'uuid'],
+  ['last_execution_id', 'uuid'],
+];
 
-  const query = `
-    INSERT INTO deposits (txid, address, amount, confirmations, execution_id)
-    VALUES ${values}
-    ON CONFLICT (txid) DO NOTHING
-  `;
+const FAILED_TRANSACTION_COLUMNS = [
+  ['execution_id', 'uuid'],
+  ['txid', 'text'],
+  ['vout', 'int'],
+  ['address', 'text'],
+  ['amount', 'numeric'],
+  ['confirmations', 'int'],
+  ['reason', 'text'],
+  ['reason_code', 'text'],
+  ['rule', 'text'],
+  ['policy_version', 'text'],
+  ['fingerprint', 'text'],
+];
 
-  await db.query(query);
+/**
+ * Guarda múltiples transacciones fallidas en batch, con el código de motivo,
+ * la regla que falló y la versión de la política que las evaluó. Una
+ * transacción ya registrada en la misma ejecución (misma `fingerprint`) se
+ * descarta como duplicada.
+ * @returns {Promise<{rows: Array<{execution_id: string, reason_code: string}>, inserted: number, skipped: number}>}
+ *   `rows` tiene la ejecución y el código de motivo de cada fila insertada.
+ */
+export async function saveFailedTransactionsInBatch(transactions, client = db) {
+  try {
+    const { rows, inserted, skipped } = await inTransaction(client, (client) =>
+      bulkInsert(client, {
+        table: 'failed_transactions',
+        columns: FAILED_TRANSACTION_COLUMNS,
+        rows: transactions.map((t) => [
+          t.executionId, t.txid, t.vout, t.address, t.amount, t.confirmations, t.reason,
+          t.reasonCode, t.rule, t.policyVersion, t.fingerprint,
+        ]),
+        onConflict: 'ON CONFLICT (execution_id, fingerprint) WHERE fingerprint IS NOT NULL DO NOTHING',
+        returning: 'execution_id, reason_code',
+      })
+    );
+    return { rows, inserted, skipped };
+  } catch (error) {
+    throw new DatabaseError(`Error al guardar transacciones fallidas: ${error.message}`);
+  }
 }
 
 /**
- * Guarda múltiples transacciones fallidas en batch.
+ * Ejecuta `callback` con el cliente de la transacción en curso o, si se
+ * recibió el pool, dentro de una transacción propia.
  */
-export async function saveFailedTransactionsInBatch(transactions) {
-  if (transactions.length === 0) return;
-
-  const values = transactions
-    .map(({ executionId, txid, address, amount, confirmations, reason }) =>
-      `('${executionId}', '${txid}', '${address}', ${amount}, ${confirmations}, '${reason}')`
-    )
-    .join(", ");
-
-  const query = `
-    INSERT INTO failed_transactions (execution_id, txid, address, amount, confirmations, reason)
-    VALUES ${values}
-  `;
-
-  await db.query(query);
+function inTransaction(client, callback) {
+  return client === db ? db.withTransaction(callback) : callback(client);
 }
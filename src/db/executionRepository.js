@@ -0,0 +1,202 @@
+import db from './connection.js';
+import { AppError, DatabaseError } from '../utils/errors.js';
+
+/**
+ * Registra el inicio de una ejecución.
+ * @param {string} executionId
+ * @param {Object} config - Configuración usada (p. ej. la versión de la política).
+ */
+export async function createExecution(executionId, config) {
+  try {
+    await db.query(
+      'INSERT INTO executions (id, config) VALUES ($1, $2)',
+      [executionId, JSON.stringify(config)]
+    );
+  } catch (error) {
+    throw new DatabaseError(`Error al registrar ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * Vuelve a poner en curso una ejecución interrumpida o fallida.
+ * @param {string} executionId
+ * @returns {Promise<Object>} La ejecución reanudada.
+ * @throws {AppError} Si no existe o ya terminó correctamente.
+ */
+export async function resumeExecution(executionId) {
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `UPDATE executions
+       SET status = 'running', error = NULL, finished_at = NULL
+       WHERE id = $1 AND status <> 'completed'
+       RETURNING id, config`,
+      [executionId]
+    ));
+  } catch (error) {
+    throw new DatabaseError(`Error al reanudar ejecución: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new AppError(`No hay una ejecución reanudable con id ${executionId}`, 404);
+  }
+  return rows[0];
+}
+
+/**
+ * Marca el fin de una ejecución en curso.
+ * @param {string} executionId
+ * @param {'completed'|'failed'} status
+ * @param {string} [error] - Mensaje de error si falló.
+ */
+export async function finishExecution(executionId, status, error = null) {
+  try {
+    await db.query(
+      `UPDATE executions
+       SET status = $2, error = $3, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running'`,
+      [executionId, status, error]
+    );
+  } catch (err) {
+    throw new DatabaseError(`Error al finalizar ejecución: ${err.message}`);
+  }
+}
+
+/**
+ * Registra un archivo completado de la ejecución y actualiza sus totales.
+ * @param {string} executionId
+ * @param {Object} file - `{ origin, checksum, transactionCount, published, confirmed }`.
+ */
+export async function saveExecutionFile(executionId, { origin, checksum, transactionCount, published, confirmed }) {
+  try {
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO execution_files
+           (execution_id, origin, checksum, transaction_count, published_count, confirmed_count)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (execution_id, origin) DO UPDATE SET
+           checksum = EXCLUDED.checksum,
+           transaction_count = EXCLUDED.transaction_count,
+           published_count = EXCLUDED.published_count,
+           confirmed_count = EXCLUDED.confirmed_count,
+           completed_at = CURRENT_TIMESTAMP`,
+        [executionId, origin, checksum, transactionCount, published, confirmed]
+      );
+      // Los totales se recalculan desde sus archivos: un archivo que se vuelve
+      // a procesar reemplaza sus conteos en lugar de sumarlos otra vez
+      await client.query(
+        `UPDATE executions e
+         SET published_count = f.published,
+             confirmed_count = f.confirmed
+         FROM (
+           SELECT COALESCE(SUM(published_count), 0) AS published,
+                  COALESCE(SUM(confirmed_count), 0) AS confirmed
+           FROM execution_files
+           WHERE execution_id = $1
+         ) f
+         WHERE e.id = $1`,
+        [executionId]
+      );
+    });
+  } catch (error) {
+    throw new DatabaseError(`Error al registrar archivo de ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * Archivos ya completados por una ejecución.
+ * @param {string} executionId
+ * @returns {Promise<Map<string, string>>} Checksum por origen.
+ */
+export async function getCompletedFiles(executionId) {
+  try {
+    const { rows } = await db.query(
+      'SELECT origin, checksum FROM execution_files WHERE execution_id = $1',
+      [executionId]
+    );
+    return new Map(rows.map((row) => [row.origin, row.checksum]));
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener archivos de ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * De los ids dados, los que corresponden a una ejecución registrada.
+ * @param {string[]} executionIds - UUIDs.
+ * @returns {Promise<Set<string>>}
+ */
+export async function findExecutionIds(executionIds) {
+  try {
+    const { rows } = await db.query(
+      'SELECT id FROM executions WHERE id = ANY($1::uuid[])',
+      [executionIds]
+    );
+    return new Set(rows.map((row) => row.id));
+  } catch (error) {
+    throw new DatabaseError(`Error al buscar ejecuciones: ${error.message}`);
+  }
+}
+
+/**
+ * Suma los resultados persistidos por el consumidor a cada ejecución.
+ * @param {Map<string, {credited: number, pending: number, failed: number}>} countersByExecution
+ * @param {Object} client - Cliente de la transacción en curso.
+ */
+export async function incrementExecutionCounters(countersByExecution, client = db) {
+  for (const [executionId, { credited, pending, failed }] of countersByExecution) {
+    await client.query(
+      `UPDATE executions
+       SET credited_count = credited_count + $2,
+           pending_count = pending_count + $3,
+           failed_count = failed_count + $4
+       WHERE id = $1`,
+      [executionId, credited, pending, failed]
+    );
+  }
+}
+
+/**
+ * Registra los (txid, vout) que el consumidor aceptó en cada ejecución, como
+ * depósito o asiento del libro mayor, aunque no hayan cambiado. La
+ * conciliación de una ejecución solo da por aceptado lo registrado aquí.
+ * @param {Array<{executionId: string, txid: string, vout: number, recordType: 'deposit'|'ledger'}>} outcomes
+ * @param {Object} client - Cliente de la transacción en curso.
+ */
+export async function saveExecutionOutcomes(outcomes, client = db) {
+  if (outcomes.length === 0) return;
+  await client.query(
+    `INSERT INTO execution_outcomes (execution_id, txid, vout, record_type)
+     SELECT * FROM unnest($1::uuid[], $2::text[], $3::int[], $4::text[])
+     ON CONFLICT DO NOTHING`,
+    [
+      outcomes.map((o) => o.executionId),
+      outcomes.map((o) => o.txid),
+      outcomes.map((o) => o.vout),
+      outcomes.map((o) => o.recordType),
+    ]
+  );
+}
+
+/**
+ * Obtiene una ejecución con su configuración.
+ * @param {string} executionId
+ * @throws {AppError} 404 si no existe.
+ */
+export async function getExecution(executionId) {
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `SELECT id, status, config, started_at, finished_at
+       FROM executions
+       WHERE id = $1`,
+      [executionId]
+    ));
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener ejecución: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new AppError(`No existe la ejecución ${executionId}`, 404);
+  }
+  return rows[0];
+}
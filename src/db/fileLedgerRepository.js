@@ -0,0 +1,45 @@
+import db from './connection.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Busca un archivo en el registro de ingesta por el hash de su contenido.
+ * @param {string} checksum - SHA-256 del contenido.
+ * @returns {Promise<Object|null>}
+ */
+export async function findIngestedFile(checksum) {
+  try {
+    const { rows } = await db.query(
+      'SELECT checksum, filename, status, execution_id, ingested_at FROM ingested_files WHERE checksum = $1',
+      [checksum]
+    );
+    return rows[0] ?? null;
+  } catch (error) {
+    throw new DatabaseError(`Error al consultar registro de archivos: ${error.message}`);
+  }
+}
+
+/**
+ * Registra un archivo como procesado o rechazado.
+ * Si el contenido ya estaba registrado no se modifica el registro existente.
+ * @param {Object} file
+ * @param {string} file.checksum
+ * @param {string} file.filename
+ * @param {'processed'|'rejected'} file.status
+ * @param {string} [file.error]
+ * @param {number} [file.transactionCount]
+ * @param {string} file.executionId
+ * @returns {Promise<boolean>} `true` si se registró; `false` si ya existía.
+ */
+export async function recordIngestedFile({ checksum, filename, status, error = null, transactionCount = null, executionId }) {
+  try {
+    const { rowCount } = await db.query(
+      `INSERT INTO ingested_files (checksum, filename, status, error, transaction_count, execution_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (checksum) DO NOTHING`,
+      [checksum, filename, status, error, transactionCount, executionId]
+    );
+    return rowCount === 1;
+  } catch (err) {
+    throw new DatabaseError(`Error al registrar archivo ingerido: ${err.message}`);
+  }
+}
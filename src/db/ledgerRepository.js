@@ -0,0 +1,140 @@
+import db from './connection.js';
+import { DatabaseError } from '../utils/errors.js';
+
+// Un crédito se atribuye al cliente cuya asignación de la dirección estaba
+// activa al registrarse el asiento, igual que los depósitos. Los débitos
+// (envíos y comisiones) no se atribuyen: su dirección es la de destino y el
+// nodo no informa de qué direcciones salen los fondos, así que un envío a la
+// dirección de un cliente lo debitaría a él.
+const LEDGER_CUSTOMER_JOIN = `
+  LEFT JOIN addresses a
+    ON l.direction = 'credit'
+   AND a.address = l.address
+   AND a.active_from <= l.created_at
+   AND (a.active_until IS NULL OR l.created_at < a.active_until)
+  LEFT JOIN customers c ON c.id = a.customer_id
+`;
+
+/**
+ * Inserta o actualiza asientos del libro mayor, identificados por
+ * (txid, vout, entry_type). Un asiento `posted` no vuelve a `immature`: una
+ * observación vieja de un coinbase ya maduro no lo revierte.
+ * @param {Array<Object>} entries - `{ txid, vout, entryType, direction, address,
+ *   amount, status, confirmations, blockhash, blocktime, depositId, executionId }`.
+ * @param {Object} client - Cliente de la transacción en curso.
+ * @returns {Promise<Array<{txid: string, vout: number, entry_type: string, status: string, previous_status: string|null}>>}
+ */
+export async function saveLedgerEntries(entries, client = db) {
+  if (entries.length === 0) return [];
+
+  const query = `
+    WITH incoming AS (
+      SELECT * FROM unnest(
+        $1::text[], $2::int[], $3::text[], $4::text[], $5::text[], $6::numeric[],
+        $7::text[], $8::int[], $9::text[], $10::bigint[], $11::int[], $12::uuid[]
+      ) AS e (txid, vout, entry_type, direction, address, amount,
+              status, confirmations, blockhash, blocktime, deposit_id, execution_id)
+    ),
+    previous AS (
+      SELECT l.txid, l.vout, l.entry_type, l.status
+      FROM ledger_entries l
+      JOIN incoming e USING (txid, vout, entry_type)
+    )
+    INSERT INTO ledger_entries AS l (
+      txid, vout, entry_type, direction, address, amount, status, confirmations,
+      blockhash, blocktime, deposit_id, execution_id, last_execution_id
+    )
+    SELECT txid, vout, entry_type, direction, address, amount, status, confirmations,
+           blockhash, blocktime, deposit_id, execution_id, execution_id
+    FROM incoming
+    ON CONFLICT (txid, vout, entry_type) DO UPDATE SET
+      amount = EXCLUDED.amount,
+      status = CASE
+        WHEN l.status = 'posted' AND EXCLUDED.status = 'immature' THEN l.status
+        ELSE EXCLUDED.status
+      END,
+      confirmations = EXCLUDED.confirmations,
+      blockhash = EXCLUDED.blockhash,
+      blocktime = EXCLUDED.blocktime,
+      deposit_id = COALESCE(EXCLUDED.deposit_id, l.deposit_id),
+      last_execution_id = EXCLUDED.last_execution_id,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING l.txid, l.vout, l.entry_type, l.status,
+      (SELECT p.status FROM previous p
+       WHERE p.txid = l.txid AND p.vout = l.vout AND p.entry_type = l.entry_type) AS previous_status
+  `;
+  const { rows } = await client.query(query, [
+    entries.map((e) => e.txid),
+    entries.map((e) => e.vout),
+    entries.map((e) => e.entryType),
+    entries.map((e) => e.direction),
+    entries.map((e) => e.address),
+    entries.map((e) => e.amount),
+    entries.map((e) => e.status),
+    entries.map((e) => e.confirmations),
+    entries.map((e) => e.blockhash ?? null),
+    entries.map((e) => e.blocktime ?? null),
+    entries.map((e) => e.depositId ?? null),
+    entries.map((e) => e.executionId),
+  ]);
+  return rows;
+}
+
+/**
+ * Totales por cliente a partir del libro mayor. `net` suma créditos y resta
+ * débitos de los asientos `posted` de la fila; `pending` e `immature` se
+ * informan aparte. `customer` es `null` para los asientos sin cliente:
+ * créditos a direcciones sin asignar y todos los débitos, que no se
+ * atribuyen a ningún cliente (ver `LEDGER_CUSTOMER_JOIN`). Por eso el `net`
+ * de un cliente es su volumen acreditado, no un saldo neto de envíos; solo
+ * la suma de `net` de todas las filas es el saldo del wallet.
+ * @returns {Promise<Array<{customer: string|null, credits: string, debits: string,
+ *   net: string, pending: string, immature: string}>>}
+ */
+export async function getLedgerBalances(client = db) {
+  try {
+    const { rows } = await client.query(`
+      SELECT
+        c.name AS customer,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.status = 'posted' AND l.direction = 'credit'), 0)::text AS credits,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.status = 'posted' AND l.direction = 'debit'), 0)::text AS debits,
+        COALESCE(SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE -l.amount END)
+          FILTER (WHERE l.status = 'posted'), 0)::text AS net,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.status = 'pending' AND l.direction = 'credit'), 0)::text AS pending,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.status = 'immature'), 0)::text AS immature
+      FROM ledger_entries l
+      ${LEDGER_CUSTOMER_JOIN}
+      GROUP BY c.id, c.name
+      ORDER BY c.id NULLS LAST
+    `);
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al calcular saldos del libro mayor: ${error.message}`);
+  }
+}
+
+/**
+ * Asientos de un cliente en orden cronológico con su volumen acreditado
+ * acumulado (solo los asientos `posted` lo modifican). Son solo créditos:
+ * los débitos no se atribuyen a clientes.
+ * @param {string} customer - Nombre del cliente.
+ */
+export async function getCustomerLedger(customer) {
+  try {
+    const { rows } = await db.query(
+      `SELECT
+         l.txid, l.vout, l.entry_type, l.direction, l.amount::text AS amount, l.status,
+         l.confirmations, l.blocktime, l.created_at,
+         COALESCE(SUM(l.amount) FILTER (WHERE l.status = 'posted')
+           OVER (ORDER BY l.blocktime NULLS LAST, l.id), 0)::text AS running_credits
+       FROM ledger_entries l
+       ${LEDGER_CUSTOMER_JOIN}
+       WHERE c.name = $1
+       ORDER BY l.blocktime NULLS LAST, l.id`,
+      [customer]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener el libro mayor del cliente: ${error.message}`);
+  }
+}
@@ -0,0 +1,317 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db from './connection.js';
+import { sha256 } from '../utils/fileReader.js';
+import { logger } from '../utils/logger.js';
+import { AppError, DatabaseError } from '../utils/errors.js';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../migrations');
+
+// `0001_nombre.sql` sube la versión; `0001_nombre.down.sql` la revierte
+const MIGRATION_FILE = /^(\d{4})_([\w-]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+// Clave del advisory lock que impide correr dos migraciones a la vez
+const MIGRATION_LOCK_KEY = 740211;
+
+/**
+ * Estados de una migración en `migrationStatus`.
+ * - `modified`: aplicada, pero su archivo de subida o de bajada cambió
+ *   desde entonces.
+ * - `missing`: aplicada, pero su archivo ya no está.
+ */
+export const MIGRATION_STATE = Object.freeze({
+  APPLIED: 'applied',
+  PENDING: 'pending',
+  MODIFIED: 'modified',
+  MISSING: 'missing',
+});
+
+/**
+ * Lee las migraciones del directorio en orden de versión, con el SQL y el
+ * SHA-256 de la subida y, si existe, de la bajada.
+ * @returns {Promise<Array<{version: string, name: string, file: string,
+ *   checksum: string, up: string, down: string|null, downChecksum: string|null}>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const [, version, name] = match;
+    if (migrations.some((migration) => migration.version === version)) {
+      throw new AppError(`Hay dos migraciones con la versión ${version}`, 409);
+    }
+
+    const up = await fs.readFile(path.join(dir, file), 'utf8');
+    const downFile = `${version}_${name}${DOWN_SUFFIX}`;
+    const down = files.includes(downFile) ? await fs.readFile(path.join(dir, downFile), 'utf8') : null;
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: sha256(up),
+      up,
+      down,
+      downChecksum: down === null ? null : sha256(down),
+    });
+  }
+  return migrations;
+}
+
+/**
+ * Normaliza una versión de `--to` (`5` o `0005`).
+ * @throws {AppError} Si no es un número.
+ */
+export function parseVersion(value) {
+  if (!/^\d{1,4}$/.test(String(value))) {
+    throw new AppError(`Versión de migración inválida: ${value}`, 400);
+  }
+  return String(value).padStart(4, '0');
+}
+
+/**
+ * Estado de cada migración: las del directorio y las aplicadas que ya no
+ * están en él. No escribe nada, ni siquiera crea `schema_migrations`.
+ * @returns {Promise<Array<{version: string, file: string, state: string, appliedAt: Date|null}>>}
+ */
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(db);
+
+  const rows = migrations.map((migration) => {
+    const { version, file } = migration;
+    const record = applied.get(version);
+    let state = MIGRATION_STATE.PENDING;
+    if (record) state = changedFile(migration, record) ? MIGRATION_STATE.MODIFIED : MIGRATION_STATE.APPLIED;
+    return { version, file, state, appliedAt: record?.applied_at ?? null };
+  });
+  for (const [version, record] of applied) {
+    if (!migrations.some((migration) => migration.version === version)) {
+      rows.push({
+        version,
+        file: `${version}_${record.name}.sql`,
+        state: MIGRATION_STATE.MISSING,
+        appliedAt: record.applied_at,
+      });
+    }
+  }
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Aplica las migraciones pendientes en orden, cada una en su propia
+ * transacción junto con su registro en `schema_migrations`: si falla, no
+ * queda nada a medias y las siguientes no se aplican.
+ *
+ * En una base creada con el runner anterior (sin `schema_migrations`) todas
+ * figuran como pendientes: las que ese runner ya había ejecutado se vuelven
+ * a ejecutar y quedan registradas, así que deben ser idempotentes
+ * (`IF NOT EXISTS`). Una migración agregada después de este migrador no
+ * necesita serlo: se registra en la misma transacción en que se aplica, así
+ * que nunca corre dos veces sobre la misma base.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.to] - Última versión a aplicar (por defecto, todas).
+ * @returns {Promise<string[]>} Archivos aplicados.
+ * @throws {AppError} Si una migración aplicada fue modificada o ya no está.
+ */
+export async function migrateUp({ to } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+    await recordDownChecksums(client, migrations, applied);
+
+    const pending = migrations.filter(
+      ({ version }) => !applied.has(version) && (to === undefined || version <= to)
+    );
+    for (const migration of pending) {
+      await inTransaction(client, migration.file, async () => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, down_checksum) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, migration.downChecksum]
+        );
+      });
+      logger.info(`Migración aplicada: ${migration.file}`);
+    }
+    return pending.map(({ file }) => file);
+  });
+}
+
+/**
+ * Revierte, de la más nueva a la más vieja, las migraciones aplicadas con
+ * versión mayor que `to` (por defecto, solo la última). Cada una se revierte
+ * en su propia transacción con su `.down.sql`; antes de empezar se comprueba
+ * que todas lo tengan.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.to] - Versión que queda como la última aplicada
+ *   (`0000` revierte todas).
+ * @returns {Promise<string[]>} Archivos revertidos.
+ * @throws {AppError} Si una migración aplicada fue modificada o falta su bajada.
+ */
+export async function migrateDown({ to } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+    await recordDownChecksums(client, migrations, applied);
+
+    const versions = [...applied.keys()].sort().reverse();
+    const target = to ?? versions[1] ?? '0000';
+    const toRevert = versions
+      .filter((version) => version > target)
+      .map((version) => migrations.find((migration) => migration.version === version));
+
+    const withoutDown = toRevert.filter(({ down }) => down === null);
+    if (withoutDown.length > 0) {
+      throw new AppError(
+        `Sin migración de bajada (${DOWN_SUFFIX}): ${withoutDown.map(({ file }) => file).join(', ')}`,
+        409
+      );
+    }
+
+    for (const migration of toRevert) {
+      await inTransaction(client, migration.file, async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      logger.info(`Migración revertida: ${migration.file}`);
+    }
+    return toRevert.map(({ file }) => file);
+  });
+}
+
+/**
+ * Una migración ya aplicada no puede cambiar ni desaparecer: la base no
+ * reflejaría lo que dicen los archivos. Tampoco su bajada, que es lo que
+ * ejecutaría `migrateDown`.
+ */
+function verifyApplied(migrations, applied) {
+  for (const [version, record] of applied) {
+    const migration = migrations.find((candidate) => candidate.version === version);
+    if (!migration) {
+      throw new AppError(`La migración ${version}_${record.name} está aplicada pero su archivo no existe`, 409);
+    }
+    const changed = changedFile(migration, record);
+    if (changed) {
+      throw new AppError(
+        `La migración ${changed.file} fue modificada después de aplicarse ` +
+        `(checksum registrado ${changed.recorded}, actual ${changed.current}); ` +
+        'los cambios de esquema van en una migración nueva',
+        409
+      );
+    }
+  }
+}
+
+/**
+ * Archivo de una migración aplicada que ya no coincide con su checksum
+ * registrado, o `null`. Una bajada sin checksum registrado (aplicada antes
+ * de que existiera, o antes de que se registraran) no se compara; se
+ * registra con `recordDownChecksums`.
+ * @returns {{file: string, recorded: string|null, current: string|null}|null}
+ */
+function changedFile(migration, record) {
+  if (migration.checksum !== record.checksum) {
+    return { file: migration.file, recorded: record.checksum, current: migration.checksum };
+  }
+  if (record.down_checksum !== null && migration.downChecksum !== record.down_checksum) {
+    return {
+      file: `${migration.version}_${migration.name}${DOWN_SUFFIX}`,
+      recorded: record.down_checksum,
+      current: migration.downChecksum,
+    };
+  }
+  return null;
+}
+
+/**
+ * Registra el checksum de las bajadas de migraciones aplicadas que aún no lo
+ * tienen, para detectar desde ahora si cambian.
+ */
+async function recordDownChecksums(client, migrations, applied) {
+  for (const migration of migrations) {
+    const record = applied.get(migration.version);
+    if (!record || record.down_checksum !== null || migration.downChecksum === null) continue;
+    await client.query(
+      'UPDATE schema_migrations SET down_checksum = $2 WHERE version = $1 AND down_checksum IS NULL',
+      [migration.version, migration.downChecksum]
+    );
+  }
+}
+
+/**
+ * Migraciones registradas por versión. Sin `schema_migrations`, ninguna.
+ * @returns {Promise<Map<string, {name: string, checksum: string,
+ *   down_checksum: string|null, applied_at: Date}>>}
+ */
+async function getAppliedMigrations(client) {
+  try {
+    const { rows: [{ exists }] } = await client.query(
+      "SELECT to_regclass('schema_migrations') IS NOT NULL AS exists"
+    );
+    if (!exists) return new Map();
+
+    // `to_jsonb` lee `down_checksum` aunque la tabla sea anterior a la columna:
+    // `migrationStatus` no altera la tabla
+    const { rows } = await client.query(
+      `SELECT version, name, checksum, to_jsonb(s) ->> 'down_checksum' AS down_checksum, applied_at
+       FROM schema_migrations s
+       ORDER BY version`
+    );
+    return new Map(rows.map(({ version, ...record }) => [version, record]));
+  } catch (error) {
+    throw new DatabaseError(`Error al leer las migraciones aplicadas: ${error.message}`);
+  }
+}
+
+/**
+ * Ejecuta `callback` con una conexión propia que tiene el advisory lock de
+ * migraciones, creando antes `schema_migrations` si no existe.
+ */
+async function withMigrationLock(callback) {
+  let client;
+  try {
+    client = await db.pool.connect();
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(16) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        down_checksum CHAR(64),
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS down_checksum CHAR(64)');
+  } catch (error) {
+    client?.release();
+    throw new DatabaseError(`Error al preparar las migraciones: ${error.message}`);
+  }
+
+  try {
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function inTransaction(client, file, callback) {
+  try {
+    await client.query('BEGIN');
+    await callback();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new DatabaseError(`Error en la migración ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,219 @@
+import db from './connection.js';
+import { DatabaseError } from '../utils/errors.js';
+
+// Atribución de un depósito al cliente cuya asignación estaba activa al
+// registrarse (misma regla que getDepositsByStatus).
+const DEPOSIT_CUSTOMER_JOIN = `
+  LEFT JOIN addresses a
+    ON a.address = d.address
+   AND a.active_from <= d.created_at
+   AND (a.active_until IS NULL OR d.created_at < a.active_until)
+  LEFT JOIN customers c ON c.id = a.customer_id
+`;
+
+/**
+ * Lista depósitos paginados con filtros opcionales.
+ * @param {Object} filters
+ * @param {string} [filters.address] - Dirección exacta.
+ * @param {string} [filters.customer] - Nombre del cliente.
+ * @param {Date} [filters.from] - Registrados desde (inclusive).
+ * @param {Date} [filters.to] - Registrados hasta (exclusive).
+ * @param {string} [filters.executionId] - Ejecución que registró el depósito.
+ * @param {string} [filters.status] - Estado del depósito (p. ej. `held`).
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{rows: Array<Object>, total: number}>}
+ */
+export async function listDeposits({ address, customer, from, to, executionId, status, limit, offset }) {
+  const conditions = [];
+  const values = [];
+  const addCondition = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (address) addCondition('d.address = ?', address);
+  if (customer) addCondition('c.name = ?', customer);
+  if (from) addCondition('d.created_at >= ?', from);
+  if (to) addCondition('d.created_at < ?', to);
+  if (executionId) addCondition('d.execution_id = ?', executionId);
+  if (status) addCondition('d.status = ?', status);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const { rows } = await db.query(
+      `SELECT d.txid, d.vout, d.address, c.name AS customer, d.amount::text AS amount,
+              d.confirmations, d.status, d.risk_flags, d.walletconflicts,
+              d.blockhash, d.blockindex, d.blocktime,
+              d.execution_id, d.created_at, d.updated_at,
+              COUNT(*) OVER () AS total
+       FROM deposits d
+       ${DEPOSIT_CUSTOMER_JOIN}
+       ${where}
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    const total = rows.length > 0 ? Number(rows[0].total) : await countDeposits(where, values);
+    return { rows: rows.map(({ total: _total, ...row }) => row), total };
+  } catch (error) {
+    throw new DatabaseError(`Error al listar depósitos: ${error.message}`);
+  }
+}
+
+async function countDeposits(where, values) {
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS total FROM deposits d ${DEPOSIT_CUSTOMER_JOIN} ${where}`,
+    values
+  );
+  return rows[0].total;
+}
+
+/**
+ * Agrupa las transacciones fallidas por código de motivo y regla.
+ * @param {string|null} [executionId] - Solo las registradas en esa ejecución;
+ *   sin ella, las de todas.
+ * @returns {Promise<Array<{reason_code: string, rule: string|null, count: number, sum: string|null}>>}
+ */
+export async function getFailuresByReason(executionId = null) {
+  try {
+    const { rows } = await db.query(
+      `SELECT reason_code, rule, COUNT(*)::int AS count, SUM(amount)::text AS sum
+       FROM failed_transactions
+       WHERE $1::uuid IS NULL OR execution_id = $1
+       GROUP BY reason_code, rule
+       ORDER BY count DESC, reason_code, rule`,
+      [executionId]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al agrupar transacciones fallidas: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene los logs de una ejecución en orden cronológico.
+ * @param {string} executionId
+ */
+export async function getExecutionLogs(executionId) {
+  try {
+    const { rows } = await db.query(
+      `SELECT log_level, message, timestamp
+       FROM execution_logs
+       WHERE execution_id = $1
+       ORDER BY timestamp, id`,
+      [executionId]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener logs de ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * Resultados persistidos que se contrastan al conciliar una ejecución:
+ * los depósitos y los asientos `send`/`coinbase` de las claves dadas que el
+ * consumidor aceptó en esta ejecución (`execution_outcomes`), y todas las
+ * transacciones fallidas registradas por ella. Lo escrito por otra ejecución
+ * con las mismas claves no cuenta.
+ * @param {string} executionId
+ * @param {Array<{txid: string, vout: number}>} keys
+ * @returns {Promise<{deposits: Array<Object>, ledgerEntries: Array<Object>, failed: Array<Object>}>}
+ */
+export async function getReconciliationRecords(executionId, keys) {
+  const keyParams = [keys.map((k) => k.txid), keys.map((k) => k.vout)];
+
+  try {
+    const { rows: deposits } = await db.query(
+      `SELECT d.txid, d.vout, d.amount::text AS amount, d.confirmations, d.status
+       FROM deposits d
+       JOIN unnest($1::text[], $2::int[]) AS k (txid, vout)
+         ON d.txid = k.txid AND d.vout = k.vout
+       JOIN execution_outcomes o
+         ON o.execution_id = $3 AND o.record_type = 'deposit'
+        AND o.txid = d.txid AND o.vout = d.vout`,
+      [...keyParams, executionId]
+    );
+    const { rows: ledgerEntries } = await db.query(
+      `SELECT l.txid, l.vout, l.entry_type, l.amount::text AS amount, l.confirmations, l.status
+       FROM ledger_entries l
+       JOIN unnest($1::text[], $2::int[]) AS k (txid, vout)
+         ON l.txid = k.txid AND l.vout = k.vout
+       JOIN execution_outcomes o
+         ON o.execution_id = $3 AND o.record_type = 'ledger'
+        AND o.txid = l.txid AND o.vout = l.vout
+       WHERE l.entry_type IN ('send', 'coinbase')`,
+      [...keyParams, executionId]
+    );
+    const { rows: failed } = await db.query(
+      `SELECT id, txid, vout, amount::text AS amount, confirmations, reason_code, fingerprint
+       FROM failed_transactions
+       WHERE execution_id = $1
+       ORDER BY id`,
+      [executionId]
+    );
+    return { deposits, ledgerEntries, failed };
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener resultados para conciliar: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda el reporte estructurado de una ejecución. Si la ejecución se
+ * reanuda y vuelve a terminar, su reporte se reemplaza.
+ * @param {string} executionId
+ * @param {Object} report - Reporte (ver `src/services/executionReport.js`).
+ */
+export async function saveExecutionReport(executionId, report) {
+  try {
+    await db.query(
+      `INSERT INTO execution_reports (execution_id, report)
+       VALUES ($1, $2)
+       ON CONFLICT (execution_id) DO UPDATE SET
+         report = EXCLUDED.report,
+         created_at = CURRENT_TIMESTAMP`,
+      [executionId, JSON.stringify(report)]
+    );
+  } catch (error) {
+    throw new DatabaseError(`Error al guardar reporte de ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * Reporte estructurado de una ejecución.
+ * @param {string} executionId
+ * @returns {Promise<Object|null>} `null` si la ejecución no tiene reporte.
+ */
+export async function getExecutionReport(executionId) {
+  try {
+    const { rows } = await db.query(
+      'SELECT report FROM execution_reports WHERE execution_id = $1',
+      [executionId]
+    );
+    return rows[0]?.report ?? null;
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener reporte de ejecución: ${error.message}`);
+  }
+}
+
+/**
+ * Lista las ejecuciones con reporte, las más recientes primero.
+ * @param {number} limit
+ */
+export async function listExecutionReports(limit) {
+  try {
+    const { rows } = await db.query(
+      `SELECT r.execution_id, e.status, e.started_at, r.created_at
+       FROM execution_reports r
+       JOIN executions e ON e.id = r.execution_id
+       ORDER BY r.created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al listar reportes: ${error.message}`);
+  }
+}
@@ -0,0 +1,37 @@
+import db from './connection.js';
+import { DatabaseError } from '../utils/errors.js';
+
+/**
+ * Obtiene el último bloque visto por una fuente de transacciones.
+ * @param {string} name - Clave de la fuente.
+ * @returns {Promise<string|null>} Hash del bloque o `null` si no hay cursor.
+ */
+export async function getSourceCursor(name) {
+  try {
+    const { rows } = await db.query(
+      'SELECT last_block FROM source_cursors WHERE name = $1',
+      [name]
+    );
+    return rows[0]?.last_block ?? null;
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener cursor de fuente: ${error.message}`);
+  }
+}
+
+/**
+ * Guarda el último bloque visto por una fuente de transacciones.
+ * @param {string} name - Clave de la fuente.
+ * @param {string} lastBlock - Hash del bloque.
+ */
+export async function saveSourceCursor(name, lastBlock) {
+  try {
+    await db.query(
+      `INSERT INTO source_cursors (name, last_block)
+       VALUES ($1, $2)
+       ON CONFLICT (name) DO UPDATE SET last_block = EXCLUDED.last_block, updated_at = CURRENT_TIMESTAMP`,
+      [name, lastBlock]
+    );
+  } catch (error) {
+    throw new DatabaseError(`Error al guardar cursor de fuente: ${error.message}`);
+  }
+}
@@ -0,0 +1,238 @@
+import db from './connection.js';
+import { AppError, DatabaseError } from '../utils/errors.js';
+
+/**
+ * Registra un endpoint de webhooks para un cliente activo.
+ * @param {string} customerName
+ * @param {string} url
+ * @param {string} secret - Secreto con el que se firman las entregas.
+ */
+export async function createWebhookEndpoint(customerName, url, secret) {
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO webhook_endpoints (customer_id, url, secret)
+       SELECT id, $2, $3 FROM customers WHERE name = $1 AND deactivated_at IS NULL
+       RETURNING id, url, created_at`,
+      [customerName, url, secret]
+    );
+    if (rows.length === 0) {
+      throw new AppError(`No existe el cliente activo "${customerName}"`, 404);
+    }
+    return rows[0];
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    if (error.code === '23505') {
+      throw new AppError(`El cliente "${customerName}" ya tiene el endpoint ${url}`, 409);
+    }
+    throw new DatabaseError(`Error al registrar endpoint de webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Lista los endpoints registrados, sin sus secretos.
+ */
+export async function listWebhookEndpoints() {
+  try {
+    const { rows } = await db.query(`
+      SELECT e.id, c.name AS customer, e.url, e.active, e.created_at
+      FROM webhook_endpoints e
+      JOIN customers c ON c.id = e.customer_id
+      ORDER BY e.id
+    `);
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al listar endpoints de webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Activa o desactiva un endpoint. Las entregas pendientes de un endpoint
+ * inactivo se conservan y se retoman si vuelve a activarse.
+ * @returns {Promise<number>} Endpoints actualizados.
+ */
+export async function setWebhookEndpointActive(id, active) {
+  try {
+    const { rowCount } = await db.query(
+      'UPDATE webhook_endpoints SET active = $2 WHERE id = $1',
+      [id, active]
+    );
+    return rowCount;
+  } catch (error) {
+    throw new DatabaseError(`Error al actualizar endpoint de webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Encola un evento `deposit.credited` por cada endpoint activo del cliente
+ * dueño de cada depósito (según la asignación activa al registrarse el
+ * depósito). Debe llamarse en la transacción que acredita los depósitos.
+ * @param {number[]} depositIds
+ * @param {Object} client - Cliente de la transacción en curso.
+ * @returns {Promise<number>} Entregas encoladas.
+ */
+export async function enqueueDepositCreditedWebhooks(depositIds, client) {
+  if (depositIds.length === 0) return 0;
+
+  try {
+    const { rowCount } = await client.query(
+      `INSERT INTO webhook_outbox (event_type, endpoint_id, deposit_id, payload)
+       SELECT 'deposit.credited', e.id, d.id,
+              jsonb_build_object(
+                'customer', c.name,
+                'txid', d.txid,
+                'vout', d.vout,
+                'address', d.address,
+                'amount', d.amount::text,
+                'confirmations', d.confirmations,
+                'blockhash', d.blockhash,
+                'blocktime', d.blocktime
+              )
+       FROM deposits d
+       JOIN addresses a
+         ON a.address = d.address
+        AND a.active_from <= d.created_at
+        AND (a.active_until IS NULL OR d.created_at < a.active_until)
+       JOIN customers c ON c.id = a.customer_id
+       JOIN webhook_endpoints e ON e.customer_id = c.id AND e.active
+       WHERE d.id = ANY($1::int[])`,
+      [depositIds]
+    );
+    return rowCount;
+  } catch (error) {
+    throw new DatabaseError(`Error al encolar webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Reserva hasta `limit` entregas vencidas de endpoints activos. La reserva
+ * corre `next_attempt_at` en `leaseMs`, de modo que otro despachador no las
+ * tome mientras se entregan; si el proceso muere, vuelven a vencer solas.
+ * @returns {Promise<Array<Object>>} Entregas con `url` y `secret` del endpoint.
+ */
+export async function claimDueWebhooks(limit, leaseMs) {
+  try {
+    const { rows } = await db.query(
+      `WITH due AS (
+         SELECT o.id
+         FROM webhook_outbox o
+         JOIN webhook_endpoints e ON e.id = o.endpoint_id AND e.active
+         WHERE o.status = 'pending' AND o.next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY o.next_attempt_at, o.id
+         LIMIT $1
+         FOR UPDATE OF o SKIP LOCKED
+       ),
+       claimed AS (
+         UPDATE webhook_outbox o
+         SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+         FROM due
+         WHERE o.id = due.id
+         RETURNING o.id, o.event_id, o.event_type, o.endpoint_id, o.payload, o.attempts, o.created_at
+       )
+       SELECT claimed.*, e.url, e.secret
+       FROM claimed
+       JOIN webhook_endpoints e ON e.id = claimed.endpoint_id
+       ORDER BY claimed.id`,
+      [limit, leaseMs]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al reservar webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Registra un intento de entrega y el nuevo estado de la entrega.
+ * @param {Object} attempt
+ * @param {number} attempt.outboxId
+ * @param {number|null} attempt.statusCode - Respuesta HTTP (`null` si no la hubo).
+ * @param {string|null} attempt.error
+ * @param {number} attempt.durationMs
+ * @param {string} attempt.status - `delivered`, `pending` (se reintenta) o `failed`.
+ * @param {Date} [attempt.nextAttemptAt] - Próximo intento si sigue pendiente.
+ */
+export async function recordWebhookAttempt({ outboxId, statusCode, error, durationMs, status, nextAttemptAt = null }) {
+  try {
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO webhook_delivery_attempts (outbox_id, status_code, error, duration_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [outboxId, statusCode, error, durationMs]
+      );
+      await client.query(
+        `UPDATE webhook_outbox SET
+           attempts = attempts + 1,
+           status = $2,
+           next_attempt_at = COALESCE($3, next_attempt_at),
+           last_error = $4,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+         WHERE id = $1`,
+        [outboxId, status, nextAttemptAt, error]
+      );
+    });
+  } catch (dbError) {
+    throw new DatabaseError(`Error al registrar intento de webhook: ${dbError.message}`);
+  }
+}
+
+/**
+ * Lista entregas, las más recientes primero.
+ * @param {Object} filters
+ * @param {string} [filters.status] - `pending`, `delivered` o `failed`.
+ * @param {number} filters.limit
+ */
+export async function listWebhookDeliveries({ status, limit }) {
+  try {
+    const { rows } = await db.query(
+      `SELECT o.id, o.event_id, o.event_type, c.name AS customer, e.url, o.status,
+              o.attempts, o.next_attempt_at, o.last_error, o.delivered_at, o.created_at
+       FROM webhook_outbox o
+       JOIN webhook_endpoints e ON e.id = o.endpoint_id
+       JOIN customers c ON c.id = e.customer_id
+       WHERE $1::text IS NULL OR o.status = $1
+       ORDER BY o.id DESC
+       LIMIT $2`,
+      [status ?? null, limit]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al listar entregas de webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Historial de intentos de una entrega, en orden cronológico.
+ */
+export async function getWebhookAttempts(outboxId) {
+  try {
+    const { rows } = await db.query(
+      `SELECT status_code, error, duration_ms, attempted_at
+       FROM webhook_delivery_attempts
+       WHERE outbox_id = $1
+       ORDER BY attempted_at, id`,
+      [outboxId]
+    );
+    return rows;
+  } catch (error) {
+    throw new DatabaseError(`Error al obtener intentos de webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Vuelve a encolar una entrega (fallida o ya entregada) para que se envíe
+ * de inmediato con un ciclo de reintentos completo. El historial se conserva.
+ * @throws {AppError} 404 si la entrega no existe.
+ */
+export async function redeliverWebhook(outboxId) {
+  try {
+    const { rowCount } = await db.query(
+      `UPDATE webhook_outbox SET
+         status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+       WHERE id = $1`,
+      [outboxId]
+    );
+    if (rowCount === 0) throw new AppError(`No existe la entrega ${outboxId}`, 404);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new DatabaseError(`Error al reencolar webhook: ${error.message}`);
+  }
+}
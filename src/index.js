@@ -1,103 +1,425 @@
+import fs from "fs/promises";
+import path from "path";
 import { logger } from "./utils/logger.js";
-import {
-  processTransactions,
-  aggregateValidDeposits,
-} from "./services/transactionProcessor.js";
+import { processTransactions } from "./services/transactionProcessor.js";
 import { saveExecutionLog } from "./db/depositRepository.js";
 import db from "./db/connection.js";
+import { createTransport } from "./transport/index.js";
+import { startConsumer, runConsumer } from "./services/consumer.js";
+import {
+  TRANSPORT,
+  TRANSACTION_SOURCE,
+  INPUT_FILES,
+  CONSUMER_BATCH_SIZE,
+  WATCH_INTERVAL_MS,
+} from "./config/index.js";
+import { createSource } from "./sources/index.js";
+import { getPolicy, configurePolicy } from "./services/validationPolicy.js";
+import {
+  createExecution,
+  resumeExecution,
+  finishExecution,
+  getCompletedFiles,
+} from "./db/executionRepository.js";
 import { v4 as uuidv4 } from 'uuid';
+import { saveExecutionReport, getExecutionReport } from "./db/reportRepository.js";
+import {
+  buildExecutionReport,
+  reportLines,
+  renderReport,
+  writeReport,
+  formatForFile,
+  REPORT_FORMATS,
+} from "./services/executionReport.js";
+import { simulateIngest } from "./services/dryRun.js";
+import { startMonitoringServer } from "./services/monitoring.js";
+import { runMigrationCommand } from "../migrations/runMigrations.js";
+import { parseOptions, exitCodeFor, EXIT_CODES } from "./cli/commandLine.js";
+import { AppError, UsageError } from "./utils/errors.js";
 
-async function main() {
-  const executionId = uuidv4();  // ID único por ejecución
+const USAGE = `Uso: npm start -- [comando] [opciones]
 
-  try {
-    // Log de inicio de ejecución
-    await saveExecutionLog({
-      executionId,
-      logLevel: 'INFO',
-      message: `Ejecución ${executionId} iniciada.`,
-    });
+  ingest (por defecto)           Lee la fuente, publica las transacciones y registra el reporte
+    --input <archivo>            Archivo de transacciones (repetible o separado por comas);
+                                 implica la fuente file y no descarta pendientes ausentes
+    --source <file|inbox|rpc>    Fuente de transacciones (por defecto, TRANSACTION_SOURCE)
+    --min-confirmations <n>      Reemplaza confirmations.min de la política de validación
+    --transport <amqp|memory>    Transporte de mensajes (por defecto, TRANSPORT)
+    --format <formato>           Formato del reporte por consola (por defecto, text)
+    --output <archivo>           Copia del reporte en un archivo (formato según la extensión)
+    --resume <executionId>       Reanuda una ejecución interrumpida
+    --watch                      Lanza una ejecución por cada entrada nueva de la fuente
+    --dry-run                    Valida y clasifica, e imprime el reporte que resultaría,
+                                 sin escribir en Postgres ni publicar en el broker
+    --fail-on-rejected           Con --dry-run, sale con 2 si alguna transacción sería rechazada
+  consume                        Consume transacciones del broker hasta recibir SIGTERM/SIGINT
+    --transport, --min-confirmations
+  report [executionId]           Reporte guardado de una ejecución o, sin id, el del estado actual
+    --format, --output
+  migrate [status|up|down]       Estado, aplicación o reversión de migraciones (por defecto, up)
+    --to <versión>               Versión destino de up/down
 
-    // Procesar transacciones
-    await processTransactions(executionId);
-    await saveExecutionLog({
-      executionId,
-      logLevel: 'INFO',
-      message: `Procesamiento de transacciones completado.`,
+  Formatos: ${REPORT_FORMATS.join(", ")}
+
+  Código de salida: 0 si termina bien; 1 ante un error de infraestructura
+  (Postgres, broker, nodo); 2 si la validación falla (entrada inválida,
+  con --fail-on-rejected transacciones rechazadas o, en migrate, migraciones
+  aplicadas que ya no coinciden con sus archivos); 64 si el uso es incorrecto.
+  Como en la ingesta real, que la política rechace transacciones no es un
+  fallo de --dry-run.`;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TRANSPORT_OPTION = { type: "string", choices: ["amqp", "memory"] };
+const MIN_CONFIRMATIONS_OPTION = { type: "integer" };
+const REPORT_OPTIONS = {
+  format: { type: "string", choices: REPORT_FORMATS },
+  output: { type: "string" },
+  // Nombres anteriores de `--format` y `--output`
+  "report-format": { alias: "format" },
+  "report-file": { alias: "output" },
+};
+
+/**
+ * Salida del reporte: `format` por consola y, con `file`, una copia en el
+ * formato que indica su extensión o, si no la reconoce, el de consola.
+ */
+function reportOutputFor({ format = "text", output = null }) {
+  const byExtension = output ? formatForFile(output) : null;
+  return {
+    format,
+    file: output,
+    fileFormat: byExtension === "text" && format !== "text" ? format : byExtension,
+  };
+}
+
+async function outputReport(report, { format, file, fileFormat }) {
+  process.stdout.write(renderReport(report, format));
+  if (file) {
+    await writeReport(report, file, fileFormat);
+    logger.info(`📝 Reporte escrito en ${file}`);
+  }
+}
+
+/**
+ * Rutas absolutas de los archivos de `--input`, relativas al directorio actual.
+ */
+async function resolveInputFiles(files) {
+  const resolved = files.map((file) => path.resolve(file));
+  for (const file of resolved) {
+    await fs.access(file).catch(() => {
+      throw new UsageError(`No existe el archivo de entrada: ${file}`);
     });
+  }
+  return resolved;
+}
 
-    // Agregar estadísticas de depósitos válidos
-    const { stats, smallest, largest } = await aggregateValidDeposits();
-
-    const customers = [
-      "Wesley Crusher",
-      "Leonard McCoy",
-      "Jonathan Archer",
-      "Jadzia Dax",
-      "Montgomery Scott",
-      "James T. Kirk",
-      "Spock",
-    ];
-
-    // Registro de los resultados por cliente
-    for (const name of customers) {
-      const { count, sum } = stats.known[name] || { count: 0, sum: 0.0 };
-      const message = `Deposited for ${name}: count=${count} sum=${sum.toFixed(8)}`;
-      console.log(message);
-      await saveExecutionLog({
-        executionId,
-        logLevel: 'INFO',
-        message,
+/**
+ * Ejecuta una ingesta completa: publica las transacciones de la fuente,
+ * espera al consumidor si corre en proceso y registra el reporte
+ * (ver `reportOutputFor`).
+ * Si falla, marca la ejecución como fallida, detiene el consumidor en proceso
+ * y relanza el error.
+ */
+async function runExecution({ transport, transportType, sourceType, files, resumeId = null, reportOutput }) {
+  const executionId = resumeId ?? uuidv4();  // ID único por ejecución
+  const source = createSource(sourceType, { files });
+  let consumer = null;
+
+  try {
+    // Registro de la ejecución (o reanudación de una interrumpida)
+    let completedFiles = new Map();
+    if (resumeId) {
+      await resumeExecution(executionId);
+      completedFiles = await getCompletedFiles(executionId);
+    } else {
+      const policy = getPolicy();
+      await createExecution(executionId, {
+        VALIDATION_POLICY_VERSION: policy.version,
+        MIN_CONFIRMATIONS: policy.confirmations.min,
+        TRANSACTION_SOURCE: sourceType,
+        INPUT_FILES: files,
+        TRANSPORT: transportType,
+        CONSUMER_BATCH_SIZE,
       });
     }
 
-    // Registro de depósitos sin referencia
-    const { count, sum } = stats.unknown || { count: 0, sum: 0.0 };
-    const unknownMessage = `Deposited without reference: count=${count} sum=${sum.toFixed(8)}`;
-    console.log(unknownMessage);
+    // Log de inicio de ejecución
     await saveExecutionLog({
       executionId,
       logLevel: 'INFO',
-      message: unknownMessage,
+      message: resumeId
+        ? `Ejecución ${executionId} reanudada (${completedFiles.size} archivos ya completados).`
+        : `Ejecución ${executionId} iniciada.`,
     });
 
-    // Registro de los depósitos más pequeños y más grandes
-    const smallestMessage = `Smallest valid deposit: ${smallest.toFixed(8)}`;
-    const largestMessage = `Largest valid deposit: ${largest.toFixed(8)}`;
-    console.log(smallestMessage);
-    console.log(largestMessage);
+    // Con un transporte en proceso, el consumidor corre en este mismo proceso
+    consumer = transport.inProcess ? await startConsumer({ transport }) : null;
 
-    await saveExecutionLog({
-      executionId,
-      logLevel: 'INFO',
-      message: smallestMessage,
-    });
+    // Procesar transacciones (falla si alguna no fue confirmada por el broker)
+    const counts = await processTransactions(executionId, { transport, source, completedFiles });
+
+    // Esperar a que el consumidor en proceso persista todo lo publicado
+    if (consumer) {
+      await transport.waitForIdle();
+      await consumer.stop();
+      consumer = null;
+    }
 
+    const published = counts.reduce((total, c) => total + c.published, 0);
     await saveExecutionLog({
       executionId,
       logLevel: 'INFO',
-      message: largestMessage,
+      message: `Procesamiento de transacciones completado: ${published} publicadas y confirmadas.`,
     });
 
+    // Reporte de la ejecución: estructurado en la base de datos y, en
+    // execution_logs, como líneas de texto
+    const report = await buildExecutionReport(executionId);
+    await saveExecutionReport(executionId, report);
+
+    for (const line of reportLines(report)) {
+      await saveExecutionLog({
+        executionId,
+        logLevel: 'INFO',
+        message: line,
+      });
+    }
+    await outputReport(report, reportOutput);
+
     // Finalizar ejecución exitosamente
     await saveExecutionLog({
       executionId,
       logLevel: 'INFO',
       message: `Ejecución ${executionId} finalizada correctamente.`,
     });
-
-    // Cerrar conexión a la base de datos
-    await db.pool.end();
+    await finishExecution(executionId, 'completed');
 
   } catch (error) {
-    // Registrar error en logger y base de datos
+    // Registrar error en logger y base de datos, sin reemplazar el error original
     await saveExecutionLog({
       executionId,
       logLevel: 'ERROR',
       message: `Error: ${error.message}`,
+    }).catch((err) => {
+      logger.error(`No se pudo registrar el error de la ejecución: ${err.message}`);
     });
+    await finishExecution(executionId, 'failed', error.message).catch((err) => {
+      logger.error(`No se pudo marcar la ejecución como fallida: ${err.message}`);
+    });
+
+    throw error;
+  } finally {
+    // Si la ejecución falló, el consumidor en proceso sigue corriendo; en modo
+    // watch se acumularía uno (con su temporizador) por cada ejecución
+    await consumer?.stop().catch((err) => {
+      logger.error(`No se pudo detener el consumidor: ${err.message}`);
+    });
+  }
+}
+
+/**
+ * Modo watch: lanza una ejecución cada vez que la fuente tiene entrada nueva
+ * (archivos en el inbox o, con RPC, en cada ciclo) hasta recibir una señal.
+ * Una ejecución fallida no detiene el ciclo.
+ */
+async function watch(options) {
+  const probe = createSource(options.sourceType, { files: options.files });
+  if (!probe.hasPending) {
+    throw new UsageError(`La fuente "${probe.name}" no admite modo watch`);
+  }
+
+  let stopping = false;
+  const stop = () => { stopping = true; };
+  process.on("SIGTERM", stop);
+  process.on("SIGINT", stop);
+
+  logger.info(`👀 Modo watch: revisando la fuente "${probe.name}" cada ${WATCH_INTERVAL_MS} ms`);
+  while (!stopping) {
+    if (await probe.hasPending()) {
+      await runExecution(options).catch((error) => {
+        logger.error(`❌ Ejecución fallida: ${error.message}`);
+      });
+    }
+    await new Promise((resolve) => setTimeout(resolve, WATCH_INTERVAL_MS));
+  }
+}
+
+/**
+ * `--dry-run`: clasifica la entrada e imprime el reporte que resultaría, sin
+ * escribir nada (ver `simulateIngest`). Las transacciones rechazadas por la
+ * política terminan bien, como en la ingesta real; con `failOnRejected`
+ * fallan la validación.
+ */
+async function dryRun({ sourceType, files, reportOutput, failOnRejected = false }) {
+  const { report, files: read, rejected } = await simulateIngest({
+    source: createSource(sourceType, { files }),
+  });
+  await outputReport(report, reportOutput);
+
+  const total = read.reduce((sum, file) => sum + file.transactions, 0);
+  logger.info(
+    `🧪 Simulación: ${total} transacciones en ${read.length} archivos, ${rejected} rechazadas. ` +
+    "No se escribió nada."
+  );
+  return failOnRejected && rejected > 0 ? EXIT_CODES.VALIDATION_FAILED : EXIT_CODES.SUCCESS;
+}
+
+async function ingest(_, options) {
+  if (options.minConfirmations !== undefined) {
+    configurePolicy({ minConfirmations: options.minConfirmations });
+  }
+  const sourceType = options.source ?? (options.input ? "file" : TRANSACTION_SOURCE);
+  if (options.input && sourceType !== "file") {
+    throw new UsageError("--input solo aplica a la fuente file");
+  }
+  const files = options.input ? await resolveInputFiles(options.input) : INPUT_FILES;
+  const reportOutput = reportOutputFor(options);
+
+  if (options.failOnRejected && !options.dryRun) {
+    throw new UsageError("--fail-on-rejected solo aplica con --dry-run");
+  }
+  if (options.dryRun) {
+    if (options.watch || options.resume || options.transport) {
+      throw new UsageError("--dry-run no admite --watch, --resume ni --transport");
+    }
+    // Leer el inbox mueve y registra sus archivos
+    if (sourceType === "inbox") {
+      throw new UsageError("--dry-run no admite la fuente inbox");
+    }
+    return dryRun({ sourceType, files, reportOutput, failOnRejected: options.failOnRejected });
+  }
+
+  if (options.watch && options.resume) {
+    throw new UsageError("--watch no admite --resume");
+  }
+
+  const transportType = options.transport ?? TRANSPORT;
+  const transport = createTransport(transportType);
+  if (options.minConfirmations !== undefined && !transport.inProcess) {
+    logger.warn("--min-confirmations no aplica al consumidor externo, que usa su propia política");
+  }
+
+  const monitoring = await startMonitoringServer({ transport });
+  const execution = { transport, transportType, sourceType, files, reportOutput };
+  if (options.watch) {
+    await watch(execution);
+  } else {
+    await runExecution({ ...execution, resumeId: options.resume });
+  }
+
+  // Cerrar el servidor de métricas y la conexión con el broker
+  await monitoring.close();
+  await transport.close();
+  return EXIT_CODES.SUCCESS;
+}
 
-    process.exit(1);
+async function consume(_, options) {
+  if (options.minConfirmations !== undefined) {
+    configurePolicy({ minConfirmations: options.minConfirmations });
+  }
+  const transport = createTransport(options.transport ?? TRANSPORT);
+  if (transport.inProcess) {
+    throw new UsageError(`El transporte ${transport.name} solo se consume dentro de ingest`);
+  }
+  await runConsumer(transport);
+}
+
+async function showReport([executionId], options) {
+  let report;
+  if (executionId) {
+    if (!UUID_PATTERN.test(executionId)) {
+      throw new UsageError(`Identificador de ejecución inválido: ${executionId}`);
+    }
+    report = await getExecutionReport(executionId);
+    if (!report) throw new AppError(`La ejecución ${executionId} no tiene reporte`, 404);
+  } else {
+    report = await buildExecutionReport(null);
+  }
+
+  const { format, file, fileFormat } = reportOutputFor(options);
+  if (file) {
+    await writeReport(report, file, fileFormat);
+    console.log(`Reporte escrito en ${file}`);
+  } else {
+    process.stdout.write(renderReport(report, format));
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+async function migrate([command = "up"], options) {
+  if (!["status", "up", "down"].includes(command)) {
+    throw new UsageError(`Comando de migraciones desconocido: ${command}`);
+  }
+  if (options.to !== undefined && !/^\d{1,4}$/.test(options.to)) {
+    throw new UsageError(`Versión de migración inválida: ${options.to}`);
+  }
+  const consistent = await runMigrationCommand(command, options);
+  return consistent ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+}
+
+/**
+ * Subcomandos: opciones que admiten, cuántos argumentos posicionales y si el
+ * proceso sigue vivo al volver (el consumidor termina con una señal).
+ */
+const COMMANDS = {
+  ingest: {
+    run: ingest,
+    options: {
+      input: { type: "list" },
+      source: { type: "string", choices: ["file", "inbox", "rpc"] },
+      "min-confirmations": MIN_CONFIRMATIONS_OPTION,
+      transport: TRANSPORT_OPTION,
+      resume: { type: "string" },
+      watch: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      "fail-on-rejected": { type: "boolean" },
+      ...REPORT_OPTIONS,
+    },
+  },
+  consume: {
+    run: consume,
+    options: { transport: TRANSPORT_OPTION, "min-confirmations": MIN_CONFIRMATIONS_OPTION },
+    keepAlive: true,
+  },
+  report: { run: showReport, options: REPORT_OPTIONS, positional: 1 },
+  migrate: { run: migrate, options: { to: { type: "string" } }, positional: 1 },
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes("--help") || argv.includes("-h")) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Sin comando (o solo con opciones) se ejecuta `ingest`, como antes
+  const [name, rest] = argv.length === 0 || argv[0].startsWith("--")
+    ? ["ingest", argv]
+    : [argv[0], argv.slice(1)];
+
+  try {
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Comando desconocido: ${name}`);
+    const { positional, options } = parseOptions(rest, command.options);
+    if (positional.length > (command.positional ?? 0)) {
+      throw new UsageError(`Argumento inesperado: ${positional[command.positional ?? 0]}`);
+    }
+
+    const exitCode = await command.run(positional, options);
+    if (command.keepAlive) return;
+
+    // Cerrar la conexión con la base de datos
+    await db.pool.end();
+    process.exitCode = exitCode;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      logger.error(`❌ ${error.message}`);
+    }
+    process.exit(exitCodeFor(error));
   }
 }
 
@@ -1,83 +1,387 @@
-import { connectRabbitMQ } from "../utils/rabbitmq.js";
+import { fileURLToPath } from "url";
+import { createTransport } from "../transport/index.js";
+import { TransactionValidationError } from "../utils/errors.js";
+import { saveFailedTransactionsInBatch } from "../db/depositRepository.js";
 import {
-  saveValidDepositsInBatch,
-  saveFailedTransactionsInBatch,
-} from "../db/depositRepository.js";
+  incrementExecutionCounters,
+  saveExecutionOutcomes,
+  findExecutionIds,
+} from "../db/executionRepository.js";
+import db from "../db/connection.js";
+import { persistDepositBatch } from "./depositLifecycle.js";
+import { persistLedgerEntries, ledgerEntriesFor } from "./ledger.js";
+import { DEPOSIT_STATUS } from "./transactionHelpers.js";
+import { evaluateTransaction, getPolicy } from "./validationPolicy.js";
+import { isAmount, normalizeAmount } from "../utils/amount.js";
+import { sha256 } from "../utils/fileReader.js";
+import { PUBLISHED_AT_HEADER } from "../transport/retryPolicy.js";
 import {
-  validateTransaction,
-  isValidDeposit,
-  getFailureReason,
-} from "./transactionHelpers.js";
+  transactionsConsumed,
+  depositsCredited,
+  transactionFailures,
+  batchFlushDuration,
+  queueLag,
+} from "../utils/metrics.js";
+import { startMonitoringServer } from "./monitoring.js";
+import {
+  CONSUMER_BATCH_SIZE,
+  CONSUMER_FLUSH_INTERVAL_MS,
+} from "../config/index.js";
 
-(async function consumeMessages() {
-  try {
-    const channel = await connectRabbitMQ();
-    const queue = "transactions";
-    const batchSize = 50; // Tamaño del lote para procesar en batch
-    let validBatch = [];
-    let failedBatch = [];
-
-    // Asegurar que la cola exista
-    await channel.assertQueue(queue, { durable: true });
-
-    // Configurar prefetch para controlar cuántos mensajes se procesan en paralelo
-    channel.prefetch(20);
-
-    console.log(`🎧 Esperando mensajes en la cola "${queue}"...`);
-
-    // Consumir mensajes de la cola
-    channel.consume(queue, async (msg) => {
-      if (msg) {
-        const { tx, executionId } = JSON.parse(msg.content.toString());
-
-        try {
-          console.log(`📥 Procesando transacción: ${JSON.stringify(tx)}`);
-          validateTransaction(tx);
-
-          if (isValidDeposit(tx)) {
-            validBatch.push({
-              txid: tx.txid,
-              address: tx.address,
-              amount: tx.amount,
-              confirmations: tx.confirmations,
-              executionId,
-            });
-            console.log(`✅ Transacción válida: ${tx.txid}`);
-          } else {
-            failedBatch.push({
-              executionId,
-              txid: tx.txid,
-              address: tx.address,
-              amount: tx.amount,
-              confirmations: tx.confirmations,
-              reason: getFailureReason(tx),
-            });
-            console.log(`❌ Transacción inválida: ${tx.txid}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error procesando transacción: ${error.message}`);
-        }
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-        channel.ack(msg);
+/**
+ * Indica si un error al procesar un mensaje puede resolverse reintentando.
+ */
+function isRetryable(error) {
+  return !(error instanceof SyntaxError || error instanceof TransactionValidationError);
+}
+
+/**
+ * Clasifica una transacción según la política: depósito (`receive`), otro
+ * movimiento del libro mayor (`send`, `generate`, `immature`) o fallida.
+ * Las fallidas guardan el código y la regla que falló; sus campos se
+ * registran solo si tienen el formato esperado, y su huella (SHA-256 del
+ * JSON) evita registrarlas dos veces si el mensaje se reentrega.
+ * @returns {{kind: 'valid'|'ledger'|'failed', record: Object}}
+ */
+export function classifyTransaction(tx, executionId, policy) {
+  const result = evaluateTransaction(tx, policy);
+  if (result.valid && tx.category !== "receive") {
+    return {
+      kind: "ledger",
+      record: {
+        txid: tx.txid,
+        vout: tx.vout,
+        category: tx.category,
+        address: tx.address,
+        amount: normalizeAmount(tx.amount),
+        fee: tx.fee === undefined ? undefined : normalizeAmount(tx.fee),
+        confirmations: tx.confirmations,
+        blockhash: tx.blockhash,
+        blocktime: tx.blocktime,
+        executionId,
+      },
+    };
+  }
+  if (result.valid) {
+    return {
+      kind: "valid",
+      record: {
+        txid: tx.txid,
+        vout: tx.vout,
+        address: tx.address,
+        amount: normalizeAmount(tx.amount),
+        confirmations: tx.confirmations,
+        blockhash: tx.blockhash,
+        blockindex: tx.blockindex,
+        blocktime: tx.blocktime,
+        walletconflicts: tx.walletconflicts ?? [],
+        replaceable: tx["bip125-replaceable"],
+        executionId,
+      },
+    };
+  }
+
+  return {
+    kind: "failed",
+    record: {
+      executionId,
+      txid: typeof tx.txid === "string" ? tx.txid : null,
+      vout: Number.isInteger(tx.vout) ? tx.vout : null,
+      address: typeof tx.address === "string" ? tx.address : null,
+      amount: isAmount(tx.amount) ? normalizeAmount(tx.amount) : null,
+      confirmations: Number.isInteger(tx.confirmations) ? tx.confirmations : null,
+      reason: result.message,
+      reasonCode: result.code,
+      rule: result.rule,
+      policyVersion: policy.version,
+      fingerprint: sha256(JSON.stringify(tx)),
+    },
+  };
+}
+
+/**
+ * Cuenta por ejecución los depósitos acreditados/pendientes escritos y las
+ * transacciones fallidas registradas (sin las duplicadas) de un lote.
+ * @returns {Map<string, {credited: number, pending: number, failed: number}>}
+ */
+function countByExecution(saved, failed) {
+  const counters = new Map();
+  const counterFor = (executionId) => {
+    if (!counters.has(executionId)) {
+      counters.set(executionId, { credited: 0, pending: 0, failed: 0 });
+    }
+    return counters.get(executionId);
+  };
+
+  for (const { executionId, status } of saved) {
+    if (status === DEPOSIT_STATUS.CREDITED) counterFor(executionId).credited += 1;
+    if (status === DEPOSIT_STATUS.PENDING) counterFor(executionId).pending += 1;
+  }
+  for (const { executionId } of failed) {
+    counterFor(executionId).failed += 1;
+  }
+  return counters;
+}
+
+/**
+ * Métricas de un lote ya confirmado: mensajes por resultado, depósitos que
+ * pasaron a acreditados y fallidas registradas por motivo.
+ */
+function recordFlushMetrics(entries, saved, recorded) {
+  for (const { kind } of entries) transactionsConsumed.inc({ kind });
+  depositsCredited.inc(
+    saved.filter(({ changed, status }) => changed && status === DEPOSIT_STATUS.CREDITED).length
+  );
+  for (const { reason_code: reasonCode } of recorded) {
+    transactionFailures.inc({ reason_code: reasonCode });
+  }
+}
+
+/**
+ * Arranca el consumidor de transacciones sobre el transporte dado.
+ * Los mensajes se acumulan en lotes que se escriben al llenarse o cada
+ * `flushIntervalMs`; ningún mensaje se confirma (ack) antes de que su lote
+ * haga COMMIT. Un mensaje sin una ejecución registrada va a la DLQ sin
+ * reintentos antes de escribir el lote, para no hacerlo fallar entero.
+ *
+ * @param {Object} options
+ * @param {Object} options.transport - Transporte de mensajes (ver `src/transport`).
+ * @param {number} [options.batchSize]
+ * @param {number} [options.flushIntervalMs]
+ * @param {Object} [options.policy] - Política de validación (por defecto, la vigente).
+ * @returns {Promise<{stop: () => Promise<void>, closed: Promise<Error>}>}
+ *   `stop()` deja de recibir mensajes y escribe lo acumulado; `closed`
+ *   resuelve con el error si el transporte pierde el consumo, tras descartar
+ *   lo acumulado sin confirmar.
+ */
+export async function startConsumer({
+  transport,
+  batchSize = CONSUMER_BATCH_SIZE, // Tamaño del lote para procesar en batch
+  flushIntervalMs = CONSUMER_FLUSH_INTERVAL_MS,
+  policy = getPolicy(),
+}) {
+  // Mensajes ya clasificados que esperan a que su lote se escriba
+  let batch = [];
+  let flushChain = Promise.resolve();
+  // Ejecuciones ya verificadas; una ejecución registrada no desaparece
+  const knownExecutions = new Set();
+
+  /**
+   * Separa las entradas cuya ejecución está registrada de las que no: sin
+   * su ejecución no pueden escribirse y, dentro del lote, harían fallar a
+   * las demás.
+   * @returns {Promise<{known: Array, unknown: Array}>}
+   */
+  async function partitionByExecution(entries) {
+    // Postgres devuelve los UUID en minúsculas
+    const isKnown = ({ record }) => knownExecutions.has(record.executionId.toLowerCase());
+    const unverified = [
+      ...new Set(entries.filter((entry) => !isKnown(entry)).map(({ record }) => record.executionId)),
+    ];
+    if (unverified.length > 0) {
+      for (const executionId of await findExecutionIds(unverified)) knownExecutions.add(executionId);
+    }
+    return {
+      known: entries.filter(isKnown),
+      unknown: entries.filter((entry) => !isKnown(entry)),
+    };
+  }
+
+  /**
+   * Escribe el lote actual en una sola transacción y, tras el COMMIT,
+   * confirma sus mensajes. Antes aparta a la DLQ los mensajes de ejecuciones
+   * no registradas. Si la escritura falla, cada mensaje se
+   * reprograma (o va a la DLQ si agotó sus reintentos). Los flush se
+   * encadenan para que nunca se ejecuten dos a la vez; un error inesperado
+   * se registra sin cortar la cadena.
+   */
+  function flush() {
+    flushChain = flushChain.then(async () => {
+      if (batch.length === 0) return;
+      let current = batch;
+      batch = [];
+
+      let unknown;
+      try {
+        ({ known: current, unknown } = await partitionByExecution(current));
+      } catch (error) {
+        console.error(`❌ Error al verificar las ejecuciones del lote: ${error.message}`);
+        await Promise.all(current.map(({ message }) => message.retryOrDeadLetter(error)));
+        return;
       }
+      // Una ejecución desconocida no aparece reintentando: va a la DLQ
+      await Promise.all(
+        unknown.map(({ message, record }) => {
+          const error = new TransactionValidationError(`Ejecución desconocida: ${record.executionId}`);
+          transactionsConsumed.inc({ kind: "invalid" });
+          return message.retryOrDeadLetter(error, { retryable: false }).then(
+            (destination) => console.error(`❌ Error procesando transacción (${destination}): ${error.message}`),
+            (moveError) => console.error(`❌ No se pudo mover la transacción: ${moveError.message}`)
+          );
+        })
+      );
+      if (current.length === 0) return;
+
+      const valid = current.filter((e) => e.kind === "valid").map((e) => e.record);
+      const ledger = current.filter((e) => e.kind === "ledger").map((e) => e.record);
+      const failed = current.filter((e) => e.kind === "failed").map((e) => e.record);
+
+      const endTimer = batchFlushDuration.startTimer();
+      try {
+        const { saved, recorded, duplicates } = await db.withTransaction(async (client) => {
+          const saved = await persistDepositBatch(valid, client);
+          await persistLedgerEntries(ledger.flatMap(ledgerEntriesFor), client);
+          await saveExecutionOutcomes(
+            [
+              ...valid.map(({ executionId, txid, vout }) => ({ executionId, txid, vout, recordType: "deposit" })),
+              ...ledger.map(({ executionId, txid, vout }) => ({ executionId, txid, vout, recordType: "ledger" })),
+            ],
+            client
+          );
+          const { rows: recorded, skipped } = await saveFailedTransactionsInBatch(failed, client);
+          await incrementExecutionCounters(
+            countByExecution(saved, recorded.map((row) => ({ executionId: row.execution_id }))),
+            client
+          );
+          return { saved, recorded, duplicates: skipped };
+        });
+        endTimer({ outcome: "committed" });
+        // Los mensajes de un consumo perdido no se confirman: el broker los reentrega
+        const acked = current.filter(({ message }) => message.ack()).length;
+        if (acked < current.length) {
+          console.warn(`⚠️ ${current.length - acked} mensajes del lote quedan sin confirmar; se reentregarán`);
+        }
+        recordFlushMetrics(current, saved, recorded);
+        console.log(
+          `💾 Lote guardado: ${valid.length} depósitos, ${ledger.length} otros movimientos, ${failed.length} fallidas` +
+            (duplicates > 0 ? ` (${duplicates} ya registradas)` : "")
+        );
+      } catch (error) {
+        endTimer({ outcome: "failed" });
+        console.error(`❌ Error al guardar lote: ${error.message}`);
+        await Promise.all(current.map(({ message }) => message.retryOrDeadLetter(error)));
+      }
+    }).catch((error) => {
+      console.error(`❌ Error inesperado al cerrar un lote: ${error.message}`);
     });
+    return flushChain;
+  }
 
-    // Manejar cierre de conexión al finalizar
-    process.on("SIGINT", async () => {
-      console.log("🛑 Cierre de consumidor en curso...");
+  function handleMessage(message) {
+    const publishedAt = Number(message.headers[PUBLISHED_AT_HEADER]);
+    if (publishedAt > 0) queueLag.observe((Date.now() - publishedAt) / 1000);
 
-      if (validBatch.length > 0) {
-        await saveValidDepositsInBatch(validBatch);
+    try {
+      const { tx, executionId } = JSON.parse(message.content.toString());
+      console.log(`📥 Procesando transacción: ${JSON.stringify(tx)}`);
+      if (typeof tx !== "object" || tx === null || Array.isArray(tx)) {
+        throw new TransactionValidationError(`Transacción inválida: ${JSON.stringify(tx)}`);
       }
-      if (failedBatch.length > 0) {
-        await saveFailedTransactionsInBatch(failedBatch);
+      if (typeof executionId !== "string" || !UUID_PATTERN.test(executionId)) {
+        throw new TransactionValidationError(`Ejecución inválida: ${JSON.stringify(executionId)}`);
       }
 
-      await channel.close();
-      console.log("✅ Conexión a RabbitMQ cerrada.");
-      process.exit(0);
-    });
+      const { kind, record } = classifyTransaction(tx, executionId, policy);
+      batch.push({ message, kind, record });
+      console.log(
+        kind === "failed"
+          ? `❌ Transacción inválida (${record.reasonCode}): ${tx.txid}`
+          : `✅ Transacción válida: ${tx.txid}`
+      );
+
+      if (batch.length >= batchSize) flush();
+    } catch (error) {
+      // Un mensaje malformado o inválido no se arregla reintentando
+      transactionsConsumed.inc({ kind: "invalid" });
+      message
+        .retryOrDeadLetter(error, { retryable: isRetryable(error) })
+        .then(
+          (destination) => console.error(`❌ Error procesando transacción (${destination}): ${error.message}`),
+          (moveError) => console.error(`❌ No se pudo mover la transacción: ${moveError.message}`)
+        );
+    }
+  }
+
+  const flushTimer = setInterval(flush, flushIntervalMs);
+  const subscription = await transport.consume(handleMessage);
+
+  console.log(`🎧 Esperando mensajes (transporte ${transport.name})...`);
+
+  // Sin consumo no hay con qué confirmar lo acumulado; el broker lo reentrega
+  const closed = subscription.closed.then((error) => {
+    clearInterval(flushTimer);
+    if (batch.length > 0) {
+      console.warn(`⚠️ Se descartan ${batch.length} mensajes sin confirmar; se reentregarán`);
+    }
+    batch = [];
+    return error;
+  });
+
+  return {
+    closed,
+    async stop() {
+      clearInterval(flushTimer);
+      await subscription.cancel();
+      await flush();
+    },
+  };
+}
+
+/**
+ * Corre el consumidor como proceso propio (`npm run consumer` o
+ * `npm start -- consume`) hasta recibir SIGTERM o SIGINT: conecta el
+ * transporte, consume, expone métricas y salud (ver `startMonitoringServer`)
+ * y, al recibir la señal, escribe lo acumulado, cierra las conexiones y
+ * termina el proceso. Lo no confirmado al cerrar vuelve a la cola sin
+ * perderse. Si pierde la conexión con el broker, cierra del mismo modo con
+ * código 1 para que el orquestador lo reinicie. Si no puede arrancar,
+ * cierra el transporte y relanza el error.
+ *
+ * @param {Object} [transport] - Transporte de mensajes (por defecto, el configurado).
+ */
+export async function runConsumer(transport = createTransport()) {
+  let consumer;
+  let monitoring;
+  let shuttingDown = false;
+
+  async function shutdown(signal, exitCode = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 Cierre de consumidor en curso (${signal})...`);
+
+    await consumer?.stop();
+    await monitoring?.close();
+    await transport.close();
+    await db.pool.end();
+    process.exit(exitCode);
+  }
+
+  // Docker envía SIGTERM; SIGINT llega con Ctrl+C
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
+  try {
+    await transport.connect();
+    consumer = await startConsumer({ transport });
+    monitoring = await startMonitoringServer({ transport });
   } catch (error) {
-    console.error("❌ Error al consumir mensajes:", error.message);
+    await transport.close();
+    throw error;
   }
-})();
+
+  consumer.closed.then((error) => {
+    console.error(`❌ Consumo interrumpido: ${error.message}`);
+    shutdown("consumo perdido", 1);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runConsumer().catch(async (error) => {
+    console.error("❌ Error al consumir mensajes:", error.message);
+    await db.pool.end();
+    process.exit(1);
+  });
+}
@@ -0,0 +1,180 @@
+import db from "../db/connection.js";
+import {
+  findDepositsByKeys,
+  findDepositsByTxids,
+  saveValidDepositsInBatch,
+  saveDepositTransitions,
+  saveExecutionLog,
+  holdConflictingDeposits,
+} from "../db/depositRepository.js";
+import { findActiveCustomersByAddresses } from "../db/customerRepository.js";
+import { enqueueDepositCreditedWebhooks } from "../db/webhookRepository.js";
+import { resolveDepositUpdate, DEPOSIT_STATUS } from "./transactionHelpers.js";
+import { getPolicy, requiredConfirmations } from "./validationPolicy.js";
+import { persistLedgerEntries, receiveEntry } from "./ledger.js";
+import { assessDepositRisk, isHeld, RISK_FLAGS } from "./riskAssessment.js";
+import { DatabaseError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Clave de identidad de un depósito.
+ */
+export function depositKey({ txid, vout }) {
+  return `${txid}:${vout}`;
+}
+
+/**
+ * Persiste un lote de depósitos aplicando el ciclo de vida
+ * (pending -> credited, credited -> reorged) y registrando cada transición
+ * con la ejecución que la provocó, y reflejando cada depósito como crédito
+ * `receive` del libro mayor. El mínimo de confirmaciones para
+ * acreditar sale de la política vigente, según el cliente de la dirección.
+ * Los depósitos con señales de riesgo de doble gasto (RBF, conflictos del
+ * wallet o conflicto con un depósito ya registrado) quedan retenidos
+ * (`held`) hasta la profundidad `risk.clearConfirmations`; en un doble gasto
+ * también se retiene el depósito registrado con el que choca, si aún no
+ * alcanza esa profundidad. Cada reorganización
+ * detectada queda además en `execution_logs` con el bloque anterior y el
+ * nuevo, y cada acreditación encola su webhook `deposit.credited`. Todo el
+ * lote se escribe en una sola transacción: la del `client` recibido o una
+ * propia si no se pasa ninguno.
+ * 
+ * @param {Array<Object>} deposits - Depósitos válidos con `executionId`.
+ * @param {Object} [client] - Cliente de una transacción en curso.
+ * @returns {Promise<Array<Object>>} Depósitos escritos, con su `status` final
+ *   y `changed` si hubo transición.
+ */
+export async function persistDepositBatch(deposits, client) {
+  const unique = dedupeDeposits(deposits);
+  if (unique.length === 0) return [];
+
+  const run = client
+    ? (callback) => callback(client)
+    : (callback) => db.withTransaction(callback);
+
+  try {
+    return await run(async (client) => {
+      const existing = await findDepositsByKeys(unique, client);
+      const policy = getPolicy();
+      // Solo hace falta el cliente si la política tiene excepciones por cliente
+      const customers = policy.confirmations.perCustomer.size > 0
+        ? await findActiveCustomersByAddresses([...new Set(unique.map((d) => d.address))], client)
+        : new Map();
+      const storedByTxid = await findDepositsByTxids(
+        [...new Set(unique.flatMap((d) => d.walletconflicts ?? []))],
+        client
+      );
+      const batchKeys = new Set(unique.map(depositKey));
+      const holds = [];
+      const conflictHolds = new Map();
+      const toSave = [];
+      const transitions = [];
+      const reorgs = [];
+
+      for (const deposit of unique) {
+        const current = existing.get(depositKey(deposit));
+        const minConfirmations = requiredConfirmations(customers.get(deposit.address), policy);
+        const risk = assessDepositRisk(deposit, storedByTxid);
+        const held = isHeld(risk, deposit, policy);
+        const next = resolveDepositUpdate(current, { ...deposit, held }, minConfirmations);
+        if (!next) continue;
+
+        toSave.push({ ...deposit, status: next.status, riskFlags: risk.flags, changed: next.changed });
+        if (next.changed && next.status === DEPOSIT_STATUS.HELD) holds.push({ deposit, risk });
+        for (const stored of risk.storedConflicts) {
+          // Un depósito que también viene en el lote se evalúa por su cuenta
+          if (stored.confirmations >= policy.risk.clearConfirmations || batchKeys.has(depositKey(stored))) continue;
+          conflictHolds.set(depositKey(stored), { ...stored, executionId: deposit.executionId, conflictWith: deposit });
+        }
+        if (next.changed) {
+          transitions.push({
+            key: depositKey(deposit),
+            fromStatus: current?.status ?? null,
+            toStatus: next.status,
+            executionId: deposit.executionId,
+          });
+        }
+        if (next.reorg) reorgs.push({ deposit, ...next.reorg });
+      }
+
+      const { rows: saved } = await saveValidDepositsInBatch(toSave, client);
+      const ids = new Map(saved.map((row) => [depositKey(row), row.id]));
+
+      await saveDepositTransitions(
+        transitions.map(({ key, ...transition }) => ({
+          ...transition,
+          depositId: ids.get(key),
+        })),
+        client
+      );
+
+      // Notificación de acreditación en la misma transacción (outbox)
+      await enqueueDepositCreditedWebhooks(
+        transitions
+          .filter(({ toStatus }) => toStatus === DEPOSIT_STATUS.CREDITED)
+          .map(({ key }) => ids.get(key)),
+        client
+      );
+
+      await persistLedgerEntries(
+        toSave.map((deposit) => receiveEntry(deposit, ids.get(depositKey(deposit)))),
+        client
+      );
+
+      const conflicts = [...conflictHolds.values()];
+      const heldConflicts = await holdConflictingDeposits(conflicts, RISK_FLAGS.DOUBLE_SPEND, client);
+      for (const row of heldConflicts) {
+        const { executionId, conflictWith } = conflictHolds.get(depositKey(row));
+        const message =
+          `Depósito registrado ${depositKey(row)} (${row.from_status}) retenido para revisión ` +
+          `(${RISK_FLAGS.DOUBLE_SPEND}): en conflicto con ${depositKey(conflictWith)}`;
+        logger.warn(message);
+        await saveExecutionLog({ executionId, logLevel: "WARN", message }, client);
+      }
+
+      for (const { deposit, risk } of holds) {
+        const stored = risk.storedConflicts.map(depositKey);
+        const message =
+          `Depósito ${depositKey(deposit)} retenido para revisión (${risk.flags.join(", ")})` +
+          (stored.length > 0 ? `; en conflicto con depósitos registrados: ${stored.join(", ")}` : "");
+        logger.warn(message);
+        await saveExecutionLog(
+          { executionId: deposit.executionId, logLevel: "WARN", message },
+          client
+        );
+      }
+
+      for (const { deposit, oldBlock, newBlock } of reorgs) {
+        const message =
+          `Reorganización detectada en ${depositKey(deposit)}: ` +
+          `bloque anterior ${JSON.stringify(oldBlock)}, bloque nuevo ${JSON.stringify(newBlock)}`;
+        logger.warn(message);
+        await saveExecutionLog(
+          { executionId: deposit.executionId, logLevel: "WARN", message },
+          client
+        );
+      }
+
+      return toSave;
+    });
+  } catch (error) {
+    throw new DatabaseError(`Error al guardar lote de depósitos: ${error.message}`);
+  }
+}
+
+/**
+ * Deja un solo registro por (txid, vout) dentro del lote, el de más
+ * confirmaciones. Postgres no permite que un mismo INSERT ... ON CONFLICT
+ * actualice dos veces la misma fila.
+ */
+function dedupeDeposits(deposits) {
+  const byKey = new Map();
+  for (const deposit of deposits) {
+    const key = depositKey(deposit);
+    const current = byKey.get(key);
+    if (!current || deposit.confirmations >= current.confirmations) {
+      byKey.set(key, deposit);
+    }
+  }
+  return [...byKey.values()];
+}
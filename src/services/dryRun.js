@@ -0,0 +1,142 @@
+import { classifyTransaction } from "./consumer.js";
+import { depositKey } from "./depositLifecycle.js";
+import { ledgerEntriesFor, receiveEntry, ENTRY_STATUS } from "./ledger.js";
+import { getDepositStatus } from "./transactionHelpers.js";
+import { getPolicy, requiredConfirmations } from "./validationPolicy.js";
+import { assessDepositRisk, isHeld } from "./riskAssessment.js";
+import { aggregateDeposits } from "./transactionProcessor.js";
+import { createReport } from "./executionReport.js";
+import { listCustomers, findActiveCustomersByAddresses } from "../db/customerRepository.js";
+import { toSats, formatSats } from "../utils/amount.js";
+
+/**
+ * Simula una ingesta sin escribir nada (`--dry-run`): clasifica las
+ * transacciones de la fuente con la política, igual que el consumidor, y
+ * arma el reporte que resultaría de procesarlas. De Postgres solo se leen
+ * los clientes y sus direcciones activas (y, con la fuente `rpc`, su
+ * cursor); nada se publica y la fuente no se confirma.
+ *
+ * El reporte cubre solo la entrada, como si no hubiera depósitos previos:
+ * no hay reorganizaciones, descartes ni conflictos con depósitos guardados.
+ * Dentro de la entrada, cada (txid, vout) queda con su observación de más
+ * confirmaciones, como en un lote del consumidor.
+ *
+ * @param {Object} options
+ * @param {Object} options.source - Fuente de transacciones (ver `src/sources`).
+ * @param {Object} [options.policy] - Política de validación (por defecto, la vigente).
+ * @returns {Promise<{report: Object, files: Array<{origin: string, transactions: number}>, rejected: number}>}
+ *   `rejected` son las transacciones que no pasan la política.
+ */
+export async function simulateIngest({ source, policy = getPolicy() }) {
+  const deposits = new Map();
+  const entries = new Map();
+  const failures = [];
+  const files = [];
+
+  // Un asiento por (txid, vout, tipo), el de más confirmaciones
+  const keepLatest = (map, key, record) => {
+    const current = map.get(key);
+    if (!current || record.confirmations >= current.confirmations) map.set(key, record);
+  };
+
+  for await (const unit of source.read({})) {
+    let transactions = 0;
+    for await (const tx of unit.transactions()) {
+      transactions += 1;
+      const { kind, record } = classifyTransaction(tx, null, policy);
+      if (kind === "valid") {
+        keepLatest(deposits, depositKey(record), record);
+      } else if (kind === "ledger") {
+        for (const entry of ledgerEntriesFor(record)) {
+          keepLatest(entries, `${depositKey(entry)}:${entry.entryType}`, entry);
+        }
+      } else {
+        failures.push(record);
+      }
+    }
+    files.push({ origin: unit.origin, transactions });
+  }
+
+  const customerNames = (await listCustomers()).map(({ name }) => name);
+  const addresses = [...deposits.values(), ...entries.values()].map(({ address }) => address);
+  const customers = await findActiveCustomersByAddresses([...new Set(addresses)]);
+
+  const resolved = [...deposits.values()].map((deposit) => {
+    const customer = customers.get(deposit.address) ?? null;
+    const held = isHeld(assessDepositRisk(deposit, new Map()), deposit, policy);
+    const status = getDepositStatus({ ...deposit, held }, requiredConfirmations(customer, policy));
+    return { ...deposit, status, customer };
+  });
+
+  const report = createReport({
+    executionId: null,
+    dryRun: true,
+    policy,
+    aggregate: aggregateDeposits(resolved, customerNames),
+    failuresByReason: failuresByReason(failures),
+    balances: ledgerBalances(
+      [...resolved.map((deposit) => receiveEntry(deposit, null)), ...entries.values()],
+      customers,
+      customerNames
+    ),
+  });
+
+  return { report, files, rejected: failures.length };
+}
+
+/**
+ * Fallidas agrupadas como `getFailuresByReason`: por código y regla, de más
+ * a menos frecuentes; `sum` es `null` si ninguna tiene monto válido.
+ */
+function failuresByReason(failures) {
+  const groups = new Map();
+  for (const { reasonCode, rule, amount } of failures) {
+    const key = `${reasonCode}:${rule}`;
+    const group = groups.get(key) ?? { reason_code: reasonCode, rule, count: 0, sum: null };
+    group.count += 1;
+    if (amount !== null) group.sum = (group.sum ?? 0n) + toSats(amount);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, sum: group.sum === null ? null : formatSats(group.sum) }))
+    .sort((a, b) =>
+      b.count - a.count ||
+      a.reason_code.localeCompare(b.reason_code) ||
+      a.rule.localeCompare(b.rule)
+    );
+}
+
+/**
+ * Totales por cliente como `getLedgerBalances`, a partir de asientos en
+ * memoria. Solo figuran los clientes con asientos, en orden de alta, y al
+ * final los asientos sin cliente, entre ellos todos los débitos.
+ */
+function ledgerBalances(entries, customers, customerNames) {
+  const byCustomer = new Map();
+  for (const { address, direction, amount, status } of entries) {
+    const customer = direction === "credit" ? customers.get(address) ?? null : null;
+    const totals = byCustomer.get(customer) ?? { credits: 0n, debits: 0n, pending: 0n, immature: 0n };
+    const sats = toSats(amount);
+
+    if (status === ENTRY_STATUS.POSTED && direction === "credit") totals.credits += sats;
+    if (status === ENTRY_STATUS.POSTED && direction === "debit") totals.debits += sats;
+    if (status === ENTRY_STATUS.PENDING && direction === "credit") totals.pending += sats;
+    if (status === ENTRY_STATUS.IMMATURE) totals.immature += sats;
+    byCustomer.set(customer, totals);
+  }
+
+  return [...customerNames, null]
+    .filter((customer) => byCustomer.has(customer))
+    .map((customer) => {
+      const { credits, debits, pending, immature } = byCustomer.get(customer);
+      return {
+        customer,
+        credits: formatSats(credits),
+        debits: formatSats(debits),
+        net: formatSats(credits - debits),
+        pending: formatSats(pending),
+        immature: formatSats(immature),
+      };
+    });
+}
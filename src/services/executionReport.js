@@ -0,0 +1,288 @@
+import fs from "fs/promises";
+import path from "path";
+import { aggregateValidDeposits } from "./transactionProcessor.js";
+import { getPolicy } from "./validationPolicy.js";
+import { getFailuresByReason } from "../db/reportRepository.js";
+import { getLedgerBalances } from "../db/ledgerRepository.js";
+import { formatSats, normalizeAmount } from "../utils/amount.js";
+import { AppError } from "../utils/errors.js";
+
+/**
+ * Versión del formato del reporte; cambia si cambia su estructura.
+ */
+export const REPORT_VERSION = 2;
+
+export const REPORT_FORMATS = ["text", "json", "csv", "markdown"];
+
+const EXTENSION_FORMATS = { ".json": "json", ".csv": "csv", ".md": "markdown", ".txt": "text" };
+
+/**
+ * Arma el reporte de una ejecución a partir de `aggregateValidDeposits`, las
+ * fallidas por motivo registradas en esa ejecución y los saldos del libro
+ * mayor (ver `createReport`).
+ *
+ * @param {string|null} executionId - `null` para el estado actual, fuera de
+ *   una ejecución.
+ * @returns {Promise<Object>}
+ */
+export async function buildExecutionReport(executionId) {
+  return createReport({
+    executionId,
+    policy: getPolicy(),
+    aggregate: await aggregateValidDeposits(),
+    failuresByReason: await getFailuresByReason(executionId),
+    balances: await getLedgerBalances(),
+  });
+}
+
+/**
+ * Arma el reporte con los datos ya calculados. Los montos son decimales
+ * exactos en texto; `smallest`/`largest` son `null` si no hay acreditados.
+ * Un reporte sin ejecución describe el estado actual; uno de `--dry-run`
+ * tampoco la tiene y lleva `dryRun: true`.
+ *
+ * @param {Object} data
+ * @param {string|null} data.executionId
+ * @param {Object} data.policy - Política de validación aplicada.
+ * @param {Object} data.aggregate - `{ stats, smallest, largest }` (ver `aggregateDeposits`).
+ * @param {Array<Object>} data.failuresByReason - Filas `{ reason_code, rule, count, sum }`.
+ * @param {Array<Object>} data.balances - Filas `{ customer, credits, debits, net, pending, immature }`.
+ * @param {boolean} [data.dryRun]
+ * @returns {Object}
+ */
+export function createReport({ executionId, policy, aggregate, failuresByReason, balances, dryRun = false }) {
+  const { stats, smallest, largest } = aggregate;
+  const totals = ({ count, sum }) => ({ count, sum: formatSats(sum) });
+
+  return {
+    version: REPORT_VERSION,
+    executionId,
+    ...(dryRun ? { dryRun: true } : {}),
+    generatedAt: new Date().toISOString(),
+    policyVersion: policy.version,
+    customers: Object.entries(stats.known).map(([name, customerTotals]) => ({
+      name,
+      deposited: totals(customerTotals),
+      pending: totals(customerTotals.pending),
+    })),
+    unreferenced: {
+      deposited: totals(stats.unknown),
+      pending: totals(stats.unknown.pending),
+    },
+    held: totals(stats.held),
+    smallest: smallest === null ? null : formatSats(smallest),
+    largest: largest === null ? null : formatSats(largest),
+    failuresByReason: failuresByReason.map((row) => ({
+      reasonCode: row.reason_code,
+      rule: row.rule,
+      count: row.count,
+      sum: row.sum === null ? null : normalizeAmount(row.sum),
+    })),
+    balances: balances.map((row) => ({
+      customer: row.customer,
+      credits: normalizeAmount(row.credits),
+      debits: normalizeAmount(row.debits),
+      net: normalizeAmount(row.net),
+      pending: normalizeAmount(row.pending),
+      immature: normalizeAmount(row.immature),
+    })),
+  };
+}
+
+/**
+ * Filas planas `{ section, subject, metric, count, amount }` del reporte:
+ * la base del CSV y de la comparación entre reportes.
+ */
+export function reportRows(report) {
+  const rows = [];
+  const add = (section, subject, metric, count, amount) =>
+    rows.push({ section, subject, metric, count, amount });
+
+  for (const { name, deposited, pending } of report.customers) {
+    add("deposits", name, "deposited", deposited.count, deposited.sum);
+    add("deposits", name, "pending", pending.count, pending.sum);
+  }
+  add("deposits", null, "deposited", report.unreferenced.deposited.count, report.unreferenced.deposited.sum);
+  add("deposits", null, "pending", report.unreferenced.pending.count, report.unreferenced.pending.sum);
+  add("held", null, "held", report.held.count, report.held.sum);
+  add("extremes", null, "smallest", null, report.smallest);
+  add("extremes", null, "largest", null, report.largest);
+  for (const { reasonCode, rule, count, sum } of report.failuresByReason) {
+    add("failures", reasonCode, rule, count, sum);
+  }
+  for (const balance of report.balances) {
+    for (const metric of ["credits", "debits", "net", "pending", "immature"]) {
+      add("balances", balance.customer, metric, null, balance[metric]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Representa el reporte en el formato pedido. `text` son las líneas que la
+ * ejecución imprime por consola.
+ * @param {Object} report
+ * @param {string} format - Uno de `REPORT_FORMATS`.
+ * @returns {string}
+ */
+export function renderReport(report, format) {
+  switch (format) {
+    case "text":
+      return `${reportLines(report).join("\n")}\n`;
+    case "json":
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case "csv":
+      return renderCsv(report);
+    case "markdown":
+      return renderMarkdown(report);
+    default:
+      throw new AppError(`Formato de reporte desconocido: ${format} (${REPORT_FORMATS.join(", ")})`, 400);
+  }
+}
+
+/**
+ * Líneas de texto del reporte, en el orden de la salida por consola.
+ */
+export function reportLines(report) {
+  const line = (label, { count, sum }) => `${label}: count=${count} sum=${sum}`;
+  return [
+    ...report.customers.flatMap(({ name, deposited, pending }) => [
+      line(`Deposited for ${name}`, deposited),
+      line(`Pending for ${name}`, pending),
+    ]),
+    line("Deposited without reference", report.unreferenced.deposited),
+    line("Pending without reference", report.unreferenced.pending),
+    `Smallest valid deposit: ${report.smallest ?? formatSats(0n)}`,
+    `Largest valid deposit: ${report.largest ?? formatSats(0n)}`,
+    line("Held for review", report.held),
+    ...report.balances.map((b) =>
+      `Ledger ${b.customer ? `for ${b.customer} (credits only)` : "without reference (includes all sends and fees)"}: ` +
+      `credits=${b.credits} debits=${b.debits} net=${b.net} pending=${b.pending} immature=${b.immature}`
+    ),
+  ];
+}
+
+function renderCsv(report) {
+  const field = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [["section", "subject", "metric", "count", "amount"].join(",")];
+  for (const { section, subject, metric, count, amount } of reportRows(report)) {
+    lines.push([section, subject, metric, count, amount].map(field).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function renderMarkdown(report) {
+  const cell = (value) => (value === null || value === undefined ? "-" : String(value).replace(/\|/g, "\\|"));
+  // Las primeras `textColumns` columnas se alinean a la izquierda; el resto son cifras
+  const table = (headers, rows, textColumns = 1) => [
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map((_, i) => (i < textColumns ? " --- " : " ---: ")).join("|")}|`,
+    ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ];
+
+  return [
+    `# ${reportTitle(report)}`,
+    "",
+    `Generado el ${report.generatedAt} con la política de validación ${report.policyVersion}.`,
+    "",
+    "## Depósitos por cliente",
+    "",
+    ...table(
+      ["Cliente", "Acreditados", "Monto", "Pendientes", "Monto pendiente"],
+      [
+        ...report.customers.map(({ name, deposited, pending }) => [
+          name, deposited.count, deposited.sum, pending.count, pending.sum,
+        ]),
+        [
+          "_Sin referencia_",
+          report.unreferenced.deposited.count,
+          report.unreferenced.deposited.sum,
+          report.unreferenced.pending.count,
+          report.unreferenced.pending.sum,
+        ],
+      ]
+    ),
+    "",
+    `- Retenidos para revisión: ${report.held.count} (${report.held.sum})`,
+    `- Menor depósito acreditado: ${cell(report.smallest)}`,
+    `- Mayor depósito acreditado: ${cell(report.largest)}`,
+    "",
+    "## Fallidas por motivo",
+    "",
+    ...table(
+      ["Código", "Regla", "Cantidad", "Monto"],
+      report.failuresByReason.map(({ reasonCode, rule, count, sum }) => [reasonCode, rule, count, sum]),
+      2
+    ),
+    "",
+    "## Saldos del libro mayor",
+    "",
+    "Los envíos y comisiones no se atribuyen a ningún cliente: el nodo no informa de qué " +
+      "direcciones salen los fondos. Figuran en la fila sin referencia, así que el neto de " +
+      "cada cliente es su volumen acreditado; solo la suma de todas las filas es el saldo del wallet.",
+    "",
+    ...table(
+      ["Cliente", "Créditos", "Débitos", "Neto", "Pendiente", "Inmaduro"],
+      report.balances.map((b) => [
+        b.customer ?? "_Sin referencia_", b.credits, b.debits, b.net, b.pending, b.immature,
+      ])
+    ),
+    "",
+  ].join("\n");
+}
+
+function reportTitle({ dryRun, executionId }) {
+  if (dryRun) return "Reporte simulado (--dry-run)";
+  return executionId ? `Reporte de la ejecución ${executionId}` : "Reporte del estado actual";
+}
+
+/**
+ * Formato que corresponde a la extensión de un archivo (`text` si no se reconoce).
+ */
+export function formatForFile(filePath) {
+  return EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] ?? "text";
+}
+
+/**
+ * Escribe el reporte en un archivo.
+ * @param {Object} report
+ * @param {string} filePath
+ * @param {string} [format] - Por defecto, el que indica la extensión.
+ */
+export async function writeReport(report, filePath, format = formatForFile(filePath)) {
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, renderReport(report, format), "utf8");
+}
+
+/**
+ * Compara dos reportes fila a fila (ver `reportRows`).
+ * @returns {Array<{section: string, subject: string|null, metric: string|null,
+ *   before: {count, amount}|null, after: {count, amount}|null}>} Filas que
+ *   cambiaron, aparecieron (`before: null`) o desaparecieron (`after: null`).
+ */
+export function diffReports(before, after) {
+  const keyOf = ({ section, subject, metric }) => JSON.stringify([section, subject, metric]);
+  const index = (report) => new Map(reportRows(report).map((row) => [keyOf(row), row]));
+  const previous = index(before);
+  const current = index(after);
+
+  const changes = [];
+  for (const key of new Set([...previous.keys(), ...current.keys()])) {
+    const a = previous.get(key);
+    const b = current.get(key);
+    if (a && b && a.count === b.count && a.amount === b.amount) continue;
+    const { section, subject, metric } = a ?? b;
+    changes.push({
+      section,
+      subject,
+      metric,
+      before: a ? { count: a.count, amount: a.amount } : null,
+      after: b ? { count: b.count, amount: b.amount } : null,
+    });
+  }
+  return changes;
+}
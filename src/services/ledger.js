@@ -0,0 +1,136 @@
+import { saveLedgerEntries } from "../db/ledgerRepository.js";
+import { saveExecutionLog } from "../db/depositRepository.js";
+import { DEPOSIT_STATUS } from "./transactionHelpers.js";
+import { toSats, formatSats } from "../utils/amount.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Tipos de asiento del libro mayor.
+ */
+export const ENTRY_TYPE = Object.freeze({
+  RECEIVE: "receive",
+  SEND: "send",
+  FEE: "fee",
+  COINBASE: "coinbase",
+});
+
+/**
+ * Estados de un asiento. Solo los `posted` cuentan para el saldo.
+ */
+export const ENTRY_STATUS = Object.freeze({
+  PENDING: "pending",
+  HELD: "held",
+  POSTED: "posted",
+  IMMATURE: "immature",
+  VOID: "void",
+});
+
+// Estado del asiento `receive` según el estado de su depósito
+const RECEIVE_STATUS = {
+  [DEPOSIT_STATUS.PENDING]: ENTRY_STATUS.PENDING,
+  [DEPOSIT_STATUS.HELD]: ENTRY_STATUS.HELD,
+  [DEPOSIT_STATUS.CREDITED]: ENTRY_STATUS.POSTED,
+  [DEPOSIT_STATUS.DROPPED]: ENTRY_STATUS.VOID,
+  [DEPOSIT_STATUS.REORGED]: ENTRY_STATUS.VOID,
+};
+
+/**
+ * Asiento de crédito de un depósito ya guardado.
+ * @param {Object} deposit - Depósito con `status` resuelto.
+ * @param {number} depositId
+ */
+export function receiveEntry(deposit, depositId) {
+  return {
+    ...blockFields(deposit),
+    entryType: ENTRY_TYPE.RECEIVE,
+    direction: "credit",
+    amount: deposit.amount,
+    status: RECEIVE_STATUS[deposit.status],
+    depositId,
+  };
+}
+
+/**
+ * Asientos de una transacción que no es un depósito:
+ * - `send`: débito por el monto y, si trae `fee`, otro débito por la comisión.
+ *   Guardan la dirección de destino, que no dice de quién son los fondos: no
+ *   se atribuyen a ningún cliente.
+ * - `immature`/`generate`: crédito `coinbase`, inmaduro hasta que el nodo lo
+ *   informe como `generate` (madurez de la recompensa de minería).
+ * Los montos se guardan en valor absoluto.
+ *
+ * @param {Object} tx - Transacción válida con `executionId`.
+ * @returns {Array<Object>}
+ */
+export function ledgerEntriesFor(tx) {
+  const base = blockFields(tx);
+
+  if (tx.category === "send") {
+    const debit = (entryType, amount) => ({
+      ...base,
+      entryType,
+      direction: "debit",
+      amount: absolute(amount),
+      status: ENTRY_STATUS.POSTED,
+    });
+
+    const entries = [debit(ENTRY_TYPE.SEND, tx.amount)];
+    if (tx.fee !== undefined && toSats(tx.fee) !== 0n) {
+      entries.push(debit(ENTRY_TYPE.FEE, tx.fee));
+    }
+    return entries;
+  }
+
+  if (tx.category === "generate" || tx.category === "immature") {
+    return [{
+      ...base,
+      entryType: ENTRY_TYPE.COINBASE,
+      direction: "credit",
+      amount: absolute(tx.amount),
+      status: tx.category === "generate" ? ENTRY_STATUS.POSTED : ENTRY_STATUS.IMMATURE,
+    }];
+  }
+
+  return [];
+}
+
+function blockFields({ txid, vout, address, confirmations, blockhash, blocktime, executionId }) {
+  return { txid, vout, address, confirmations, blockhash, blocktime, executionId };
+}
+
+function absolute(amount) {
+  const sats = toSats(amount);
+  return formatSats(sats < 0n ? -sats : sats);
+}
+
+/**
+ * Escribe asientos en la transacción del `client`. Dentro del lote queda un
+ * asiento por (txid, vout, tipo), el de más confirmaciones. Cada coinbase que
+ * madura queda registrado en `execution_logs`.
+ *
+ * @param {Array<Object>} entries - Asientos con `executionId`.
+ * @param {Object} client - Cliente de la transacción en curso.
+ */
+export async function persistLedgerEntries(entries, client) {
+  const byKey = new Map();
+  for (const entry of entries) {
+    const key = `${entry.txid}:${entry.vout}:${entry.entryType}`;
+    const current = byKey.get(key);
+    if (!current || entry.confirmations >= current.confirmations) byKey.set(key, entry);
+  }
+
+  const saved = await saveLedgerEntries([...byKey.values()], client);
+
+  for (const row of saved) {
+    if (
+      row.entry_type !== ENTRY_TYPE.COINBASE ||
+      row.previous_status !== ENTRY_STATUS.IMMATURE ||
+      row.status !== ENTRY_STATUS.POSTED
+    ) continue;
+
+    const { executionId } = byKey.get(`${row.txid}:${row.vout}:${row.entry_type}`);
+    const message = `Coinbase ${row.txid}:${row.vout} maduró y se acredita`;
+    logger.info(message);
+    await saveExecutionLog({ executionId, logLevel: "INFO", message }, client);
+  }
+}
@@ -0,0 +1,124 @@
+import http from "http";
+import db from "../db/connection.js";
+import { registry, observeQueueDepth } from "../utils/metrics.js";
+import { METRICS_PORT, HEALTH_CHECK_TIMEOUT_MS } from "../config/index.js";
+import { logger } from "../utils/logger.js";
+import { AppError } from "../utils/errors.js";
+
+/**
+ * Arranca el servidor de métricas y salud de un proceso (ingesta o
+ * consumidor):
+ * - `GET /metrics`: métricas en el formato de texto de Prometheus.
+ * - `GET /healthz`: vida, sin E/S: el pool de Postgres no se está cerrando
+ *   y hay conexión abierta con el broker.
+ * - `GET /readyz`: disponibilidad: Postgres responde `SELECT 1` y el broker
+ *   informa la profundidad de la cola, cada uno en `HEALTH_CHECK_TIMEOUT_MS`.
+ * Las de salud responden 200 si todas las comprobaciones pasan y 503 si no,
+ * con el resultado de cada una. Si el puerto está ocupado, el proceso sigue
+ * sin servidor.
+ *
+ * @param {Object} options
+ * @param {Object} options.transport - Transporte del proceso (ver `src/transport`).
+ * @param {number} [options.port] - Puerto; `0` no abre el servidor.
+ * @returns {Promise<{close: () => Promise<void>}>}
+ */
+export async function startMonitoringServer({ transport, port = METRICS_PORT }) {
+  observeQueueDepth(() => transport.queueDepth());
+  const stopObserving = async () => observeQueueDepth(null);
+  if (!port) return { close: stopObserving };
+
+  const liveness = {
+    postgres: async () => {
+      if (db.pool.ending) throw new Error("El pool de conexiones está cerrado");
+      const { totalCount, idleCount, waitingCount } = db.pool;
+      return { totalCount, idleCount, waitingCount };
+    },
+    broker: async () => {
+      if (!transport.isConnected()) throw new Error(`Sin conexión con el transporte ${transport.name}`);
+    },
+  };
+  const readiness = {
+    postgres: async () => {
+      await db.query("SELECT 1");
+    },
+    broker: async () => ({ queueDepth: await transport.queueDepth() }),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") {
+        throw new AppError(`Método no permitido: ${req.method}`, 405);
+      }
+      switch (pathname) {
+        case "/metrics":
+          res.writeHead(200, { "Content-Type": registry.contentType });
+          return res.end(await registry.metrics());
+        case "/healthz":
+          return sendChecks(res, await runChecks(liveness));
+        case "/readyz":
+          return sendChecks(res, await runChecks(readiness));
+        default:
+          throw new AppError(`Ruta no encontrada: ${pathname}`, 404);
+      }
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 500, {
+        error: { name: error.name, message: error.message },
+      });
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, resolve);
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Sin servidor de métricas: no se pudo escuchar en el puerto ${port} (${error.message})`);
+    return { close: stopObserving };
+  }
+  logger.info(`📈 Métricas y salud en el puerto ${port} (/metrics, /healthz, /readyz)`);
+
+  return {
+    async close() {
+      await stopObserving();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Ejecuta las comprobaciones en paralelo, cada una con su límite de tiempo.
+ * @returns {Promise<Object<string, {ok: boolean, error?: string}>>}
+ */
+async function runChecks(checks) {
+  const entries = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => {
+      try {
+        const detail = await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS);
+        return [name, { ok: true, ...detail }];
+      } catch (error) {
+        return [name, { ok: false, error: error.message }];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Sin respuesta en ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sendChecks(res, checks) {
+  const ok = Object.values(checks).every((check) => check.ok);
+  sendJson(res, ok ? 200 : 503, { status: ok ? "ok" : "error", checks });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,215 @@
+import fs from "fs/promises";
+import path from "path";
+import { getExecution, getCompletedFiles } from "../db/executionRepository.js";
+import { getReconciliationRecords } from "../db/reportRepository.js";
+import { DATA_DIR, sha256 } from "../utils/fileReader.js";
+import { inspectTransactionsFile, streamTransactionsFile } from "../utils/transactionStream.js";
+import { isAmount, toSats, formatSats } from "../utils/amount.js";
+import { DEPOSIT_STATUS } from "./transactionHelpers.js";
+import { INBOX_DIR } from "../config/index.js";
+
+/**
+ * Directorios donde puede estar hoy un archivo de cada fuente. Los archivos
+ * del inbox se mueven a `processed/` al terminar la ejecución.
+ */
+const SOURCE_DIRS = {
+  file: [DATA_DIR],
+  inbox: [path.join(INBOX_DIR, "processed"), INBOX_DIR],
+};
+
+/**
+ * Concilia una ejecución: vuelve a leer los archivos que completó y
+ * comprueba, por (txid, vout), que cada transacción publicada terminó en
+ * exactamente un destino: depósito o asiento del libro mayor que el
+ * consumidor aceptó en esta ejecución (aceptada) o `failed_transactions`
+ * (fallida). Los resultados de otras ejecuciones con las mismas claves, como
+ * los de una ingesta anterior de los mismos archivos, no cuentan. Las transacciones sin txid/vout válidos
+ * se buscan entre las fallidas por su huella.
+ *
+ * Discrepancias:
+ * - `missing`: no aparece en ningún destino.
+ * - `duplicated`: aceptada y fallida a la vez, o fallida más veces de las
+ *   que aparece en la entrada.
+ * - `mismatched`: el monto persistido no coincide o tiene menos
+ *   confirmaciones que las vistas en la entrada.
+ * - `unexpected`: fallida registrada por la ejecución que no está en la entrada.
+ * - `unreadable`: archivo que no puede volver a leerse (no está, cambió su
+ *   contenido o la fuente no es reproducible, como `rpc`).
+ *
+ * @param {string} executionId
+ * @returns {Promise<Object>} Reporte con `reconciled: true` si no hay discrepancias.
+ */
+export async function reconcileExecution(executionId) {
+  const execution = await getExecution(executionId);
+  const sourceType = execution.config?.TRANSACTION_SOURCE ?? "file";
+  const completedFiles = await getCompletedFiles(executionId);
+
+  const issues = { missing: [], duplicated: [], mismatched: [], unexpected: [], unreadable: [] };
+  const expected = new Map(); // Observaciones por `txid:vout`
+  const byFingerprint = new Map(); // Huella -> { key, count, where }
+  const files = [];
+
+  for (const [origin, checksum] of completedFiles) {
+    const filePath = await locateFile(sourceType, origin, checksum);
+    if (typeof filePath !== "string") {
+      issues.unreadable.push({ origin, reason: filePath.reason });
+      continue;
+    }
+
+    let index = 0;
+    for await (const tx of streamTransactionsFile(filePath)) {
+      const where = `${origin}#${index++}`;
+      const key = keyOf(tx);
+      // Misma huella que calcula el consumidor sobre el mensaje recibido
+      const fingerprint = sha256(JSON.stringify(tx));
+      const seen = byFingerprint.get(fingerprint) ?? { key, count: 0, where };
+      seen.count += 1;
+      byFingerprint.set(fingerprint, seen);
+
+      if (key === null) continue;
+      const observation = expected.get(key) ?? { txid: tx.txid, vout: tx.vout, where, txs: [] };
+      observation.txs.push(tx);
+      expected.set(key, observation);
+    }
+    files.push({ origin, checksum, transactions: index });
+  }
+
+  const { deposits, ledgerEntries, failed } = await getReconciliationRecords(
+    executionId,
+    [...expected.values()].map(({ txid, vout }) => ({ txid, vout }))
+  );
+
+  const accepted = new Map();
+  for (const row of [...deposits, ...ledgerEntries]) {
+    const key = `${row.txid}:${row.vout}`;
+    if (!accepted.has(key)) accepted.set(key, []);
+    accepted.get(key).push(row);
+  }
+
+  // Cada fallida se asocia a su entrada por huella o, si no la tiene, por clave
+  const failedByKey = new Map();
+  const failedByFingerprint = new Map();
+  for (const row of failed) {
+    const seen = row.fingerprint ? byFingerprint.get(row.fingerprint) : undefined;
+    const key = seen ? seen.key : keyOf(row);
+    if (seen && key === null) {
+      failedByFingerprint.set(row.fingerprint, (failedByFingerprint.get(row.fingerprint) ?? 0) + 1);
+    } else if (key !== null && expected.has(key)) {
+      if (!failedByKey.has(key)) failedByKey.set(key, []);
+      failedByKey.get(key).push(row);
+    } else {
+      issues.unexpected.push({ id: row.id, txid: row.txid, vout: row.vout, reasonCode: row.reason_code });
+    }
+  }
+
+  for (const [key, { where, txs }] of expected) {
+    const persisted = accepted.get(key) ?? [];
+    const failures = failedByKey.get(key) ?? [];
+
+    if (persisted.length === 0 && failures.length === 0) {
+      issues.missing.push({ key, where });
+      continue;
+    }
+    if (persisted.length > 0 && failures.length > 0) {
+      issues.duplicated.push({ key, where, detail: `aceptada y fallida ${failures.length} veces` });
+    }
+    const distinct = new Set(txs.map((tx) => JSON.stringify(tx))).size;
+    if (failures.length > distinct) {
+      issues.duplicated.push({ key, where, detail: `fallida ${failures.length} veces, ${distinct} en la entrada` });
+    }
+
+    issues.mismatched.push(
+      ...persisted.flatMap((row) => compareAccepted(key, where, row, txs)),
+      ...failures.flatMap((row) => compareFailed(key, where, row, txs))
+    );
+  }
+
+  for (const [fingerprint, { key, count, where }] of byFingerprint) {
+    if (key !== null) continue;
+    const recorded = failedByFingerprint.get(fingerprint) ?? 0;
+    if (recorded === 0) issues.missing.push({ key: null, where });
+    if (recorded > count) {
+      issues.duplicated.push({ key: null, where, detail: `fallida ${recorded} veces, ${count} en la entrada` });
+    }
+  }
+
+  return {
+    executionId,
+    executionStatus: execution.status,
+    files,
+    checked: expected.size + [...byFingerprint.values()].filter(({ key }) => key === null).length,
+    ...issues,
+    reconciled: Object.values(issues).every((list) => list.length === 0),
+  };
+}
+
+/**
+ * Ruta actual de un archivo completado, comprobando que su contenido sea el
+ * mismo que se procesó. Si no se encuentra, devuelve `{ reason }`.
+ */
+async function locateFile(sourceType, origin, checksum) {
+  const dirs = SOURCE_DIRS[sourceType];
+  if (!dirs) return { reason: `la fuente ${sourceType} no puede volver a leerse` };
+
+  let changed = false;
+  for (const dir of dirs) {
+    // Un origen absoluto (archivo pasado con `--input`) no depende del directorio
+    const filePath = path.resolve(dir, origin);
+    try {
+      await fs.access(filePath);
+    } catch {
+      continue;
+    }
+    if ((await inspectTransactionsFile(filePath)).checksum === checksum) return filePath;
+    changed = true;
+  }
+  return { reason: changed ? "el contenido cambió desde la ejecución" : "archivo no encontrado" };
+}
+
+function keyOf({ txid, vout }) {
+  return typeof txid === "string" && txid !== "" && Number.isInteger(vout) ? `${txid}:${vout}` : null;
+}
+
+/**
+ * Compara un depósito o asiento con lo visto en la entrada: el monto debe
+ * ser el mismo (en valor absoluto para los débitos) y las confirmaciones no
+ * pueden ser menos que las máximas vistas, salvo tras una reorganización.
+ */
+function compareAccepted(key, where, row, txs) {
+  const problems = [];
+  const amounts = new Set(
+    txs.filter((tx) => isAmount(tx.amount)).map((tx) => absolute(toSats(tx.amount)))
+  );
+  if (!amounts.has(toSats(row.amount))) {
+    problems.push(`monto ${formatSats(toSats(row.amount))}, entrada ${[...amounts].map(formatSats).join("/")}`);
+  }
+
+  const maxConfirmations = Math.max(
+    ...txs.filter((tx) => Number.isInteger(tx.confirmations)).map((tx) => tx.confirmations)
+  );
+  if (row.status !== DEPOSIT_STATUS.REORGED && row.confirmations < maxConfirmations) {
+    problems.push(`confirmaciones ${row.confirmations}, entrada ${maxConfirmations}`);
+  }
+
+  const record = row.entry_type ? `asiento ${row.entry_type}` : "depósito";
+  return problems.map((detail) => ({ key, where, record, detail }));
+}
+
+/**
+ * Una fallida guarda monto y confirmaciones solo si tenían formato válido;
+ * los que guardó deben coincidir con alguna aparición en la entrada.
+ */
+function compareFailed(key, where, row, txs) {
+  const matches = txs.some(
+    (tx) =>
+      (row.amount === null || (isAmount(tx.amount) && toSats(tx.amount) === toSats(row.amount))) &&
+      (row.confirmations === null || tx.confirmations === row.confirmations)
+  );
+  return matches
+    ? []
+    : [{ key, where, record: `fallida ${row.id}`, detail: `monto ${row.amount ?? "-"}, confirmaciones ${row.confirmations ?? "-"}` }];
+}
+
+function absolute(sats) {
+  return sats < 0n ? -sats : sats;
+}
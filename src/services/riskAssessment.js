@@ -0,0 +1,45 @@
+/**
+ * Señales de riesgo de doble gasto de un depósito.
+ * - `rbf`: la transacción señaliza reemplazo (BIP 125) o su estado es
+ *   desconocido por depender de otra sin confirmar.
+ * - `wallet_conflict`: el nodo informa transacciones en conflicto.
+ * - `double_spend`: alguna transacción en conflicto ya está registrada como
+ *   depósito. Ese depósito registrado también se retiene (ver
+ *   `persistDepositBatch`).
+ */
+export const RISK_FLAGS = Object.freeze({
+  RBF: "rbf",
+  WALLET_CONFLICT: "wallet_conflict",
+  DOUBLE_SPEND: "double_spend",
+});
+
+/**
+ * Evalúa las señales de riesgo de un depósito.
+ *
+ * @param {Object} deposit - Depósito con `walletconflicts` y `replaceable`.
+ * @param {Map<string, Array<Object>>} storedByTxid - Depósitos ya registrados,
+ *   agrupados por txid, entre los que se buscan los conflictos.
+ * @returns {{flags: string[], storedConflicts: Array<Object>}}
+ */
+export function assessDepositRisk(deposit, storedByTxid) {
+  const flags = [];
+  const conflicts = (deposit.walletconflicts ?? []).filter((txid) => txid !== deposit.txid);
+
+  if (deposit.replaceable === "yes" || deposit.replaceable === "unknown") {
+    flags.push(RISK_FLAGS.RBF);
+  }
+  if (conflicts.length > 0) flags.push(RISK_FLAGS.WALLET_CONFLICT);
+
+  const storedConflicts = conflicts.flatMap((txid) => storedByTxid.get(txid) ?? []);
+  if (storedConflicts.length > 0) flags.push(RISK_FLAGS.DOUBLE_SPEND);
+
+  return { flags, storedConflicts };
+}
+
+/**
+ * Un depósito con señales de riesgo queda retenido mientras no alcance la
+ * profundidad de la política (`risk.clearConfirmations`).
+ */
+export function isHeld({ flags }, deposit, policy) {
+  return flags.length > 0 && deposit.confirmations < policy.risk.clearConfirmations;
+}
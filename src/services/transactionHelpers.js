@@ -1,46 +1,94 @@
-import { MIN_CONFIRMATIONS } from '../config/index.js';
 /**
- * Valida el formato de una transacción.
- * Lanza un error si algún campo requerido no está presente o es inválido.
- * 
- * @param {Object} tx - Transacción a validar.
- * @throws {Error} Si la transacción es inválida.
+ * Estados posibles de un depósito.
+ * pending -> credited cuando alcanza el mínimo de confirmaciones;
+ * pending -> dropped cuando deja de aparecer en la entrada;
+ * credited -> reorged cuando se detecta una reorganización de la cadena;
+ * held (con señales de riesgo de doble gasto) -> pending/credited al
+ * alcanzar la profundidad de la política, o -> dropped si desaparece.
  */
-export function validateTransaction(tx) {
-  if (
-    typeof tx?.txid !== "string" ||
-    typeof tx?.address !== "string" ||
-    typeof tx?.amount !== "number" ||
-    typeof tx?.confirmations !== "number" ||
-    typeof tx?.category !== "string"
-  ) {
-    throw new Error(`Transacción inválida: ${JSON.stringify(tx)}`);
-  }
-}
+export const DEPOSIT_STATUS = Object.freeze({
+  PENDING: "pending",
+  HELD: "held",
+  CREDITED: "credited",
+  DROPPED: "dropped",
+  REORGED: "reorged",
+});
 
 /**
- * Determina si una transacción es un depósito válido.
+ * Categorías de `listtransactions` que se registran, con el sentido de su
+ * movimiento: `receive` es un depósito; el resto solo va al libro mayor.
+ */
+export const CATEGORY_DIRECTION = Object.freeze({
+  receive: "credit",
+  generate: "credit",
+  immature: "credit",
+  send: "debit",
+});
+
+/**
+ * Estado que corresponde a un depósito según sus confirmaciones.
  * 
- * @param {Object} tx - Transacción a verificar.
- * @returns {boolean} Verdadero si el depósito es válido; falso en caso contrario.
+ * @param {Object} tx - Depósito válido; `held` si debe quedar retenido.
+ * @param {number} minConfirmations - Mínimo para acreditar (ver `requiredConfirmations`).
+ * @returns {string} `held` si está retenido; si no, `credited` si alcanza el
+ *   mínimo y `pending` si no.
  */
-export function isValidDeposit(tx) {
-  return (
-    tx.category === "receive" && // La categoría debe ser "receive"
-    tx.amount > 0 && // La cantidad debe ser mayor a 0
-    tx.confirmations >= MIN_CONFIRMATIONS // Confirmaciones mínimas
-  );
+export function getDepositStatus(tx, minConfirmations) {
+  if (tx.held) return DEPOSIT_STATUS.HELD;
+  return tx.confirmations >= minConfirmations
+    ? DEPOSIT_STATUS.CREDITED
+    : DEPOSIT_STATUS.PENDING;
 }
 
 /**
- * Devuelve la razón por la cual una transacción no es válida.
+ * Decide cómo actualizar un depósito ya registrado con una nueva observación.
+ * - Un depósito nuevo o descartado toma el estado de la observación.
+ * - Un depósito acreditado que aparece en otro bloque, o con menos
+ *   confirmaciones, se marca como `reorged` (reorganización).
+ * - Un depósito pendiente, retenido o reorganizado que cambia de bloque
+ *   adopta el nuevo.
+ * - En otro caso, una observación con menos confirmaciones se ignora y un
+ *   depósito acreditado nunca vuelve a pendiente.
  * 
- * @param {Object} tx - Transacción a analizar.
- * @returns {string} Razón de la invalidez.
+ * @param {Object|undefined} current - Depósito registrado (`status`, `confirmations`, bloque).
+ * @param {Object} tx - Nueva observación del depósito.
+ * @param {number} minConfirmations - Mínimo para acreditar este depósito.
+ * @returns {{status: string, changed: boolean, reorg?: Object}|null} Estado a
+ *   guardar, si hubo transición y, si aplica, el bloque anterior y el nuevo.
+ *   `null` si no hay que escribir nada.
  */
-export function getFailureReason(tx) {
-  if (tx.category !== "receive") return "Categoría inválida";
-  if (tx.amount <= 0) return "Monto negativo o cero";
-  if (tx.confirmations < MIN_CONFIRMATIONS) return "Confirmaciones insuficientes";
-  return "Transacción inválida por otras razones";
+export function resolveDepositUpdate(current, tx, minConfirmations) {
+  const incoming = getDepositStatus(tx, minConfirmations);
+
+  if (!current || current.status === DEPOSIT_STATUS.DROPPED) {
+    return { status: incoming, changed: true };
+  }
+
+  const blockChanged = Boolean(
+    current.blockhash && tx.blockhash && current.blockhash !== tx.blockhash
+  );
+
+  if (current.status === DEPOSIT_STATUS.CREDITED) {
+    if (blockChanged || tx.confirmations < current.confirmations) {
+      return {
+        status: DEPOSIT_STATUS.REORGED,
+        changed: true,
+        reorg: { oldBlock: blockOf(current), newBlock: blockOf(tx) },
+      };
+    }
+    return { status: DEPOSIT_STATUS.CREDITED, changed: false };
+  }
+
+  if (!blockChanged && tx.confirmations < current.confirmations) return null;
+
+  return { status: incoming, changed: incoming !== current.status };
+}
+
+function blockOf({ blockhash, blockindex, blocktime, confirmations }) {
+  return {
+    blockhash: blockhash ?? null,
+    blockindex: blockindex ?? null,
+    blocktime: blocktime == null ? null : Number(blocktime),
+    confirmations,
+  };
 }
@@ -1,261 +1,281 @@
-import { readJsonFile } from "../utils/fileReader.js";
+import { createSource } from "../sources/index.js";
 import {
-  saveFailedTransaction,
-  getAllValidDeposits,
-  saveValidDepositsInBatch,
-  saveFailedTransactionsInBatch,
+  getDepositsByStatus,
+  getDepositTotalsByAddress,
+  dropMissingPendingDeposits,
+  saveExecutionLog,
 } from "../db/depositRepository.js";
-import { KNOWN_ADDRESSES, MIN_CONFIRMATIONS } from "../config/index.js";
+import { DEPOSIT_STATUS } from "./transactionHelpers.js";
+import { listCustomers } from "../db/customerRepository.js";
+import { saveExecutionFile } from "../db/executionRepository.js";
 import { logger } from "../utils/logger.js";
-import {
-  TransactionValidationError,
-  FileProcessingError,
-  DatabaseError,
-} from "../utils/errors.js";
-import { connectRabbitMQ } from "../utils/rabbitmq.js";
-
-const validDeposits = [];
-const failedTransactions = [];
+import { DatabaseError, AppError } from "../utils/errors.js";
+import { toSats, formatSats } from "../utils/amount.js";
+import { transactionsPublished } from "../utils/metrics.js";
+import db from "../db/connection.js";
 
 /**
- * Procesa todas las transacciones de los archivos JSON de forma concurrente.
+ * Publica todas las transacciones de la fuente configurada (archivos JSON o
+ * NDJSON, o nodo bitcoind, ver `src/sources`) a través del transporte dado,
+ * leyéndolas una a una en lotes de 50.
+ * Cada lote espera las confirmaciones del transporte y, si alguna
+ * transacción queda sin confirmar, la ejecución falla.
+ * Cada archivo completado queda registrado en la ejecución con su checksum;
+ * al reanudar, los archivos ya completados con el mismo checksum se omiten.
+ * Al terminar, si la fuente entrega un listado completo, los depósitos de su
+ * alcance (`source.scope`) pendientes que ya no aparecen pasan a `dropped`;
+ * luego la fuente confirma lo leído.
+ * 
+ * @param {string} executionId
+ * @param {Object} options
+ * @param {Object} options.transport - Transporte de mensajes (ver `src/transport`).
+ * @param {Object} [options.source] - Fuente de transacciones.
+ * @param {Map<string, string>} [options.completedFiles] - Checksum por origen
+ *   de los archivos ya completados por esta ejecución.
+ * @returns {Promise<Array<{origin: string, published: number, confirmed: number}>>}
+ *   Conteo de publicadas y confirmadas por archivo.
  */
-export async function processTransactions(executionId) {
-  const files = ["transactions-1.json", "transactions-2.json"];
-  const channel = await connectRabbitMQ();
-  const queue = "transactions";
+export async function processTransactions(
+  executionId,
+  { transport, source = createSource(), completedFiles = new Map() }
+) {
+  const seenKeys = [];
+  const counts = [];
 
   try {
-    await channel.assertQueue(queue, { durable: true });
+    await transport.connect();
+
+    for await (const unit of source.read({ executionId })) {
+      const { origin, checksum, count } = unit;
 
-    for (const file of files) {
-      const data = await readJsonFile(file);
-      validateFileData(data, file);
+      if (completedFiles.has(origin)) {
+        if (completedFiles.get(origin) === checksum) {
+          await saveExecutionLog({
+            executionId,
+            logLevel: "INFO",
+            message: `Archivo ${origin} ya completado en esta ejecución; se omite.`,
+          });
+          // Las claves de archivos omitidos también cuentan como vistas
+          if (source.completeListing) {
+            for await (const tx of unit.transactions()) collectKey(seenKeys, tx);
+          }
+          continue;
+        }
+        await saveExecutionLog({
+          executionId,
+          logLevel: "WARN",
+          message: `Archivo ${origin} cambió desde que se completó; se vuelve a procesar.`,
+        });
+      }
 
       const batchSize = 50; // Tamaño del lote
+      const fileCount = { origin, published: 0, confirmed: 0 };
+      counts.push(fileCount);
       let batch = [];
 
-      for (const tx of data.transactions) {
+      // Las transacciones llegan una a una: en memoria solo queda el lote actual
+      for await (const tx of unit.transactions()) {
+        if (source.completeListing) collectKey(seenKeys, tx);
         batch.push({ tx, executionId });
 
-        // Enviar en lotes a RabbitMQ
+        // Enviar en lotes
         if (batch.length >= batchSize) {
-          await sendBatchToQueue(channel, queue, batch);
+          await sendBatch(transport, batch, fileCount);
           batch = [];
         }
       }
 
       // Enviar el resto si quedó un lote incompleto
       if (batch.length > 0) {
-        await sendBatchToQueue(channel, queue, batch);
+        await sendBatch(transport, batch, fileCount);
       }
 
-    }
-  } catch (error) {
-    logger.error(`❌ Error al procesar transacciones: ${error.message}`);
-  } finally {
-    // Cerrar conexión a RabbitMQ
-    await channel.close();
-  }
-}
-
-/**
- * Envía un lote de transacciones a la cola RabbitMQ.
- */
-async function sendBatchToQueue(channel, queue, batch) {
-  try {
-    batch.forEach((msg) => {
-      channel.sendToQueue(queue, Buffer.from(JSON.stringify(msg)), {
-        persistent: true,
+      await saveExecutionLog({
+        executionId,
+        logLevel: fileCount.confirmed === fileCount.published ? "INFO" : "ERROR",
+        message: `Archivo ${origin}: publicadas=${fileCount.published} confirmadas=${fileCount.confirmed}`,
       });
-    });
-  } catch (error) {
-    logger.error(`❌ Error al enviar lote a RabbitMQ: ${error.message}`);
-    throw new Error("Error al enviar transacciones a la cola.");
-  }
-}
 
-/**
- * Procesa un archivo JSON de transacciones.
- */
-async function processFile(file, executionId) {
-  try {
-    const data = await readJsonFile(file);
-    validateFileData(data, file);
+      // Solo un archivo publicado y confirmado por completo cuenta como completado
+      if (fileCount.confirmed === fileCount.published) {
+        await saveExecutionFile(executionId, {
+          origin,
+          checksum,
+          transactionCount: count,
+          published: fileCount.published,
+          confirmed: fileCount.confirmed,
+        });
+      }
+    }
 
-    // Procesar todas las transacciones
-    await Promise.all(
-      data.transactions.map((tx) => handleTransaction(tx, executionId))
-    );
+    const unconfirmed = counts.filter((c) => c.confirmed < c.published);
+    if (unconfirmed.length > 0) {
+      throw new AppError(
+        `Transacciones sin confirmar por el broker en: ${unconfirmed.map((c) => c.origin).join(", ")}`
+      );
+    }
 
-    // Guardar en batch
-    await saveValidDepositsInBatch(validDeposits);
-    await saveFailedTransactionsInBatch(failedTransactions);
+    // Solo un listado completo permite concluir que un pendiente desapareció
+    if (source.completeListing) {
+      const dropped = await dropMissingPendingDeposits(executionId, seenKeys, source.scope);
+      if (dropped > 0) {
+        await saveExecutionLog({
+          executionId,
+          logLevel: "INFO",
+          message: `Depósitos pendientes descartados por no aparecer en la entrada: ${dropped}`,
+        });
+      }
+    }
 
-    // Limpiar las listas después de guardar
-    validDeposits.length = 0;
-    failedTransactions.length = 0;
+    await source.commit({ executionId });
+    return counts;
   } catch (error) {
-    handleFileError(error, file);
+    logger.error(`❌ Error al procesar transacciones: ${error.message}`);
+    throw error;
   }
 }
 
 /**
- * Maneja una transacción individual.
+ * Registra la clave (txid, vout) de una transacción como vista en la entrada.
  */
-async function handleTransaction(tx, executionId) {
-  try {
-    validateTransaction(tx);
-
-    if (isValidDeposit(tx)) {
-      validDeposits.push({
-        txid: tx.txid,
-        address: tx.address,
-        amount: tx.amount,
-        confirmations: tx.confirmations,
-        executionId,
-      });
-    } else {
-      failedTransactions.push({
-        executionId,
-        txid: tx.txid,
-        address: tx.address,
-        amount: tx.amount,
-        confirmations: tx.confirmations,
-        reason: getFailureReason(tx),
-      });
-    }
-  } catch (error) {
-    failedTransactions.push({
-      executionId,
-      txid: tx.txid || null,
-      address: tx.address || null,
-      amount: tx.amount || null,
-      confirmations: tx.confirmations || null,
-      reason: error.message,
-    });
+function collectKey(seenKeys, tx) {
+  if (typeof tx?.txid === "string" && Number.isInteger(tx?.vout)) {
+    seenKeys.push({ txid: tx.txid, vout: tx.vout });
   }
 }
 
 /**
- * Valida el formato de los datos del archivo.
+ * Publica un lote de transacciones y acumula publicadas/confirmadas.
  */
-function validateFileData(data, file) {
-  if (!data?.transactions || !Array.isArray(data.transactions)) {
-    throw new FileProcessingError(`Formato inválido en archivo: ${file}`);
-  }
+async function sendBatch(transport, batch, fileCount) {
+  const { published, confirmed } = await transport.publish(batch);
+  transactionsPublished.inc({ transport: transport.name }, published);
+  fileCount.published += published;
+  fileCount.confirmed += confirmed;
 }
 
 /**
- * Valida el formato de una transacción.
+ * Agrega los depósitos por cliente del registro, separando los acreditados
+ * de los pendientes. Los retenidos para revisión se suman aparte
+ * (`stats.held`), sin atribuirlos a ningún cliente. El menor y mayor depósito
+ * solo consideran los acreditados.
+ * Los montos se suman como satoshis (BigInt) y las sumas se contrastan con
+ * `SUM(amount)` de Postgres sobre las mismas filas (misma instantánea); si
+ * no coinciden se lanza un error en lugar de reportar cifras incorrectas.
+ * 
+ * @returns {Promise<Object>} `stats` con sumas en satoshis y `smallest`/`largest`
+ *   en satoshis (`null` si no hay depósitos acreditados).
  */
-function validateTransaction(tx) {
-  if (
-    typeof tx?.txid !== "string" ||
-    typeof tx?.address !== "string" ||
-    typeof tx?.amount !== "number" ||
-    typeof tx?.confirmations !== "number"
-  ) {
-    throw new TransactionValidationError(
-      `Transacción inválida: ${JSON.stringify(tx)}`
+export async function aggregateValidDeposits() {
+  try {
+    const statuses = [DEPOSIT_STATUS.CREDITED, DEPOSIT_STATUS.PENDING, DEPOSIT_STATUS.HELD];
+    const { deposits, dbTotals } = await db.withTransaction(
+      async (client) => ({
+        deposits: await getDepositsByStatus(statuses, client),
+        dbTotals: await getDepositTotalsByAddress(statuses, client),
+      }),
+      { isolationLevel: "REPEATABLE READ" }
     );
-  }
-}
 
-/**
- * Determina si una transacción es un depósito válido.
- */
-function isValidDeposit(tx) {
-  return (
-    tx.category === "receive" &&
-    tx.amount > 0 &&
-    tx.confirmations >= MIN_CONFIRMATIONS
-  );
-}
+    const customerNames = (await listCustomers()).map(({ name }) => name);
+    const { stats, smallest, largest, totalsByAddress } = aggregateDeposits(deposits, customerNames);
 
-/**
- * Devuelve la razón por la cual una transacción falló.
- */
-function getFailureReason(tx) {
-  if (tx.category !== "receive") return "Categoría inválida";
-  if (tx.amount <= 0) return "Monto negativo o cero";
-  return "Confirmaciones insuficientes";
-}
+    verifyTotals(totalsByAddress, dbTotals);
 
-/**
- * Maneja errores de transacciones.
- */
-async function handleTransactionError(error, tx, executionId) {
-  if (error instanceof TransactionValidationError) {
-    logger.warn(`Transacción inválida: ${error.message}`);
-    await saveFailedTransaction({
-      executionId,
-      txid: tx.txid || null,
-      address: tx.address || null,
-      amount: tx.amount || null,
-      confirmations: tx.confirmations || null,
-      reason: error.message,
-    });
-  } else {
-    logger.error(`Error inesperado en transacción: ${error.message}`);
-    throw error;
+    return { stats, smallest, largest };
+  } catch (error) {
+    logger.error(`Error al agregar depósitos válidos: ${error.message}`);
+    throw new DatabaseError(
+      `Error en la agregación de datos: ${error.message}`
+    );
   }
 }
 
 /**
- * Maneja errores al procesar archivos.
+ * Suma depósitos ya atribuidos a su cliente (`customer`, `null` si no tiene)
+ * según su estado: acreditados y pendientes por cliente, retenidos aparte.
+ * El menor y mayor depósito solo consideran los acreditados.
+ *
+ * @param {Array<{address: string, amount: string, status: string, customer: string|null}>} deposits
+ * @param {string[]} customerNames - Clientes del registro, en orden de alta;
+ *   figuran aunque no tengan depósitos.
+ * @returns {{stats: Object, smallest: bigint|null, largest: bigint|null,
+ *   totalsByAddress: Map<string, bigint>}} `totalsByAddress` suma por
+ *   `dirección:estado`.
  */
-function handleFileError(error, file) {
-  if (error instanceof FileProcessingError) {
-    logger.error(`Error al procesar archivo ${file}: ${error.message}`);
-  } else {
-    logger.error(
-      `Error inesperado al procesar archivo ${file}: ${error.message}`
-    );
+export function aggregateDeposits(deposits, customerNames) {
+  const stats = {
+    known: {},
+    unknown: emptyTotals(),
+    held: { count: 0, sum: 0n },
+  };
+
+  for (const name of customerNames) {
+    stats.known[name] = emptyTotals();
   }
-}
 
-export async function aggregateValidDeposits() {
-  try {
-    const deposits = await getAllValidDeposits(MIN_CONFIRMATIONS);
+  let smallest = null;
+  let largest = null;
+  const totalsByAddress = new Map();
 
-    const stats = {
-      known: {},
-      unknown: { count: 0, sum: 0 },
-    };
+  for (const deposit of deposits) {
+    const { address, amount, status, customer } = deposit;
+    const sats = toSats(amount);
+    const totals = customer
+      ? (stats.known[customer] ??= emptyTotals())
+      : stats.unknown;
 
-    for (const name of Object.values(KNOWN_ADDRESSES)) {
-      stats.known[name] = { count: 0, sum: 0 };
+    const key = `${address}:${status}`;
+    totalsByAddress.set(key, (totalsByAddress.get(key) ?? 0n) + sats);
+
+    if (status === DEPOSIT_STATUS.HELD) {
+      stats.held.count += 1;
+      stats.held.sum += sats;
+      continue;
     }
 
-    let smallest = Number.MAX_VALUE;
-    let largest = Number.MIN_VALUE;
+    if (status === DEPOSIT_STATUS.PENDING) {
+      totals.pending.count += 1;
+      totals.pending.sum += sats;
+      continue;
+    }
 
-    for (const deposit of deposits) {
-      const { address, amount } = deposit;
-      const numericAmount = Number(amount) || 0;
+    if (smallest === null || sats < smallest) smallest = sats;
+    if (largest === null || sats > largest) largest = sats;
 
-      if (numericAmount < smallest) smallest = numericAmount;
-      if (numericAmount > largest) largest = numericAmount;
+    totals.count += 1;
+    totals.sum += sats;
+  }
 
-      if (KNOWN_ADDRESSES[address]) {
-        const customerName = KNOWN_ADDRESSES[address];
-        stats.known[customerName].count += 1;
-        stats.known[customerName].sum += numericAmount;
-      } else {
-        stats.unknown.count += 1;
-        stats.unknown.sum += numericAmount;
-      }
-    }
+  return { stats, smallest, largest, totalsByAddress };
+}
 
-    if (smallest === Number.MAX_VALUE) smallest = 0;
-    if (largest === Number.MIN_VALUE) largest = 0;
+function emptyTotals() {
+  return { count: 0, sum: 0n, pending: { count: 0, sum: 0n } };
+}
 
-    return { stats, smallest, largest };
-  } catch (error) {
-    logger.error(`Error al agregar depósitos válidos: ${error.message}`);
-    throw new DatabaseError(
-      `Error en la agregación de datos: ${error.message}`
-    );
+/**
+ * Comprueba que las sumas calculadas por dirección y estado coinciden
+ * exactamente con las que calcula Postgres.
+ */
+function verifyTotals(totalsByAddress, dbTotals) {
+  const mismatches = [];
+  const keys = new Set(totalsByAddress.keys());
+
+  for (const { address, status, sum } of dbTotals) {
+    const key = `${address}:${status}`;
+    keys.delete(key);
+    const expected = toSats(sum);
+    const actual = totalsByAddress.get(key) ?? 0n;
+    if (expected !== actual) {
+      mismatches.push(`${key} db=${formatSats(expected)} calculado=${formatSats(actual)}`);
+    }
+  }
+  for (const key of keys) {
+    mismatches.push(`${key} db=0.00000000 calculado=${formatSats(totalsByAddress.get(key))}`);
+  }
+
+  if (mismatches.length > 0) {
+    throw new Error(`Las sumas no coinciden con SUM(amount): ${mismatches.join("; ")}`);
   }
 }
@@ -0,0 +1,226 @@
+import fs from "fs";
+import { VALIDATION_POLICY_FILE, BITCOIN_NETWORK } from "../config/index.js";
+import { isAmount, toSats, formatSats } from "../utils/amount.js";
+import { validateAddress } from "../utils/address.js";
+import { CATEGORY_DIRECTION } from "./transactionHelpers.js";
+import { AppError } from "../utils/errors.js";
+
+/**
+ * Códigos estables de rechazo. Se guardan en `failed_transactions.reason_code`
+ * y no cambian aunque cambie el texto del motivo.
+ */
+export const REASON_CODES = Object.freeze({
+  MISSING_FIELD: "MISSING_FIELD",
+  INVALID_FIELD: "INVALID_FIELD",
+  INVALID_ADDRESS: "INVALID_ADDRESS",
+  ADDRESS_WRONG_NETWORK: "ADDRESS_WRONG_NETWORK",
+  CATEGORY_NOT_ALLOWED: "CATEGORY_NOT_ALLOWED",
+  AMOUNT_BELOW_MIN: "AMOUNT_BELOW_MIN",
+  AMOUNT_ABOVE_MAX: "AMOUNT_ABOVE_MAX",
+});
+
+// Sin estos campos no se puede identificar ni registrar un depósito
+const ALWAYS_REQUIRED = ["txid", "vout", "address", "amount", "confirmations"];
+
+// Formato de cada campo conocido; solo se comprueba si el campo viene
+const FIELD_FORMATS = {
+  txid: (value) => typeof value === "string" && value.length > 0,
+  vout: (value) => Number.isInteger(value) && value >= 0,
+  address: (value) => typeof value === "string",
+  amount: isAmount,
+  fee: isAmount,
+  confirmations: (value) => Number.isInteger(value),
+  category: (value) => typeof value === "string",
+  blockhash: (value) => typeof value === "string",
+  blockindex: (value) => Number.isInteger(value),
+  blocktime: (value) => typeof value === "number",
+  walletconflicts: (value) =>
+    Array.isArray(value) && value.every((txid) => typeof txid === "string"),
+  "bip125-replaceable": (value) => ["yes", "no", "unknown"].includes(value),
+};
+
+/**
+ * Lee y valida un archivo de política de validación:
+ *
+ *   {
+ *     "version": "1",
+ *     "requiredFields": ["txid", "vout", ...],
+ *     "allowedCategories": ["receive"],
+ *     "amount": { "min": "0.00000001", "max": null },
+ *     "confirmations": { "min": 6, "perCustomer": { "<cliente>": 3 } },
+ *     "risk": { "clearConfirmations": 12 }
+ *   }
+ *
+ * Las categorías deben estar entre las que se saben registrar
+ * (`CATEGORY_DIRECTION`). Los límites de monto se aplican al importe en el
+ * sentido de la categoría (un envío de -1 es un importe de 1) y se expresan
+ * como decimales exactos; `null` desactiva el límite.
+ * `confirmations.min` no rechaza transacciones: decide cuándo un depósito
+ * pasa de pendiente a acreditado, con excepciones por cliente.
+ * `risk.clearConfirmations` es la profundidad a partir de la cual un depósito
+ * con señales de riesgo (RBF o conflictos) deja de estar retenido; por
+ * defecto, `confirmations.min`.
+ *
+ * @param {string} [filePath]
+ * @param {Object} [overrides]
+ * @param {number} [overrides.minConfirmations] - Reemplaza `confirmations.min`
+ *   (p. ej. desde la línea de comandos).
+ * @returns {Object} Política normalizada (montos en satoshis).
+ * @throws {AppError} Si el archivo no existe o la política es inválida.
+ */
+export function loadPolicy(filePath = VALIDATION_POLICY_FILE, { minConfirmations } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new AppError(`No se pudo leer la política de validación ${filePath}: ${error.message}`);
+  }
+  if (minConfirmations !== undefined) {
+    raw.confirmations = { ...raw.confirmations, min: minConfirmations };
+  }
+  return parsePolicy(raw, filePath);
+}
+
+function parsePolicy(raw, filePath) {
+  const invalid = (detail) =>
+    new AppError(`Política de validación inválida en ${filePath}: ${detail}`);
+
+  if (typeof raw?.version !== "string" || raw.version === "") {
+    throw invalid("falta `version`");
+  }
+
+  const requiredFields = raw.requiredFields ?? ALWAYS_REQUIRED;
+  const missing = ALWAYS_REQUIRED.filter((field) => !requiredFields.includes(field));
+  if (missing.length > 0) {
+    throw invalid(`\`requiredFields\` debe incluir ${missing.join(", ")}`);
+  }
+
+  if (!Array.isArray(raw.allowedCategories) || raw.allowedCategories.length === 0) {
+    throw invalid("`allowedCategories` debe ser un arreglo no vacío");
+  }
+  const unknown = raw.allowedCategories.filter((category) => !(category in CATEGORY_DIRECTION));
+  if (unknown.length > 0) {
+    throw invalid(`categorías no soportadas: ${unknown.join(", ")}`);
+  }
+
+  const limit = (name) => {
+    const value = raw.amount?.[name] ?? null;
+    if (value === null) return null;
+    if (!isAmount(value)) throw invalid(`\`amount.${name}\` no es un monto válido`);
+    return toSats(value);
+  };
+
+  const confirmations = raw.confirmations ?? {};
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  if (!isCount(confirmations.min)) {
+    throw invalid("`confirmations.min` debe ser un entero no negativo");
+  }
+  const perCustomer = new Map(Object.entries(confirmations.perCustomer ?? {}));
+  for (const [customer, min] of perCustomer) {
+    if (!isCount(min)) throw invalid(`\`confirmations.perCustomer\` inválido para ${customer}`);
+  }
+
+  const clearConfirmations = raw.risk?.clearConfirmations ?? confirmations.min;
+  if (!isCount(clearConfirmations)) {
+    throw invalid("`risk.clearConfirmations` debe ser un entero no negativo");
+  }
+
+  return {
+    version: raw.version,
+    requiredFields,
+    allowedCategories: raw.allowedCategories,
+    amount: { min: limit("min"), max: limit("max") },
+    confirmations: { min: confirmations.min, perCustomer },
+    risk: { clearConfirmations },
+  };
+}
+
+let activePolicy = null;
+
+/**
+ * Política vigente (`VALIDATION_POLICY_FILE`), leída una vez por proceso.
+ */
+export function getPolicy() {
+  activePolicy ??= loadPolicy();
+  return activePolicy;
+}
+
+/**
+ * Vuelve a leer la política vigente con los reemplazos dados (ver `loadPolicy`).
+ * @returns {Object} La nueva política vigente.
+ */
+export function configurePolicy(overrides) {
+  activePolicy = loadPolicy(VALIDATION_POLICY_FILE, overrides);
+  return activePolicy;
+}
+
+/**
+ * Evalúa una transacción contra la política. Las reglas se aplican en orden
+ * (campos requeridos, formato, dirección, categoría, monto) y se informa la
+ * primera que falla. La dirección debe tener checksum válido y pertenecer a
+ * `BITCOIN_NETWORK`.
+ *
+ * @param {Object} tx - Transacción recibida.
+ * @param {Object} [policy] - Política normalizada (por defecto, la vigente).
+ * @returns {{valid: true}|{valid: false, code: string, rule: string, message: string}}
+ */
+export function evaluateTransaction(tx, policy = getPolicy()) {
+  for (const field of policy.requiredFields) {
+    if (tx[field] === undefined || tx[field] === null) {
+      return failure(REASON_CODES.MISSING_FIELD, `requiredFields.${field}`, `Falta el campo ${field}`);
+    }
+  }
+
+  for (const [field, isValid] of Object.entries(FIELD_FORMATS)) {
+    if (tx[field] !== undefined && !isValid(tx[field])) {
+      return failure(REASON_CODES.INVALID_FIELD, `format.${field}`, `Formato inválido en ${field}`);
+    }
+  }
+
+  const address = validateAddress(tx.address, BITCOIN_NETWORK);
+  if (!address.valid) {
+    return address.wrongNetwork
+      ? failure(REASON_CODES.ADDRESS_WRONG_NETWORK, "address.network", `Dirección de otra red: ${address.error}`)
+      : failure(REASON_CODES.INVALID_ADDRESS, "address.encoding", `Dirección inválida: ${address.error}`);
+  }
+
+  if (!policy.allowedCategories.includes(tx.category)) {
+    return failure(
+      REASON_CODES.CATEGORY_NOT_ALLOWED,
+      "allowedCategories",
+      `Categoría no permitida: ${tx.category ?? "(ninguna)"}`
+    );
+  }
+
+  // Importe en el sentido de la categoría: un monto con el signo contrario es negativo
+  const sats = CATEGORY_DIRECTION[tx.category] === "debit" ? -toSats(tx.amount) : toSats(tx.amount);
+  if (policy.amount.min !== null && sats < policy.amount.min) {
+    return failure(
+      REASON_CODES.AMOUNT_BELOW_MIN,
+      "amount.min",
+      `Monto menor al mínimo de ${formatSats(policy.amount.min)}`
+    );
+  }
+  if (policy.amount.max !== null && sats > policy.amount.max) {
+    return failure(
+      REASON_CODES.AMOUNT_ABOVE_MAX,
+      "amount.max",
+      `Monto mayor al máximo de ${formatSats(policy.amount.max)}`
+    );
+  }
+
+  return { valid: true };
+}
+
+function failure(code, rule, message) {
+  return { valid: false, code, rule, message };
+}
+
+/**
+ * Confirmaciones necesarias para acreditar un depósito del cliente dado.
+ * @param {string|null|undefined} customer - Cliente dueño de la dirección.
+ * @param {Object} [policy]
+ */
+export function requiredConfirmations(customer, policy = getPolicy()) {
+  return policy.confirmations.perCustomer.get(customer) ?? policy.confirmations.min;
+}
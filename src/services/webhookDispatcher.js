@@ -0,0 +1,191 @@
+import { fileURLToPath } from "url";
+import db from "../db/connection.js";
+import { claimDueWebhooks, recordWebhookAttempt } from "../db/webhookRepository.js";
+import {
+  signWebhook,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  EVENT_TYPE_HEADER,
+} from "../utils/webhookSignature.js";
+import { logger } from "../utils/logger.js";
+import {
+  WEBHOOK_DISPATCH_INTERVAL_MS,
+  WEBHOOK_BATCH_SIZE,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_DELAY_MS,
+  WEBHOOK_RETRY_MAX_DELAY_MS,
+} from "../config/index.js";
+
+// Margen por entrega, además de su timeout, para registrar el intento
+const LEASE_MARGIN_PER_DELIVERY_MS = 1000;
+
+/**
+ * Tiempo que queda reservado un lote reclamado: las entregas se hacen una
+ * tras otra, así que en el peor caso cada una agota su timeout. Con una
+ * reserva menor, las últimas vencerían a mitad del lote y otro despachador
+ * las volvería a entregar.
+ */
+export function webhookLeaseMs(batchSize, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+  return batchSize * (timeoutMs + LEASE_MARGIN_PER_DELIVERY_MS);
+}
+
+/**
+ * Espera antes del siguiente intento tras `attempts` intentos fallidos.
+ */
+export function webhookRetryDelay(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Cuerpo JSON de una entrega. El `id` del evento permite al receptor
+ * descartar duplicados: una entrega puede llegar más de una vez.
+ */
+function webhookBody({ event_id: id, event_type: type, created_at: createdAt, payload }) {
+  return JSON.stringify({ id, type, createdAt, data: payload });
+}
+
+/**
+ * Envía una entrega firmada. Cualquier respuesta 2xx cuenta como entregada.
+ * @returns {Promise<{ok: boolean, statusCode: number|null, error: string|null, durationMs: number}>}
+ */
+export async function sendWebhook(delivery, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const body = webhookBody(delivery);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        [EVENT_ID_HEADER]: delivery.event_id,
+        [EVENT_TYPE_HEADER]: delivery.event_type,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhook(delivery.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+      redirect: "manual",
+    });
+    // El cuerpo de la respuesta no se usa, pero se consume para liberar la conexión
+    await response.arrayBuffer().catch(() => {});
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Entrega las notificaciones vencidas de la outbox, de a `batchSize`.
+ * Cada intento queda registrado; las que fallan se reprograman con espera
+ * exponencial hasta agotar `WEBHOOK_MAX_ATTEMPTS`.
+ * @returns {Promise<{delivered: number, retried: number, failed: number}>}
+ */
+export async function dispatchDueWebhooks({ batchSize = WEBHOOK_BATCH_SIZE } = {}) {
+  const result = { delivered: 0, retried: 0, failed: 0 };
+  const deliveries = await claimDueWebhooks(batchSize, webhookLeaseMs(batchSize));
+
+  for (const delivery of deliveries) {
+    const { ok, statusCode, error, durationMs } = await sendWebhook(delivery);
+    const attempts = delivery.attempts + 1;
+    const label = `Webhook ${delivery.event_type} ${delivery.event_id} a ${delivery.url}`;
+
+    if (ok) {
+      await recordWebhookAttempt({ outboxId: delivery.id, statusCode, error, durationMs, status: "delivered" });
+      logger.info(`📨 ${label} entregado (HTTP ${statusCode})`);
+      result.delivered += 1;
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      await recordWebhookAttempt({ outboxId: delivery.id, statusCode, error, durationMs, status: "failed" });
+      logger.error(`❌ ${label} falló tras ${attempts} intentos: ${error}`);
+      result.failed += 1;
+    } else {
+      const delay = webhookRetryDelay(attempts);
+      await recordWebhookAttempt({
+        outboxId: delivery.id,
+        statusCode,
+        error,
+        durationMs,
+        status: "pending",
+        nextAttemptAt: new Date(Date.now() + delay),
+      });
+      logger.warn(`⚠️ ${label} falló (${error}); intento ${attempts}/${WEBHOOK_MAX_ATTEMPTS}, reintento en ${delay} ms`);
+      result.retried += 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Arranca el despachador: revisa la outbox cada `intervalMs` y, mientras
+ * encuentre lotes completos, sigue sin esperar.
+ * @returns {{stop: () => Promise<void>}} `stop()` espera a que termine la pasada en curso.
+ */
+export function startWebhookDispatcher({
+  intervalMs = WEBHOOK_DISPATCH_INTERVAL_MS,
+  batchSize = WEBHOOK_BATCH_SIZE,
+} = {}) {
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+
+  async function tick() {
+    try {
+      let claimed;
+      do {
+        const { delivered, retried, failed } = await dispatchDueWebhooks({ batchSize });
+        claimed = delivered + retried + failed;
+      } while (!stopped && claimed === batchSize);
+    } catch (error) {
+      logger.error(`❌ Error al despachar webhooks: ${error.message}`);
+    }
+    if (!stopped) timer = setTimeout(schedule, intervalMs);
+  }
+
+  function schedule() {
+    running = tick();
+  }
+
+  schedule();
+  logger.info(`📬 Despachador de webhooks activo (cada ${intervalMs} ms)`);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+}
+
+/**
+ * Punto de entrada del proceso despachador (`node src/services/webhookDispatcher.js`).
+ */
+async function main() {
+  const dispatcher = startWebhookDispatcher();
+  let shuttingDown = false;
+
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 Cierre del despachador de webhooks en curso (${signal})...`);
+
+    await dispatcher.stop();
+    await db.pool.end();
+    process.exit(0);
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
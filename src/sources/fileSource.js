@@ -0,0 +1,46 @@
+import path from "path";
+import { DATA_DIR } from "../utils/fileReader.js";
+import {
+  inspectTransactionsFile,
+  streamTransactionsFile,
+} from "../utils/transactionStream.js";
+
+/**
+ * Fuente de transacciones basada en archivos exportados del wallet bajo
+ * `data/`: JSON (`{"transactions": [...]}`) o NDJSON (`.ndjson`/`.jsonl`).
+ *
+ * @param {Object} options
+ * @param {string[]} options.files - Archivos a leer, en orden; las rutas
+ *   relativas son relativas a `data/`.
+ * @param {boolean} [options.completeListing] - Si los archivos son el
+ *   listado completo del wallet; un subconjunto no permite descartar
+ *   pendientes ausentes.
+ * @returns {Object} Fuente con `read()` y `commit()`.
+ */
+export function createFileSource({ files, completeListing = false }) {
+  return {
+    name: "file",
+    completeListing,
+    scope: { source: "file", files },
+
+    /**
+     * Produce un lote por archivo: `{ origin, checksum, count, transactions }`.
+     * Cada archivo se valida entero antes de entregarlo.
+     */
+    async *read() {
+      for (const file of files) {
+        const filePath = path.resolve(DATA_DIR, file);
+        const { checksum, count } = await inspectTransactionsFile(filePath);
+        yield {
+          origin: file,
+          checksum,
+          count,
+          transactions: () => streamTransactionsFile(filePath),
+        };
+      }
+    },
+
+    // Los archivos no tienen cursor que persistir.
+    async commit() {},
+  };
+}
@@ -0,0 +1,134 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  isTransactionsFile,
+  inspectTransactionsFile,
+  streamTransactionsFile,
+} from "../utils/transactionStream.js";
+import { findIngestedFile, recordIngestedFile } from "../db/fileLedgerRepository.js";
+import { logger } from "../utils/logger.js";
+
+const PROCESSED_DIR = "processed";
+const REJECTED_DIR = "rejected";
+
+/**
+ * Fuente de transacciones que toma todos los archivos JSON o NDJSON
+ * depositados en un directorio de entrada (inbox).
+ *
+ * Cada archivo se identifica por el SHA-256 de su contenido en el registro
+ * `ingested_files`, de modo que la misma exportación nunca se ingiere dos
+ * veces aunque cambie de nombre. Como el registro se escribe recién en
+ * `commit()`, dos archivos iguales de una misma lectura se detectan además
+ * por los checksums ya vistos en ella. Tras la ejecución, los archivos
+ * publicados se mueven a `processed/` y los inválidos o repetidos a
+ * `rejected/`.
+ *
+ * Cada archivo es una entrega nueva y no un listado completo del wallet,
+ * por lo que esta fuente no permite descartar pendientes ausentes.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directorio de entrada.
+ * @returns {Object} Fuente con `read()`, `commit()` y `hasPending()`.
+ */
+export function createInboxSource({ dir }) {
+  const accepted = [];
+
+  async function listInbox() {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile() && isTransactionsFile(entry.name))
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  async function moveTo(subdir, filename) {
+    const target = path.join(dir, subdir);
+    await fs.mkdir(target, { recursive: true });
+    await fs.rename(path.join(dir, filename), path.join(target, filename));
+  }
+
+  async function reject(filename, checksum, error, executionId) {
+    logger.warn(`⚠️ Archivo rechazado ${filename}: ${error.message}`);
+    if (checksum) {
+      await recordIngestedFile({
+        checksum,
+        filename,
+        status: "rejected",
+        error: error.message,
+        executionId,
+      });
+    }
+    await moveTo(REJECTED_DIR, filename);
+  }
+
+  return {
+    name: "inbox",
+    completeListing: false,
+
+    /**
+     * Indica si hay archivos esperando en el inbox.
+     */
+    async hasPending() {
+      await fs.mkdir(dir, { recursive: true });
+      return (await listInbox()).length > 0;
+    },
+
+    /**
+     * Produce un lote por archivo nuevo: `{ origin, checksum, count, transactions }`.
+     * Los archivos ya ingeridos, repetidos dentro de esta lectura o con algún
+     * registro inválido se rechazan aquí.
+     */
+    async *read({ executionId } = {}) {
+      await fs.mkdir(dir, { recursive: true });
+      // Archivo aceptado o rechazado por cada checksum visto en esta lectura
+      const seen = new Map();
+
+      for (const filename of await listInbox()) {
+        const filePath = path.join(dir, filename);
+        let unit;
+        try {
+          const { checksum, count } = await inspectTransactionsFile(filePath);
+          unit = {
+            origin: filename,
+            checksum,
+            count,
+            transactions: () => streamTransactionsFile(filePath),
+          };
+        } catch (error) {
+          if (error.checksum) seen.set(error.checksum, { filename, status: "rejected" });
+          await reject(filename, error.checksum, error, executionId);
+          continue;
+        }
+
+        const previous = seen.get(unit.checksum) ?? (await findIngestedFile(unit.checksum));
+        if (previous) {
+          logger.warn(
+            `⚠️ Archivo ${filename} repetido: ya ingerido como ${previous.filename} (${previous.status})`
+          );
+          await moveTo(REJECTED_DIR, filename);
+          continue;
+        }
+
+        seen.set(unit.checksum, { filename, status: "accepted" });
+        accepted.push(unit);
+        yield unit;
+      }
+    },
+
+    /**
+     * Registra como procesados los archivos publicados y los mueve a `processed/`.
+     */
+    async commit({ executionId } = {}) {
+      for (const { origin, checksum, count } of accepted.splice(0)) {
+        await recordIngestedFile({
+          checksum,
+          filename: origin,
+          status: "processed",
+          transactionCount: count,
+          executionId,
+        });
+        await moveTo(PROCESSED_DIR, origin);
+      }
+    },
+  };
+}
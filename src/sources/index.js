@@ -0,0 +1,56 @@
+import {
+  TRANSACTION_SOURCE,
+  INPUT_FILES,
+  INBOX_DIR,
+  BITCOIN_RPC_CONFIG,
+} from "../config/index.js";
+import { getPolicy } from "../services/validationPolicy.js";
+import { createFileSource } from "./fileSource.js";
+import { createRpcSource } from "./rpcSource.js";
+import { createInboxSource } from "./inboxSource.js";
+
+/**
+ * Crea la fuente de transacciones configurada (`TRANSACTION_SOURCE`).
+ *
+ * Toda fuente expone:
+ * - `name`: identificador de la fuente.
+ * - `completeListing`: si lo leído es el listado completo de transacciones
+ *   vigentes (permite descartar depósitos pendientes que ya no aparecen).
+ * - `scope`: con `completeListing`, a qué depósitos alcanza el listado:
+ *   `{ source, files }` (ver `dropMissingPendingDeposits`).
+ * - `read({ executionId })`: generador asíncrono de lotes
+ *   `{ origin, checksum, count, transactions }`, donde `checksum` es el
+ *   SHA-256 del contenido leído, `count` el número de transacciones y
+ *   `transactions()` devuelve un iterable (síncrono o asíncrono) que las
+ *   recorre una a una.
+ * - `commit({ executionId })`: confirma lo leído (p. ej. avanza el cursor)
+ *   una vez publicado.
+ * Opcionalmente:
+ * - `hasPending()`: si hay entrada nueva (modo watch).
+ *
+ * @param {string} [type]
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Archivos de la fuente `file` (por
+ *   defecto, `INPUT_FILES`). Solo `INPUT_FILES` completo cuenta como listado
+ *   completo; otro conjunto de archivos no descarta pendientes.
+ */
+export function createSource(type = TRANSACTION_SOURCE, { files = INPUT_FILES } = {}) {
+  switch (type) {
+    case "file":
+      // Solo el conjunto configurado de exportaciones es el listado completo
+      return createFileSource({ files, completeListing: isInputFileSet(files) });
+    case "inbox":
+      return createInboxSource({ dir: INBOX_DIR });
+    case "rpc":
+      return createRpcSource({
+        ...BITCOIN_RPC_CONFIG,
+        targetConfirmations: getPolicy().confirmations.min,
+      });
+    default:
+      throw new Error(`Fuente de transacciones desconocida: ${type}`);
+  }
+}
+
+function isInputFileSet(files) {
+  return files.length === INPUT_FILES.length && INPUT_FILES.every((file) => files.includes(file));
+}
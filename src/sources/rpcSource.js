@@ -0,0 +1,141 @@
+import { getSourceCursor, saveSourceCursor } from "../db/sourceCursorRepository.js";
+import { parseTransactionsJson, sha256 } from "../utils/fileReader.js";
+import { logger } from "../utils/logger.js";
+import { AppError, ConnectionError } from "../utils/errors.js";
+
+/**
+ * Fuente de transacciones que consulta `listsinceblock` de un nodo Bitcoin
+ * Core por JSON-RPC, continuando desde el último bloque visto.
+ *
+ * Se pide `target_confirmations` igual al mínimo de confirmaciones, de modo
+ * que `lastblock` queda a esa profundidad y los depósitos que aún no lo
+ * alcanzan vuelven a listarse en la siguiente consulta hasta acreditarse.
+ * El cursor solo avanza con `commit()`, una vez publicadas las transacciones.
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL del nodo (p. ej. `http://localhost:18332`).
+ * @param {string} options.user - Usuario RPC.
+ * @param {string} options.password - Contraseña RPC.
+ * @param {string} [options.wallet] - Wallet a consultar (`/wallet/<nombre>`).
+ * @param {number} options.targetConfirmations - Profundidad de `lastblock`.
+ * @param {number} [options.timeoutMs] - Timeout por petición.
+ * @param {number} [options.retries] - Reintentos ante errores transitorios.
+ * @param {number} [options.retryDelayMs] - Espera base entre reintentos (exponencial).
+ * @param {string} [options.cursorName] - Clave del cursor persistido.
+ */
+export function createRpcSource({
+  url,
+  user,
+  password,
+  wallet,
+  targetConfirmations,
+  timeoutMs = 10000,
+  retries = 3,
+  retryDelayMs = 500,
+  cursorName = "bitcoind:listsinceblock",
+}) {
+  const endpoint = wallet ? `${url.replace(/\/$/, "")}/wallet/${encodeURIComponent(wallet)}` : url;
+  const authorization = `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`;
+  let nextCursor = null;
+  let requestId = 0;
+
+  /**
+   * Llama a un método JSON-RPC con timeout y reintentos. Solo se reintentan
+   * los fallos de red, timeouts y respuestas 5xx sin error RPC.
+   */
+  async function call(method, params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await callOnce(method, params);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) throw error;
+        const delay = retryDelayMs * 2 ** attempt;
+        logger.warn(`⚠️ RPC ${method} falló (${error.message}); reintento ${attempt + 1}/${retries} en ${delay} ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async function callOnce(method, params) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: authorization },
+        body: JSON.stringify({ jsonrpc: "1.0", id: ++requestId, method, params }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      throw retryable(new ConnectionError(`No se pudo contactar al nodo RPC: ${error.message}`));
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AppError("Credenciales RPC rechazadas por el nodo", 401);
+    }
+
+    // Bitcoin Core responde errores RPC con 404/500 y cuerpo JSON; los
+    // montos se conservan como decimales exactos.
+    const text = await response.text();
+    let body;
+    try {
+      body = parseTransactionsJson(text);
+    } catch {
+      const error = new ConnectionError(`Respuesta RPC inválida (HTTP ${response.status})`);
+      throw response.status >= 500 ? retryable(error) : error;
+    }
+
+    if (body.error) {
+      throw new AppError(`Error RPC ${body.error.code} en ${method}: ${body.error.message}`, 502);
+    }
+    if (!response.ok) {
+      throw retryable(new ConnectionError(`HTTP ${response.status} en ${method}`));
+    }
+    return body.result;
+  }
+
+  return {
+    name: "rpc",
+    completeListing: true,
+    scope: { source: "rpc" },
+
+    // Siempre puede haber bloques nuevos: en modo watch se consulta en cada ciclo
+    async hasPending() {
+      return true;
+    },
+
+    /**
+     * Produce un único lote con el resultado de `listsinceblock`.
+     */
+    async *read() {
+      const lastBlock = await getSourceCursor(cursorName);
+      const params = lastBlock
+        ? [lastBlock, targetConfirmations, true]
+        : ["", targetConfirmations, true];
+      const result = await call("listsinceblock", params);
+
+      if (!Array.isArray(result?.transactions)) {
+        throw new AppError("Respuesta de listsinceblock sin arreglo de transacciones", 502);
+      }
+
+      nextCursor = result.lastblock ?? null;
+      yield {
+        origin: `listsinceblock:${lastBlock ?? "genesis"}`,
+        checksum: sha256(JSON.stringify(result)),
+        count: result.transactions.length,
+        transactions: () => result.transactions,
+      };
+    },
+
+    /**
+     * Persiste el último bloque visto para la próxima consulta.
+     */
+    async commit() {
+      if (nextCursor) await saveSourceCursor(cursorName, nextCursor);
+    },
+  };
+}
+
+function retryable(error) {
+  error.retryable = true;
+  return error;
+}
@@ -0,0 +1,339 @@
+import amqp from 'amqplib';
+import { once } from 'events';
+import { ConnectionError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { planRetry, replayHeaders, retryDelays, PUBLISHED_AT_HEADER } from './retryPolicy.js';
+import { brokerReconnects } from '../utils/metrics.js';
+
+/**
+ * Transporte sobre RabbitMQ.
+ *
+ * Topología (nombres desde la configuración):
+ * - `queues.transactions`: cola principal.
+ * - `queues.retry` + `.<ms>`: una cola de reintentos por cada espera posible,
+ *   con `x-message-ttl`; al vencer, RabbitMQ devuelve el mensaje a la cola
+ *   principal. Con un TTL por cola todos sus mensajes vencen en orden, así
+ *   que una espera larga nunca retiene a una corta.
+ * - `queues.deadLetterExchange` -> `queues.deadLetter`: mensajes que agotaron
+ *   sus reintentos, con el error en las cabeceras.
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL AMQP.
+ * @param {Object} options.queues - Nombres de colas y exchange.
+ * @param {number} options.prefetch - Mensajes sin confirmar por consumidor.
+ */
+export function createAmqpTransport({ url, queues, prefetch }) {
+  let connection = null;
+  let channel = null;
+  let confirmChannel = null;
+  let connectedBefore = false;
+  let closing = false;
+
+  /**
+   * Abre la conexión y el canal de consumo si no los hay: tras perder la
+   * conexión (o solo el canal) la siguiente operación reconecta.
+   */
+  async function connect() {
+    if (!connection) await openConnection();
+    if (!channel) {
+      const ch = await openChannel(() => connection.createChannel(), () => {
+        if (channel === ch) channel = null;
+      });
+      await assertTopology(ch);
+      channel = ch;
+    }
+  }
+
+  async function openConnection() {
+    let conn;
+    try {
+      conn = await amqp.connect(url);
+    } catch (error) {
+      throw new ConnectionError(`Error al conectar a RabbitMQ: ${error.message}`);
+    }
+    if (connectedBefore) brokerReconnects.inc();
+    connectedBefore = true;
+    conn.on('close', () => {
+      if (connection !== conn) return;
+      connection = null;
+      channel = null;
+      confirmChannel = null;
+    });
+    conn.on('error', (error) => {
+      logger.error(`❌ Error en la conexión con RabbitMQ: ${error.message}`);
+    });
+    connection = conn;
+  }
+
+  /**
+   * Crea un canal que, al cerrarse por su cuenta (p. ej. por un error de
+   * protocolo), se descarta con `onClose` para abrir otro la próxima vez.
+   */
+  async function openChannel(create, onClose) {
+    const ch = await create();
+    ch.on('error', (error) => {
+      logger.error(`❌ Error en un canal de RabbitMQ: ${error.message}`);
+    });
+    ch.on('close', onClose);
+    return ch;
+  }
+
+  /**
+   * Canal con confirmaciones del broker para publicar.
+   */
+  async function getConfirmChannel() {
+    await connect();
+    if (!confirmChannel) {
+      const ch = await openChannel(() => connection.createConfirmChannel(), () => {
+        if (confirmChannel === ch) confirmChannel = null;
+      });
+      confirmChannel = ch;
+    }
+    return confirmChannel;
+  }
+
+  /**
+   * Publica en el canal con confirmaciones y resuelve cuando el broker
+   * confirma el mensaje.
+   */
+  async function publishConfirmed(exchange, routingKey, content, options) {
+    const ch = await getConfirmChannel();
+    await new Promise((resolve, reject) => {
+      ch.publish(exchange, routingKey, content, options, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  function retryQueueFor(delayMs) {
+    return `${queues.retry}.${delayMs}`;
+  }
+
+  async function assertTopology(ch) {
+    await ch.assertQueue(queues.transactions, { durable: true });
+    for (const delayMs of retryDelays()) {
+      await ch.assertQueue(retryQueueFor(delayMs), {
+        durable: true,
+        messageTtl: delayMs,
+        deadLetterExchange: '',
+        deadLetterRoutingKey: queues.transactions,
+      });
+    }
+    await ch.assertExchange(queues.deadLetterExchange, 'direct', { durable: true });
+    await ch.assertQueue(queues.deadLetter, { durable: true });
+    await ch.bindQueue(queues.deadLetter, queues.deadLetterExchange, queues.transactions);
+  }
+
+  /**
+   * Envuelve un mensaje AMQP con la interfaz común de los transportes.
+   * El delivery tag solo vale en el canal que entregó el mensaje: si ese
+   * canal se cerró, el mensaje no se confirma ni se mueve (el broker ya lo
+   * devolvió a la cola para reentregarlo).
+   *
+   * `retryOrDeadLetter` publica la copia (reintento o DLQ) con confirmación
+   * y solo entonces confirma el original; si el broker no confirma la copia,
+   * el original vuelve a la cola tal cual.
+   */
+  function wrap(msg) {
+    const deliveryChannel = channel;
+    const isStale = () => channel !== deliveryChannel;
+    const headers = msg.properties.headers ?? {};
+    return {
+      content: msg.content,
+      headers,
+      ack() {
+        if (isStale()) return false;
+        deliveryChannel.ack(msg);
+        return true;
+      },
+      async retryOrDeadLetter(error, { retryable = true } = {}) {
+        if (isStale()) return 'redeliver';
+        const plan = planRetry(headers, error, retryable);
+        try {
+          if (plan.action === 'retry') {
+            await publishConfirmed('', retryQueueFor(plan.delayMs), msg.content, {
+              persistent: true,
+              headers: plan.headers,
+            });
+          } else {
+            await publishConfirmed(queues.deadLetterExchange, queues.transactions, msg.content, {
+              persistent: true,
+              headers: plan.headers,
+            });
+          }
+        } catch (publishError) {
+          logger.error(`❌ No se pudo mover el mensaje (${plan.action}): ${publishError.message}`);
+          if (!isStale()) deliveryChannel.nack(msg, false, true);
+          return 'redeliver';
+        }
+        // Si el canal se perdió mientras tanto, el original se reentrega además de la copia
+        if (isStale()) return 'redeliver';
+        deliveryChannel.ack(msg);
+        return plan.action;
+      },
+    };
+  }
+
+  /**
+   * Retira hasta `limit` mensajes de la DLQ sin confirmarlos.
+   */
+  async function takeDeadLetters(limit) {
+    const messages = [];
+    while (messages.length < limit) {
+      const msg = await channel.get(queues.deadLetter, { noAck: false });
+      if (!msg) break;
+      messages.push(msg);
+    }
+    return messages;
+  }
+
+  return {
+    name: 'amqp',
+    inProcess: false,
+    connect,
+
+    /**
+     * Publica mensajes en la cola principal con confirmaciones del broker.
+     * Si el buffer de escritura se llena, espera el evento `drain`.
+     * @param {Array<Object>} messages - Mensajes serializables a JSON.
+     * @returns {Promise<{published: number, confirmed: number}>}
+     */
+    async publish(messages) {
+      const confirmChannel = await getConfirmChannel();
+
+      const confirmations = [];
+      for (const message of messages) {
+        let ok = true;
+        confirmations.push(
+          new Promise((resolve, reject) => {
+            ok = confirmChannel.sendToQueue(
+              queues.transactions,
+              Buffer.from(JSON.stringify(message)),
+              { persistent: true, headers: { [PUBLISHED_AT_HEADER]: Date.now() } },
+              (error) => (error ? reject(error) : resolve())
+            );
+          })
+        );
+
+        // Backpressure: el buffer del socket está lleno
+        if (!ok) await once(confirmChannel, 'drain');
+      }
+
+      const results = await Promise.allSettled(confirmations);
+      const rejected = results.filter((r) => r.status === 'rejected');
+      if (rejected.length > 0) {
+        logger.error(`❌ El broker rechazó ${rejected.length} mensajes: ${rejected[0].reason?.message}`);
+      }
+      return { published: messages.length, confirmed: results.length - rejected.length };
+    },
+
+    /**
+     * Consume la cola principal. `handler` recibe mensajes con `content`,
+     * `headers`, `ack()` y `retryOrDeadLetter(error, { retryable })`.
+     * `closed` resuelve con el error si el consumo termina sin `cancel()`
+     * (conexión o canal perdidos, o consumidor cancelado por el broker); los
+     * mensajes sin confirmar de ese canal vuelven a la cola.
+     * @returns {Promise<{cancel: () => Promise<void>, closed: Promise<Error>}>}
+     */
+    async consume(handler) {
+      await connect();
+      const consumeChannel = channel;
+      await consumeChannel.prefetch(prefetch);
+
+      let cancelled = false;
+      let resolveClosed;
+      const closed = new Promise((resolve) => {
+        resolveClosed = resolve;
+      });
+      const lost = (reason) => {
+        if (!cancelled && !closing) resolveClosed(new ConnectionError(reason));
+      };
+      consumeChannel.once('close', () => lost('Se perdió la conexión con RabbitMQ'));
+
+      const { consumerTag } = await consumeChannel.consume(queues.transactions, (msg) => {
+        // `null`: el broker canceló el consumidor (p. ej. se borró la cola)
+        if (msg) handler(wrap(msg));
+        else lost('RabbitMQ canceló el consumidor');
+      });
+      return {
+        closed,
+        cancel: async () => {
+          cancelled = true;
+          if (channel === consumeChannel) await consumeChannel.cancel(consumerTag);
+        },
+      };
+    },
+
+    /**
+     * Si hay conexión abierta con el broker.
+     */
+    isConnected() {
+      return connection !== null;
+    },
+
+    /**
+     * Mensajes listos para entregar en la cola principal. No reconecta: sin
+     * conexión falla.
+     * @returns {Promise<number>}
+     */
+    async queueDepth() {
+      if (!channel) throw new ConnectionError('Sin conexión con RabbitMQ');
+      const { messageCount } = await channel.checkQueue(queues.transactions);
+      return messageCount;
+    },
+
+    deadLetters: {
+      /**
+       * Devuelve hasta `limit` mensajes de la DLQ sin retirarlos.
+       */
+      async list(limit = Infinity) {
+        await connect();
+        const messages = await takeDeadLetters(limit);
+        // Devolver los mensajes a la DLQ tras leerlos
+        messages.forEach((msg) => channel.nack(msg, false, true));
+        return messages.map((msg) => ({
+          content: msg.content,
+          headers: msg.properties.headers ?? {},
+        }));
+      },
+
+      /**
+       * Reinyecta hasta `limit` mensajes de la DLQ en la cola principal.
+       * @returns {Promise<number>} Mensajes reinyectados.
+       */
+      async replay(limit = Infinity) {
+        await connect();
+        const messages = await takeDeadLetters(limit);
+        for (const msg of messages) {
+          await publishConfirmed('', queues.transactions, msg.content, {
+            persistent: true,
+            headers: replayHeaders(msg.properties.headers),
+          });
+          channel.ack(msg);
+        }
+        return messages.length;
+      },
+
+      /**
+       * Elimina todos los mensajes de la DLQ.
+       * @returns {Promise<number>} Mensajes eliminados.
+       */
+      async purge() {
+        await connect();
+        const { messageCount } = await channel.purgeQueue(queues.deadLetter);
+        return messageCount;
+      },
+    },
+
+    /**
+     * Cierra canales y conexión.
+     */
+    async close() {
+      closing = true;
+      try {
+        if (connection) await connection.close();
+        logger.info('✅ Conexión a RabbitMQ cerrada');
+      } catch (error) {
+        logger.error(`❌ Error al cerrar conexión con RabbitMQ: ${error.message}`);
+      }
+    },
+  };
+}
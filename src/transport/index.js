@@ -0,0 +1,32 @@
+import { TRANSPORT, RABBITMQ_CONFIG } from "../config/index.js";
+import { createAmqpTransport } from "./amqpTransport.js";
+import { createMemoryTransport } from "./memoryTransport.js";
+
+/**
+ * Crea el transporte de mensajes configurado (`TRANSPORT`).
+ *
+ * Todo transporte expone:
+ * - `name` e `inProcess` (si publica y consume dentro del mismo proceso).
+ * - `connect()` y `close()`.
+ * - `publish(messages)`: publica y resuelve `{ published, confirmed }`.
+ * - `consume(handler)`: entrega mensajes con `content`, `headers`, `ack()` y
+ *   `retryOrDeadLetter(error, { retryable })`; resuelve `{ cancel(), closed }`,
+ *   donde `closed` resuelve con un error si el consumo se pierde. Un mensaje
+ *   de un consumo perdido no se confirma: `ack()` devuelve `false` y
+ *   `retryOrDeadLetter` resuelve `'redeliver'`, porque el broker lo reentrega
+ *   (si no, resuelve `'retry'` o `'dead-letter'`).
+ * - `deadLetters.list(limit)`, `deadLetters.replay(limit)`, `deadLetters.purge()`.
+ * - `isConnected()` y `queueDepth()` (mensajes en espera), para salud y métricas.
+ * Cada mensaje publicado lleva la cabecera `PUBLISHED_AT_HEADER`.
+ * Los transportes en proceso exponen además `waitForIdle()`.
+ */
+export function createTransport(type = TRANSPORT) {
+  switch (type) {
+    case "amqp":
+      return createAmqpTransport(RABBITMQ_CONFIG);
+    case "memory":
+      return createMemoryTransport({ prefetch: RABBITMQ_CONFIG.prefetch });
+    default:
+      throw new Error(`Transporte desconocido: ${type}`);
+  }
+}
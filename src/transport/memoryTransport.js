@@ -0,0 +1,155 @@
+import { planRetry, replayHeaders, PUBLISHED_AT_HEADER } from './retryPolicy.js';
+
+/**
+ * Transporte en memoria: publica y consume dentro del mismo proceso, con la
+ * misma semántica que el transporte AMQP (prefetch, ack, reintentos con
+ * espera y DLQ). Los mensajes se serializan igual que en el broker, de modo
+ * que un contenido malformado falla del mismo modo.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.prefetch] - Mensajes entregados sin confirmar.
+ */
+export function createMemoryTransport({ prefetch = 100 } = {}) {
+  const ready = [];
+  const deadLetters = [];
+  const retryTimers = new Set();
+  const idleWaiters = [];
+  let handler = null;
+  let unacked = 0;
+  let dispatchScheduled = false;
+
+  function isIdle() {
+    return ready.length === 0 && unacked === 0 && retryTimers.size === 0;
+  }
+
+  function notifyIdle() {
+    if (!isIdle()) return;
+    idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  // Las entregas se hacen de forma asíncrona, como en un broker real
+  function scheduleDispatch() {
+    if (dispatchScheduled) return;
+    dispatchScheduled = true;
+    setImmediate(() => {
+      dispatchScheduled = false;
+      while (handler && ready.length > 0 && unacked < prefetch) {
+        deliver(ready.shift());
+      }
+      notifyIdle();
+    });
+  }
+
+  function deliver(message) {
+    unacked += 1;
+    let settled = false;
+    const settle = () => {
+      if (settled) throw new Error('Mensaje ya confirmado');
+      settled = true;
+      unacked -= 1;
+      scheduleDispatch();
+    };
+
+    handler({
+      content: message.content,
+      headers: message.headers,
+      ack() {
+        settle();
+        return true;
+      },
+      async retryOrDeadLetter(error, { retryable = true } = {}) {
+        const plan = planRetry(message.headers, error, retryable);
+        if (plan.action === 'retry') {
+          const timer = setTimeout(() => {
+            retryTimers.delete(timer);
+            enqueue(message.content, plan.headers);
+          }, plan.delayMs);
+          retryTimers.add(timer);
+        } else {
+          deadLetters.push({ content: message.content, headers: plan.headers });
+        }
+        settle();
+        return plan.action;
+      },
+    });
+  }
+
+  function enqueue(content, headers = {}) {
+    ready.push({ content, headers });
+    scheduleDispatch();
+  }
+
+  return {
+    name: 'memory',
+    inProcess: true,
+
+    async connect() {},
+
+    /**
+     * Encola mensajes; en memoria toda publicación queda confirmada.
+     * @returns {Promise<{published: number, confirmed: number}>}
+     */
+    async publish(messages) {
+      for (const message of messages) {
+        enqueue(Buffer.from(JSON.stringify(message)), { [PUBLISHED_AT_HEADER]: Date.now() });
+      }
+      return { published: messages.length, confirmed: messages.length };
+    },
+
+    /**
+     * Registra el único consumidor de la cola. En proceso el consumo no se
+     * pierde: `closed` nunca resuelve.
+     * @returns {Promise<{cancel: () => Promise<void>, closed: Promise<Error>}>}
+     */
+    async consume(messageHandler) {
+      handler = messageHandler;
+      scheduleDispatch();
+      return {
+        closed: new Promise(() => {}),
+        cancel: async () => {
+          handler = null;
+        },
+      };
+    },
+
+    // En proceso no hay conexión que perder
+    isConnected() {
+      return true;
+    },
+
+    async queueDepth() {
+      return ready.length;
+    },
+
+    /**
+     * Resuelve cuando no quedan mensajes por entregar, sin confirmar ni
+     * reintentos pendientes.
+     */
+    waitForIdle() {
+      if (isIdle()) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+
+    deadLetters: {
+      async list(limit = Infinity) {
+        return deadLetters.slice(0, limit);
+      },
+      async replay(limit = Infinity) {
+        const messages = deadLetters.splice(0, limit);
+        messages.forEach(({ content, headers }) => enqueue(content, replayHeaders(headers)));
+        return messages.length;
+      },
+      async purge() {
+        return deadLetters.splice(0).length;
+      },
+    },
+
+    async close() {
+      handler = null;
+      retryTimers.forEach((timer) => clearTimeout(timer));
+      retryTimers.clear();
+      ready.length = 0;
+      notifyIdle();
+    },
+  };
+}
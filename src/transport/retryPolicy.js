@@ -0,0 +1,71 @@
+import { MAX_DELIVERY_RETRIES, RETRY_BASE_DELAY_MS } from '../config/index.js';
+
+export const RETRY_COUNT_HEADER = 'x-retry-count';
+export const ERROR_HEADER = 'x-error';
+export const ERROR_NAME_HEADER = 'x-error-name';
+export const DEAD_LETTERED_AT_HEADER = 'x-dead-lettered-at';
+// Milisegundos epoch de la publicación original; se conserva en reintentos
+export const PUBLISHED_AT_HEADER = 'x-published-at';
+
+/**
+ * Espera antes de reintentar un mensaje que ya lleva `retryCount` reintentos.
+ */
+export function retryDelayMs(retryCount) {
+  return RETRY_BASE_DELAY_MS * 2 ** retryCount;
+}
+
+/**
+ * Todas las esperas posibles, de la primera a la última antes de la DLQ.
+ * @returns {number[]}
+ */
+export function retryDelays() {
+  return Array.from({ length: MAX_DELIVERY_RETRIES }, (_, retryCount) => retryDelayMs(retryCount));
+}
+
+/**
+ * Decide el destino de un mensaje fallido, común a todos los transportes.
+ * Se reintenta con espera exponencial mientras el error sea reintentable y
+ * no se haya alcanzado MAX_DELIVERY_RETRIES; si no, va a la DLQ con el error.
+ *
+ * @param {Object} headers - Cabeceras actuales del mensaje.
+ * @param {Error} error - Error que provocó el fallo.
+ * @param {boolean} retryable - Si el error puede resolverse reintentando.
+ * @returns {{action: 'retry', delayMs: number, headers: Object}|{action: 'dead-letter', headers: Object}}
+ */
+export function planRetry(headers, error, retryable) {
+  const retryCount = Number(headers[RETRY_COUNT_HEADER] ?? 0);
+
+  if (retryable && retryCount < MAX_DELIVERY_RETRIES) {
+    return {
+      action: 'retry',
+      delayMs: retryDelayMs(retryCount),
+      headers: { ...headers, [RETRY_COUNT_HEADER]: retryCount + 1, [ERROR_HEADER]: error.message },
+    };
+  }
+
+  return {
+    action: 'dead-letter',
+    headers: {
+      ...headers,
+      [RETRY_COUNT_HEADER]: retryCount,
+      [ERROR_HEADER]: error.message,
+      [ERROR_NAME_HEADER]: error.name,
+      [DEAD_LETTERED_AT_HEADER]: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Cabeceras con las que se reinyecta un mensaje de la DLQ: sin historial de
+ * reintentos, para darle un ciclo completo.
+ */
+export function replayHeaders(headers = {}) {
+  const {
+    [RETRY_COUNT_HEADER]: _retries,
+    [ERROR_HEADER]: _error,
+    [ERROR_NAME_HEADER]: _errorName,
+    [DEAD_LETTERED_AT_HEADER]: _deadLetteredAt,
+    ...rest
+  } = headers;
+  return rest;
+}
@@ -0,0 +1,187 @@
+/**
+ * Validación criptográfica de direcciones Bitcoin: Base58Check (P2PKH y
+ * P2SH) y Bech32/Bech32m (segwit, BIP 173 y BIP 350), con detección de red.
+ */
+import crypto from 'crypto';
+
+export const NETWORKS = Object.freeze({
+  mainnet: { hrp: 'bc', p2pkh: 0x00, p2sh: 0x05 },
+  testnet: { hrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+  regtest: { hrp: 'bcrt', p2pkh: 0x6f, p2sh: 0xc4 },
+});
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+/**
+ * Decodifica Base58; `null` si hay caracteres fuera del alfabeto.
+ */
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  // Cada '1' inicial representa un byte cero
+  for (const char of text) {
+    if (char !== '1') break;
+    bytes.unshift(0);
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeBase58Check(address) {
+  const bytes = base58Decode(address);
+  if (!bytes || bytes.length !== 25) {
+    return { valid: false, error: 'formato Base58 inválido' };
+  }
+
+  const payload = bytes.subarray(0, 21);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  if (!checksum.equals(bytes.subarray(21))) {
+    return { valid: false, error: 'checksum Base58Check inválido' };
+  }
+
+  const version = payload[0];
+  const networks = Object.keys(NETWORKS).filter(
+    (name) => NETWORKS[name].p2pkh === version || NETWORKS[name].p2sh === version
+  );
+  if (networks.length === 0) {
+    return { valid: false, error: `versión Base58 desconocida (0x${version.toString(16)})` };
+  }
+  const type = NETWORKS[networks[0]].p2pkh === version ? 'p2pkh' : 'p2sh';
+  return { valid: true, type, networks };
+}
+
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i += 1) {
+      if ((top >>> i) & 1) checksum ^= BECH32_GENERATOR[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const codes = [...hrp].map((char) => char.charCodeAt(0));
+  return [...codes.map((code) => code >>> 5), 0, ...codes.map((code) => code & 31)];
+}
+
+/**
+ * Reagrupa bits (p. ej. de 5 a 8) sin relleno; `null` si sobran bits no nulos.
+ */
+function convertBits(data, fromBits, toBits) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >>> bits) & maxValue);
+    }
+  }
+  if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue) !== 0) return null;
+  return result;
+}
+
+function decodeBech32(address) {
+  const invalid = (error) => ({ valid: false, error });
+
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return invalid('Bech32 con mayúsculas y minúsculas mezcladas');
+  }
+  const text = address.toLowerCase();
+  const separator = text.lastIndexOf('1');
+  if (text.length > 90 || separator < 1 || separator + 7 > text.length) {
+    return invalid('formato Bech32 inválido');
+  }
+
+  const hrp = text.slice(0, separator);
+  const data = [];
+  for (const char of text.slice(separator + 1)) {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value === -1) return invalid('carácter fuera del alfabeto Bech32');
+    data.push(value);
+  }
+
+  const constant = bech32Polymod([...hrpExpand(hrp), ...data]);
+  if (constant !== BECH32_CONST && constant !== BECH32M_CONST) {
+    return invalid('checksum Bech32 inválido');
+  }
+
+  const version = data[0];
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (version > 16 || !program || program.length < 2 || program.length > 40) {
+    return invalid('programa segwit inválido');
+  }
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    return invalid('programa segwit v0 con longitud inválida');
+  }
+  // v0 usa Bech32; v1 en adelante, Bech32m (BIP 350)
+  if ((version === 0) !== (constant === BECH32_CONST)) {
+    return invalid(`codificación incorrecta para segwit v${version}`);
+  }
+
+  const networks = Object.keys(NETWORKS).filter((name) => NETWORKS[name].hrp === hrp);
+  if (networks.length === 0) return invalid(`prefijo Bech32 desconocido (${hrp})`);
+
+  let type = `witness_v${version}`;
+  if (version === 0) type = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+  else if (version === 1 && program.length === 32) type = 'p2tr';
+  return { valid: true, type, networks };
+}
+
+/**
+ * Decodifica una dirección y verifica su checksum.
+ * @param {string} address
+ * @returns {{valid: true, type: string, networks: string[]}|{valid: false, error: string}}
+ *   `networks` lista las redes compatibles (testnet y regtest comparten las
+ *   versiones Base58).
+ */
+export function decodeAddress(address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    return { valid: false, error: 'dirección vacía' };
+  }
+  const lower = address.toLowerCase();
+  const isBech32 = Object.values(NETWORKS).some(({ hrp }) => lower.startsWith(`${hrp}1`));
+  return isBech32 ? decodeBech32(address) : decodeBase58Check(address);
+}
+
+/**
+ * Valida una dirección para la red esperada.
+ * @param {string} address
+ * @param {string} network - `mainnet`, `testnet` o `regtest`.
+ * @returns {{valid: true, type: string}|{valid: false, wrongNetwork: boolean, error: string}}
+ */
+export function validateAddress(address, network) {
+  const decoded = decodeAddress(address);
+  if (!decoded.valid) return { valid: false, wrongNetwork: false, error: decoded.error };
+  if (!decoded.networks.includes(network)) {
+    return {
+      valid: false,
+      wrongNetwork: true,
+      error: `dirección de ${decoded.networks.join('/')}, se esperaba ${network}`,
+    };
+  }
+  return { valid: true, type: decoded.type };
+}
@@ -0,0 +1,84 @@
+/**
+ * Aritmética exacta de montos. Los montos se manejan como satoshis enteros
+ * (BigInt) y se representan como cadenas decimales con 8 decimales, igual
+ * que la columna NUMERIC(18, 8). Nunca se pasan por números de punto flotante.
+ */
+
+export const SATS_PER_COIN = 100000000n;
+const DECIMALS = 8;
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * Convierte un monto decimal a satoshis.
+ * Acepta cadenas decimales (incluida notación científica), BigInt de
+ * satoshis o números; los números se leen por su representación más corta,
+ * que coincide con el literal original para montos de hasta 15 dígitos.
+ *
+ * @param {string|number|bigint} value - Monto en unidades de moneda.
+ * @returns {bigint} Monto en satoshis.
+ * @throws {Error} Si el monto no es un decimal válido o tiene más de 8 decimales.
+ */
+export function toSats(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Monto inválido: ${value}`);
+  }
+
+  const text = String(value).trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) throw new Error(`Monto inválido: ${value}`);
+
+  const [, sign, integer, fraction = '', exponent = '0'] = match;
+  const digits = integer + fraction;
+  const scale = fraction.length - Number(exponent);
+  const significant = digits.replace(/0+$/, '');
+  const trailingZeros = digits.length - significant.length;
+
+  if (scale - trailingZeros > DECIMALS) {
+    throw new Error(`Monto con más de ${DECIMALS} decimales: ${value}`);
+  }
+
+  const shift = DECIMALS - scale;
+  const sats = shift >= 0
+    ? BigInt(digits) * 10n ** BigInt(shift)
+    : BigInt(digits) / 10n ** BigInt(-shift);
+
+  return sign ? -sats : sats;
+}
+
+/**
+ * Indica si un valor puede convertirse en un monto exacto.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isAmount(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return false;
+  try {
+    toSats(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Formatea satoshis como decimal con 8 decimales (p. ej. `36.97596130`).
+ * @param {bigint} sats
+ * @returns {string}
+ */
+export function formatSats(sats) {
+  const negative = sats < 0n;
+  const abs = negative ? -sats : sats;
+  const integer = abs / SATS_PER_COIN;
+  const fraction = (abs % SATS_PER_COIN).toString().padStart(DECIMALS, '0');
+  return `${negative ? '-' : ''}${integer}.${fraction}`;
+}
+
+/**
+ * Normaliza un monto a su representación decimal exacta de 8 decimales.
+ * @param {string|number|bigint} value
+ * @returns {string}
+ */
+export function normalizeAmount(value) {
+  return formatSats(toSats(value));
+}
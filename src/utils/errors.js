@@ -41,3 +41,12 @@ export class FileProcessingError extends Error {
     this.statusCode = 500;
   }
 }
+
+// Error de uso de la línea de comandos (comando u opciones inválidos)
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+    this.statusCode = 400;
+  }
+}
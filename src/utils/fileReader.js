@@ -1,12 +1,123 @@
-import fs from 'fs/promises';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export async function readJsonFile(filename) {
-  const filePath = path.join(__dirname, '../../data', filename);
-  const content = await fs.readFile(filePath, 'utf8');
-  return JSON.parse(content);
+export const DATA_DIR = path.join(__dirname, '../../data');
+
+// Campos monetarios cuyo literal se conserva como cadena para no perder
+// precisión al pasar por números de punto flotante.
+const AMOUNT_FIELDS = new Set(['amount', 'fee']);
+
+const WHITESPACE_PATTERN = /[ \t\n\r]*/y;
+const STRING_PATTERN = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = [['true', true], ['false', false], ['null', null]];
+
+export function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Parsea JSON de transacciones conservando `amount` y `fee` como cadenas
+ * decimales exactas, tal como aparecen en el texto original. El literal se
+ * toma al reconocer el número, así que una cadena que contenga `"amount":`
+ * no se altera.
+ * @param {string} content - Texto JSON.
+ * @throws {SyntaxError} Si el contenido no es JSON válido.
+ */
+export function parseTransactionsJson(content) {
+  let position = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} en la posición ${position}`);
+  };
+
+  function skipWhitespace() {
+    WHITESPACE_PATTERN.lastIndex = position;
+    WHITESPACE_PATTERN.test(content);
+    position = WHITESPACE_PATTERN.lastIndex;
+  }
+
+  function match(pattern) {
+    pattern.lastIndex = position;
+    const found = pattern.exec(content);
+    if (!found) return null;
+    position = pattern.lastIndex;
+    return found[0];
+  }
+
+  function expect(char) {
+    skipWhitespace();
+    if (content[position] !== char) fail(`Se esperaba "${char}"`);
+    position += 1;
+  }
+
+  function parseString() {
+    return JSON.parse(match(STRING_PATTERN) ?? fail('Cadena inválida'));
+  }
+
+  function parseObject() {
+    const object = {};
+    expect('{');
+    skipWhitespace();
+    if (content[position] === '}') {
+      position += 1;
+      return object;
+    }
+    do {
+      skipWhitespace();
+      const key = parseString();
+      expect(':');
+      // Como JSON.parse: "__proto__" es una clave más
+      Object.defineProperty(object, key, {
+        value: parseValue(key),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+      skipWhitespace();
+    } while (content[position++] === ',');
+    if (content[position - 1] !== '}') fail('Se esperaba "," o "}"');
+    return object;
+  }
+
+  function parseArray() {
+    const array = [];
+    expect('[');
+    skipWhitespace();
+    if (content[position] === ']') {
+      position += 1;
+      return array;
+    }
+    do {
+      array.push(parseValue(null));
+      skipWhitespace();
+    } while (content[position++] === ',');
+    if (content[position - 1] !== ']') fail('Se esperaba "," o "]"');
+    return array;
+  }
+
+  function parseValue(key) {
+    skipWhitespace();
+    const char = content[position];
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"') return parseString();
+    for (const [literal, value] of LITERALS) {
+      if (content.startsWith(literal, position)) {
+        position += literal.length;
+        return value;
+      }
+    }
+    const literal = match(NUMBER_PATTERN) ?? fail('Valor inesperado');
+    return AMOUNT_FIELDS.has(key) ? literal : Number(literal);
+  }
+
+  const value = parseValue(null);
+  skipWhitespace();
+  if (position < content.length) fail('Contenido después del JSON');
+  return value;
 }
@@ -0,0 +1,94 @@
+import client from 'prom-client';
+
+/**
+ * Registro de métricas del proceso, expuesto en `/metrics` (ver
+ * `src/services/monitoring.js`). Incluye las métricas por defecto de Node
+ * (CPU, memoria, event loop).
+ */
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const transactionsPublished = new client.Counter({
+  name: 'transactions_published_total',
+  help: 'Transacciones publicadas en el transporte',
+  labelNames: ['transport'],
+  registers: [registry],
+});
+
+export const transactionsConsumed = new client.Counter({
+  name: 'transactions_consumed_total',
+  help: 'Mensajes consumidos por resultado: valid, ledger y failed al confirmarse su lote; invalid al rechazarse',
+  labelNames: ['kind'],
+  registers: [registry],
+});
+
+export const depositsCredited = new client.Counter({
+  name: 'deposits_credited_total',
+  help: 'Depósitos que pasaron a acreditados',
+  registers: [registry],
+});
+
+export const transactionFailures = new client.Counter({
+  name: 'transaction_failures_total',
+  help: 'Transacciones fallidas registradas, por código de motivo',
+  labelNames: ['reason_code'],
+  registers: [registry],
+});
+
+export const batchFlushDuration = new client.Histogram({
+  name: 'consumer_batch_flush_duration_seconds',
+  help: 'Duración de la escritura de un lote del consumidor, por resultado (committed, failed)',
+  labelNames: ['outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+export const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duración de las consultas a Postgres (query) y de las transacciones completas (transaction)',
+  labelNames: ['operation'],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+export const brokerReconnects = new client.Counter({
+  name: 'broker_reconnects_total',
+  help: 'Reconexiones con el broker tras perder la conexión',
+  registers: [registry],
+});
+
+export const queueLag = new client.Histogram({
+  name: 'transaction_queue_lag_seconds',
+  help: 'Tiempo entre la publicación de un mensaje y su entrega al consumidor',
+  buckets: [0.01, 0.1, 0.5, 1, 5, 15, 60, 300, 900],
+  registers: [registry],
+});
+
+let queueDepthProvider = null;
+
+/**
+ * Mensajes en espera en la cola de transacciones, leídos en cada scrape
+ * (ver `observeQueueDepth`).
+ */
+export const queueDepth = new client.Gauge({
+  name: 'transaction_queue_messages',
+  help: 'Mensajes en la cola de transacciones pendientes de entrega',
+  registers: [registry],
+  async collect() {
+    if (!queueDepthProvider) return;
+    try {
+      this.set(await queueDepthProvider());
+    } catch {
+      // Sin broker no hay dato; /readyz informa el problema
+      this.reset();
+    }
+  },
+});
+
+/**
+ * Registra de dónde leer la profundidad de la cola en cada scrape.
+ * @param {(() => Promise<number>)|null} provider
+ */
+export function observeQueueDepth(provider) {
+  queueDepthProvider = provider;
+}
@@ -0,0 +1,337 @@
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { FileProcessingError } from './errors.js';
+import { parseTransactionsJson } from './fileReader.js';
+
+const NDJSON_EXTENSIONS = ['.ndjson', '.jsonl'];
+const TRANSACTION_FILE_EXTENSIONS = ['.json', ...NDJSON_EXTENSIONS];
+
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COMMA = 0x2c;
+const COLON = 0x3a;
+const NEWLINE = 0x0a;
+
+const TRANSACTIONS_KEY = 'transactions';
+
+function isWhitespace(byte) {
+  return byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+}
+
+/**
+ * Error de un registro o de la estructura de un archivo de transacciones,
+ * con la posición (byte) y el índice del registro afectado.
+ */
+function malformed(message, { offset, index }) {
+  const error = new FileProcessingError(
+    `${message} (registro ${index}, byte ${offset})`
+  );
+  error.offset = offset;
+  error.index = index;
+  return error;
+}
+
+function parseRecord(text, position) {
+  try {
+    return parseTransactionsJson(text);
+  } catch (error) {
+    throw malformed(`Registro malformado: ${error.message}`, position);
+  }
+}
+
+/**
+ * Recorre un valor JSON byte a byte y detecta dónde termina, sin
+ * interpretarlo. Solo distingue cadenas y anidamiento: la validez del
+ * contenido la comprueba `parseTransactionsJson` sobre el texto capturado.
+ */
+function createValueScanner() {
+  let kind = null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  return {
+    /**
+     * @returns {'more'|'end'|'endBefore'} `end` si el valor termina en este
+     *   byte; `endBefore` si terminó justo antes (primitivos sin delimitador).
+     */
+    push(byte) {
+      if (kind === null) {
+        if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+          kind = 'container';
+          depth = 1;
+        } else if (byte === QUOTE) {
+          kind = 'string';
+          inString = true;
+        } else {
+          kind = 'primitive';
+        }
+        return 'more';
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (byte === BACKSLASH) escaped = true;
+        else if (byte === QUOTE) {
+          inString = false;
+          if (kind === 'string') return 'end';
+        }
+        return 'more';
+      }
+      if (kind === 'primitive') {
+        return byte === COMMA || byte === CLOSE_BRACKET || byte === CLOSE_BRACE || isWhitespace(byte)
+          ? 'endBefore'
+          : 'more';
+      }
+      if (byte === QUOTE) inString = true;
+      else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) depth += 1;
+      else if (byte === CLOSE_BRACE || byte === CLOSE_BRACKET) {
+        depth -= 1;
+        if (depth === 0) return 'end';
+      }
+      return 'more';
+    },
+  };
+}
+
+/**
+ * Lee transacciones del formato exportado por el wallet
+ * (`{"transactions": [...]}`) sin cargar el documento entero: cada elemento
+ * del arreglo se parsea y se entrega por separado, así que la memoria queda
+ * acotada por el mayor registro y no por el tamaño del archivo. Las demás
+ * claves del objeto raíz se omiten.
+ *
+ * @param {AsyncIterable<Buffer>} chunks - Contenido del archivo.
+ * @returns {AsyncGenerator<Object>} Transacciones, en orden.
+ * @throws {FileProcessingError} Con `offset` e `index` si un registro o la
+ *   estructura del documento son inválidos.
+ */
+export async function* parseJsonTransactions(chunks) {
+  let mode = 'start';
+  let offset = 0;
+  let index = 0;
+  let key = null;
+  let found = false;
+  let scanner = null;
+  let parts = [];
+  let captureFrom = -1;
+  let valueOffset = 0;
+
+  const fail = (message) => {
+    throw malformed(message, { offset, index });
+  };
+
+  for await (const chunk of chunks) {
+    let i = 0;
+    while (i < chunk.length) {
+      const byte = chunk[i];
+
+      switch (mode) {
+        case 'start':
+          if (isWhitespace(byte)) break;
+          if (byte !== OPEN_BRACE) fail('Se esperaba un objeto JSON');
+          mode = 'key';
+          break;
+
+        case 'key':
+          if (isWhitespace(byte)) break;
+          if (byte === CLOSE_BRACE && key === null) {
+            mode = 'end';
+            break;
+          }
+          if (byte !== QUOTE) fail('Se esperaba una clave');
+          mode = 'keyString';
+          scanner = createValueScanner();
+          captureFrom = i;
+          continue;
+
+        case 'colon':
+          if (isWhitespace(byte)) break;
+          if (byte !== COLON) fail('Se esperaba ":"');
+          mode = 'value';
+          break;
+
+        case 'value':
+          if (isWhitespace(byte)) break;
+          if (key === TRANSACTIONS_KEY) {
+            if (byte !== OPEN_BRACKET) fail(`"${TRANSACTIONS_KEY}" debe ser un arreglo`);
+            found = true;
+            mode = 'element';
+            break;
+          }
+          // Valor de otra clave: se recorre sin guardarlo
+          mode = 'skip';
+          scanner = createValueScanner();
+          continue;
+
+        case 'element':
+          if (isWhitespace(byte)) break;
+          if (byte === CLOSE_BRACKET && index === 0) {
+            mode = 'afterValue';
+            break;
+          }
+          mode = 'record';
+          scanner = createValueScanner();
+          captureFrom = i;
+          valueOffset = offset;
+          continue;
+
+        case 'afterRecord':
+          if (isWhitespace(byte)) break;
+          if (byte === COMMA) mode = 'element';
+          else if (byte === CLOSE_BRACKET) mode = 'afterValue';
+          else fail('Se esperaba "," o "]"');
+          break;
+
+        case 'afterValue':
+          if (isWhitespace(byte)) break;
+          if (byte === COMMA) mode = 'key';
+          else if (byte === CLOSE_BRACE) mode = 'end';
+          else fail('Se esperaba "," o "}"');
+          break;
+
+        case 'end':
+          if (!isWhitespace(byte)) fail('Contenido después del objeto JSON');
+          break;
+
+        // keyString, record y skip: dentro de un valor
+        default: {
+          const state = scanner.push(byte);
+          if (state === 'more') break;
+
+          const endAt = state === 'end' ? i + 1 : i;
+          if (mode === 'skip') {
+            mode = 'afterValue';
+          } else {
+            parts.push(chunk.subarray(captureFrom, endAt));
+            const text = Buffer.concat(parts).toString('utf8');
+            parts = [];
+            captureFrom = -1;
+
+            if (mode === 'keyString') {
+              key = JSON.parse(text);
+              mode = 'colon';
+            } else {
+              yield parseRecord(text, { offset: valueOffset, index });
+              index += 1;
+              mode = 'afterRecord';
+            }
+          }
+          scanner = null;
+
+          // El delimitador de un primitivo se vuelve a evaluar
+          if (state === 'endBefore') continue;
+        }
+      }
+
+      i += 1;
+      offset += 1;
+    }
+
+    // El valor capturado sigue en el próximo fragmento
+    if (captureFrom !== -1) {
+      parts.push(chunk.subarray(captureFrom));
+      captureFrom = 0;
+    }
+  }
+
+  if (mode !== 'end') fail('Fin de archivo inesperado');
+  if (!found) fail(`Falta el arreglo "${TRANSACTIONS_KEY}"`);
+}
+
+/**
+ * Lee transacciones en formato NDJSON: un objeto JSON por línea. Las líneas
+ * vacías se ignoran.
+ *
+ * @param {AsyncIterable<Buffer>} chunks - Contenido del archivo.
+ * @returns {AsyncGenerator<Object>} Transacciones, en orden.
+ * @throws {FileProcessingError} Con `offset` e `index` de la línea inválida.
+ */
+export async function* parseNdjsonTransactions(chunks) {
+  let parts = [];
+  let lineOffset = 0;
+  let offset = 0;
+  let index = 0;
+
+  function* flushLine() {
+    const text = Buffer.concat(parts).toString('utf8').trim();
+    parts = [];
+    if (text === '') return;
+    yield parseRecord(text, { offset: lineOffset, index });
+    index += 1;
+  }
+
+  for await (const chunk of chunks) {
+    let start = 0;
+    let newline;
+    while ((newline = chunk.indexOf(NEWLINE, start)) !== -1) {
+      parts.push(chunk.subarray(start, newline));
+      yield* flushLine();
+      start = newline + 1;
+      lineOffset = offset + start;
+    }
+    parts.push(chunk.subarray(start));
+    offset += chunk.length;
+  }
+  yield* flushLine();
+}
+
+/**
+ * Indica si el nombre corresponde a un archivo de transacciones admitido
+ * (`.json`, `.ndjson` o `.jsonl`).
+ */
+export function isTransactionsFile(filename) {
+  return TRANSACTION_FILE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function parserFor(filePath) {
+  return NDJSON_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+    ? parseNdjsonTransactions
+    : parseJsonTransactions;
+}
+
+/**
+ * Lee las transacciones de un archivo una a una, según su extensión.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<Object>}
+ */
+export function streamTransactionsFile(filePath) {
+  return parserFor(filePath)(createReadStream(filePath));
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Recorre un archivo de transacciones completo antes de publicarlo: valida
+ * cada registro y calcula el SHA-256 del contenido, con memoria acotada.
+ * @param {string} filePath
+ * @returns {Promise<{checksum: string, count: number}>}
+ * @throws {FileProcessingError} Si un registro es inválido; además de
+ *   `offset` e `index`, el error lleva el `checksum` del archivo.
+ */
+export async function inspectTransactionsFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  async function* hashed() {
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+      yield chunk;
+    }
+  }
+
+  let count = 0;
+  try {
+    for await (const _tx of parserFor(filePath)(hashed())) count += 1;
+  } catch (error) {
+    if (error instanceof FileProcessingError) error.checksum = await hashFile(filePath);
+    throw error;
+  }
+  return { checksum: hash.digest('hex'), count };
+}
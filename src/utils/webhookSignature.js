@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const EVENT_ID_HEADER = 'x-webhook-id';
+export const EVENT_TYPE_HEADER = 'x-webhook-event';
+
+/**
+ * Firma HMAC-SHA256 de un webhook. Se firma `<timestamp>.<cuerpo>` para que
+ * el receptor pueda rechazar reenvíos viejos del mismo cuerpo.
+ * @param {string} secret - Secreto del endpoint.
+ * @param {number} timestamp - Segundos Unix del envío.
+ * @param {string} body - Cuerpo exacto de la petición.
+ * @returns {string} `sha256=<hex>`
+ */
+export function signWebhook(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verifica la firma de un webhook recibido en tiempo constante.
+ * @param {string} secret
+ * @param {string|number} timestamp - Valor de la cabecera de timestamp.
+ * @param {string} body
+ * @param {string} signature - Valor de la cabecera de firma.
+ * @param {number} [toleranceSeconds] - Antigüedad máxima aceptada.
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const received = Buffer.from(String(signature ?? ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Genera un secreto aleatorio para un endpoint nuevo.
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
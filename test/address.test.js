@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAddress, validateAddress } from '../src/utils/address.js';
+
+describe('decodeAddress', () => {
+  it('reconoce cada tipo de dirección y sus redes', () => {
+    assert.deepEqual(decodeAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'), {
+      valid: true,
+      type: 'p2pkh',
+      networks: ['mainnet'],
+    });
+    assert.deepEqual(decodeAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'), {
+      valid: true,
+      type: 'p2sh',
+      networks: ['mainnet'],
+    });
+    assert.deepEqual(decodeAddress('myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ'), {
+      valid: true,
+      type: 'p2pkh',
+      networks: ['testnet', 'regtest'],
+    });
+    assert.equal(decodeAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq').type, 'p2wpkh');
+    assert.equal(
+      decodeAddress('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7').type,
+      'p2wsh'
+    );
+    assert.equal(
+      decodeAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0').type,
+      'p2tr'
+    );
+  });
+
+  it('acepta Bech32 en mayúsculas pero no mezcladas', () => {
+    assert.equal(decodeAddress('BC1QAR0SRRR7XFKVY5L643LYDNW9RE59GTZZWF5MDQ').valid, true);
+    assert.equal(decodeAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdQ').valid, false);
+  });
+
+  it('rechaza checksums inválidos y direcciones vacías', () => {
+    assert.deepEqual(decodeAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3'), {
+      valid: false,
+      error: 'checksum Base58Check inválido',
+    });
+    assert.deepEqual(decodeAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdp'), {
+      valid: false,
+      error: 'checksum Bech32 inválido',
+    });
+    assert.equal(decodeAddress('').valid, false);
+    assert.equal(decodeAddress(undefined).valid, false);
+  });
+});
+
+describe('validateAddress', () => {
+  it('acepta direcciones de la red esperada', () => {
+    assert.deepEqual(validateAddress('myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ', 'regtest'), {
+      valid: true,
+      type: 'p2pkh',
+    });
+  });
+
+  it('distingue una dirección de otra red de una inválida', () => {
+    assert.deepEqual(validateAddress('myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ', 'mainnet'), {
+      valid: false,
+      wrongNetwork: true,
+      error: 'dirección de testnet/regtest, se esperaba mainnet',
+    });
+    assert.equal(validateAddress('no-es-una-direccion', 'testnet').wrongNetwork, false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSats, isAmount, formatSats, normalizeAmount } from '../src/utils/amount.js';
+
+describe('toSats', () => {
+  it('convierte decimales, notación científica, números y BigInt', () => {
+    assert.equal(toSats('36.9759613'), 3697596130n);
+    assert.equal(toSats(36.9759613), 3697596130n);
+    assert.equal(toSats('-0.00000001'), -1n);
+    assert.equal(toSats('1e-8'), 1n);
+    assert.equal(toSats('1.5E2'), 15000000000n);
+    assert.equal(toSats(' 2 '), 200000000n);
+    assert.equal(toSats(5n), 5n);
+  });
+
+  it('no pierde precisión donde la pierde el punto flotante', () => {
+    assert.equal(toSats(0.1) + toSats(0.2), toSats('0.3'));
+    assert.equal(toSats('92233720368.54775807'), 9223372036854775807n);
+  });
+
+  it('admite ceros de más pero no más de 8 decimales significativos', () => {
+    assert.equal(toSats('0.100000000000'), 10000000n);
+    assert.throws(() => toSats('0.000000001'), /más de 8 decimales/);
+    assert.throws(() => toSats('1e-9'), /más de 8 decimales/);
+  });
+
+  it('rechaza lo que no es un decimal', () => {
+    for (const value of ['', 'abc', '1.2.3', '0x10', Infinity, NaN]) {
+      assert.throws(() => toSats(value), /Monto inválido/);
+    }
+  });
+});
+
+describe('isAmount', () => {
+  it('solo acepta cadenas y números convertibles', () => {
+    assert.equal(isAmount('1.5'), true);
+    assert.equal(isAmount(-0.5), true);
+    assert.equal(isAmount('0.000000001'), false);
+    assert.equal(isAmount(null), false);
+    assert.equal(isAmount(5n), false);
+  });
+});
+
+describe('formatSats y normalizeAmount', () => {
+  it('representan montos con 8 decimales exactos', () => {
+    assert.equal(formatSats(3697596130n), '36.97596130');
+    assert.equal(formatSats(-1n), '-0.00000001');
+    assert.equal(formatSats(0n), '0.00000000');
+    assert.equal(normalizeAmount(9.19), '9.19000000');
+    assert.equal(normalizeAmount('-1e-8'), '-0.00000001');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, respondWith, resetDb } from './support/fakeDb.js';
+import {
+  getDeposits,
+  getFailures,
+  getExecutionLogsById,
+  getExecutionReportById,
+} from '../src/api/handlers.js';
+import { AppError, TransactionValidationError } from '../src/utils/errors.js';
+
+const EXECUTION_ID = '1f2e3d4c-5b6a-4789-9abc-def012345678';
+
+const query = (params = {}) => new URLSearchParams(params);
+
+describe('API', () => {
+  beforeEach(() => {
+    resetDb();
+  });
+
+  describe('getDeposits', () => {
+    it('pagina y filtra, y quita el total de cada fila', async () => {
+      respondWith((text) => (text.includes('FROM deposits d') ? [{ txid: 'a', total: '7' }] : undefined));
+
+      const result = await getDeposits(
+        query({ page: '3', pageSize: '2', customer: 'Kirk', executionId: EXECUTION_ID, status: 'credited' })
+      );
+
+      assert.deepEqual(result, { data: [{ txid: 'a' }], page: 3, pageSize: 2, total: 7 });
+      const [listed] = queries;
+      assert.match(listed.text, /WHERE c\.name = \$1 AND d\.execution_id = \$2 AND d\.status = \$3/);
+      assert.deepEqual(listed.params, ['Kirk', EXECUTION_ID, 'credited', 2, 4]);
+    });
+
+    it('cuenta aparte cuando la página está vacía', async () => {
+      respondWith((text) => (text.includes('COUNT(*)::int') ? [{ total: 3 }] : undefined));
+
+      const result = await getDeposits(query({ page: '9' }));
+
+      assert.deepEqual(result, { data: [], page: 9, pageSize: 50, total: 3 });
+    });
+
+    it('rechaza parámetros inválidos con 400 sin consultar', async () => {
+      for (const params of [
+        { page: '0' },
+        { pageSize: '1.5' },
+        { pageSize: '501' },
+        { executionId: 'no-es-un-uuid' },
+        { status: 'perdido' },
+        { from: 'ayer' },
+      ]) {
+        await assert.rejects(getDeposits(query(params)), (error) => {
+          assert.ok(error instanceof TransactionValidationError, JSON.stringify(params));
+          assert.equal(error.statusCode, 400);
+          return true;
+        });
+      }
+      assert.equal(queries.length, 0);
+    });
+  });
+
+  it('getFailures filtra por ejecución si se indica', async () => {
+    await getFailures(query());
+    await getFailures(query({ executionId: EXECUTION_ID }));
+
+    assert.deepEqual(queries.map(({ params }) => params), [[null], [EXECUTION_ID]]);
+    await assert.rejects(getFailures(query({ executionId: 'x' })), TransactionValidationError);
+  });
+
+  it('getExecutionLogsById valida el id', async () => {
+    assert.deepEqual(await getExecutionLogsById(EXECUTION_ID), { executionId: EXECUTION_ID, data: [] });
+    await assert.rejects(getExecutionLogsById('../etc'), TransactionValidationError);
+  });
+
+  it('getExecutionReportById responde 404 si la ejecución no tiene reporte', async () => {
+    await assert.rejects(getExecutionReportById(EXECUTION_ID), (error) => {
+      assert.ok(error instanceof AppError);
+      assert.equal(error.statusCode, 404);
+      return true;
+    });
+
+    respondWith((text) => (text.includes('FROM execution_reports') ? [{ report: { version: 2 } }] : undefined));
+    assert.deepEqual(await getExecutionReportById(EXECUTION_ID), { version: 2 });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { bulkInsert } from '../src/db/bulkWriter.js';
+
+/**
+ * Cliente que registra las consultas y el contenido enviado por COPY.
+ * Como `pg`, devuelve el stream de COPY sin esperar; cada INSERT devuelve
+ * `rowCount` filas nuevas.
+ */
+function createCopyClient(rowCount) {
+  const client = { statements: [], copied: '' };
+  client.query = (query, values) => {
+    if (typeof query !== 'string') {
+      client.statements.push(query.text);
+      return new Writable({
+        write(chunk, _encoding, callback) {
+          client.copied += chunk.toString();
+          callback();
+        },
+      });
+    }
+    client.statements.push(query);
+    const rows = query.startsWith('INSERT')
+      ? Array.from({ length: rowCount }, (_, id) => ({ inserted: true, id }))
+      : [];
+    return Promise.resolve({ rows, values });
+  };
+  return client;
+}
+
+const COLUMNS = [
+  ['txid', 'VARCHAR(128)'],
+  ['note', 'TEXT'],
+  ['amount', 'NUMERIC(18, 8)'],
+  ['conflicts', 'TEXT[]'],
+];
+
+describe('bulkInsert', () => {
+  it('codifica NULL, comillas y arreglos en el CSV de COPY', async () => {
+    const rows = [
+      ['a', 'dice "hola", y se va', '1.50000000', ['b', 'c']],
+      ['d', '', null, []],
+      ['e', null, '0.00000001', ['con "comillas"', 'barra \\', null]],
+      ['f', 'línea\nnueva', '2', null],
+    ];
+    const client = createCopyClient(rows.length);
+
+    const result = await bulkInsert(
+      client,
+      { table: 'deposits', columns: COLUMNS, rows, returning: 'id' },
+      { copyThreshold: 1 }
+    );
+
+    assert.equal(
+      client.copied,
+      [
+        '"a","dice ""hola"", y se va","1.50000000","{""b"",""c""}"',
+        '"d","",,"{}"',
+        '"e",,"0.00000001","{""con \\""comillas\\"""",""barra \\\\"",NULL}"',
+        '"f","línea\nnueva","2",',
+        '',
+      ].join('\n')
+    );
+    assert.match(client.statements[0], /^CREATE TEMP TABLE deposits_stage \(txid VARCHAR\(128\), note TEXT/);
+    assert.equal(client.statements[1], 'COPY deposits_stage (txid, note, amount, conflicts) FROM STDIN WITH (FORMAT csv)');
+    assert.equal(client.statements[3], 'DROP TABLE deposits_stage');
+    assert.deepEqual(result, {
+      rows: rows.map((_, id) => ({ id })),
+      inserted: rows.length,
+      updated: 0,
+      skipped: 0,
+    });
+  });
+
+  it('usa un INSERT parametrizado para lotes chicos', async () => {
+    const client = createCopyClient(1);
+    await bulkInsert(client, { table: 'deposits', columns: COLUMNS, rows: [['a', null, '1', ['b']]] });
+
+    assert.equal(client.copied, '');
+    assert.match(client.statements[0], /VALUES \(\$1::VARCHAR\(128\), \$2::TEXT, \$3::NUMERIC\(18, 8\), \$4::TEXT\[\]\)/);
+  });
+
+  it('cuenta como omitidas las filas que ON CONFLICT descartó', async () => {
+    const client = createCopyClient(1);
+    const result = await bulkInsert(client, {
+      table: 'deposits',
+      columns: COLUMNS,
+      rows: [['a'], ['b']],
+      onConflict: 'ON CONFLICT DO NOTHING',
+    });
+    assert.equal(result.skipped, 1);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { committedQueries, queries, failTransactions, respondWith, resetDb } from './support/fakeDb.js';
+
+// Un reintento con espera corta, antes de que se lea la configuración
+process.env.MAX_DELIVERY_RETRIES = '1';
+process.env.RETRY_BASE_DELAY_MS = '5';
+const { startConsumer } = await import('../src/services/consumer.js');
+const { createMemoryTransport } = await import('../src/transport/memoryTransport.js');
+const { RETRY_COUNT_HEADER, ERROR_HEADER, ERROR_NAME_HEADER } = await import('../src/transport/retryPolicy.js');
+
+const EXECUTION_ID = '5b0f3a52-8a4e-4c1f-9d0a-3f6f2b7c1e01';
+const UNKNOWN_EXECUTION_ID = '0c7e9d14-2b3a-4f5e-8c6d-7a8b9c0d1e2f';
+const ADDRESS = 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ';
+
+function receive(txid, overrides = {}) {
+  return {
+    executionId: EXECUTION_ID,
+    tx: { txid, vout: 0, address: ADDRESS, amount: 1.5, confirmations: 7, category: 'receive', ...overrides },
+  };
+}
+
+/** Solo `EXECUTION_ID` está registrada. */
+function knownExecutions(text, params) {
+  if (!text.includes('FROM executions')) return undefined;
+  return params[0].filter((id) => id === EXECUTION_ID).map((id) => ({ id }));
+}
+
+function statementsInto(table) {
+  return committedQueries().filter(({ text }) => text.trimStart().startsWith(`INSERT INTO ${table} `));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('startConsumer', () => {
+  let transport;
+  let consumer;
+
+  beforeEach(() => {
+    resetDb();
+    respondWith(knownExecutions);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    transport = createMemoryTransport();
+  });
+
+  afterEach(async () => {
+    await consumer?.stop();
+    await transport.close();
+    mock.restoreAll();
+  });
+
+  it('escribe el lote lleno en una transacción y confirma sus mensajes', async () => {
+    consumer = await startConsumer({ transport, batchSize: 3, flushIntervalMs: 60000 });
+    await transport.publish([receive('a'), receive('b'), receive('c', { address: 'no-es-una-direccion' })]);
+    await transport.waitForIdle();
+
+    const [deposits] = statementsInto('deposits');
+    assert.deepEqual(deposits.params.filter((value) => ['a', 'b', 'c'].includes(value)), ['a', 'b']);
+    const [failed] = statementsInto('failed_transactions');
+    assert.ok(failed.params.includes('INVALID_ADDRESS'));
+    assert.equal(statementsInto('execution_outcomes').length, 1);
+    assert.deepEqual(await transport.deadLetters.list(), []);
+  });
+
+  it('escribe un lote incompleto al vencer el intervalo', async () => {
+    consumer = await startConsumer({ transport, batchSize: 50, flushIntervalMs: 10 });
+    await transport.publish([receive('a')]);
+    await transport.waitForIdle();
+
+    assert.equal(statementsInto('deposits').length, 1);
+  });
+
+  it('reintenta un lote que no se pudo escribir', async () => {
+    failTransactions(1);
+    consumer = await startConsumer({ transport, batchSize: 1, flushIntervalMs: 60000 });
+    await transport.publish([receive('a')]);
+    await transport.waitForIdle();
+
+    assert.equal(statementsInto('deposits').length, 1);
+    assert.deepEqual(await transport.deadLetters.list(), []);
+  });
+
+  it('registra los envíos solo en el libro mayor', async () => {
+    consumer = await startConsumer({ transport, batchSize: 1, flushIntervalMs: 60000 });
+    await transport.publish([receive('a', { category: 'send', amount: -0.5, fee: -0.0001 })]);
+    await transport.waitForIdle();
+
+    assert.equal(statementsInto('deposits').length, 0);
+    const [outcomes] = statementsInto('execution_outcomes');
+    assert.ok(outcomes.params.some((values) => Array.isArray(values) && values.includes('ledger')));
+  });
+
+  it('envía a la DLQ los mensajes que agotaron sus reintentos', async () => {
+    failTransactions(2, new Error('sin conexión'));
+    consumer = await startConsumer({ transport, batchSize: 1, flushIntervalMs: 60000 });
+    await transport.publish([receive('a')]);
+    await transport.waitForIdle();
+
+    assert.equal(committedQueries().length, 0);
+    const [deadLetter] = await transport.deadLetters.list();
+    assert.equal(deadLetter.headers[RETRY_COUNT_HEADER], 1);
+    assert.equal(deadLetter.headers[ERROR_HEADER], 'sin conexión');
+    assert.equal(JSON.parse(deadLetter.content.toString()).tx.txid, 'a');
+  });
+
+  it('envía a la DLQ sin reintentar un mensaje que no es una transacción', async () => {
+    consumer = await startConsumer({ transport, batchSize: 1, flushIntervalMs: 60000 });
+    await transport.publish([{ executionId: EXECUTION_ID, tx: null }]);
+    await transport.waitForIdle();
+
+    assert.equal(queries.length, 0);
+    const [deadLetter] = await transport.deadLetters.list();
+    assert.equal(deadLetter.headers[RETRY_COUNT_HEADER], 0);
+    assert.equal(deadLetter.headers[ERROR_NAME_HEADER], 'TransactionValidationError');
+  });
+
+  it('envía a la DLQ sin reintentar un mensaje con una ejecución inválida', async () => {
+    consumer = await startConsumer({ transport, batchSize: 1, flushIntervalMs: 60000 });
+    await transport.publish([{ ...receive('a'), executionId: 'no-es-un-uuid' }]);
+    await transport.waitForIdle();
+
+    assert.equal(queries.length, 0);
+    const [deadLetter] = await transport.deadLetters.list();
+    assert.equal(deadLetter.headers[RETRY_COUNT_HEADER], 0);
+    assert.equal(deadLetter.headers[ERROR_NAME_HEADER], 'TransactionValidationError');
+  });
+
+  it('aparta a la DLQ los mensajes de una ejecución desconocida y escribe el resto del lote', async () => {
+    consumer = await startConsumer({ transport, batchSize: 2, flushIntervalMs: 60000 });
+    await transport.publish([receive('a'), { ...receive('b'), executionId: UNKNOWN_EXECUTION_ID }]);
+    await transport.waitForIdle();
+
+    const [deposits] = statementsInto('deposits');
+    assert.deepEqual(deposits.params.filter((value) => ['a', 'b'].includes(value)), ['a']);
+    const [deadLetter] = await transport.deadLetters.list();
+    assert.equal(deadLetter.headers[RETRY_COUNT_HEADER], 0);
+    assert.equal(deadLetter.headers[ERROR_HEADER], `Ejecución desconocida: ${UNKNOWN_EXECUTION_ID}`);
+    assert.equal(JSON.parse(deadLetter.content.toString()).tx.txid, 'b');
+  });
+
+  it('stop escribe lo acumulado antes de terminar', async () => {
+    consumer = await startConsumer({ transport, batchSize: 50, flushIntervalMs: 60000 });
+    await transport.publish([receive('a'), receive('b')]);
+    await sleep(20);
+    assert.equal(queries.length, 0);
+
+    await consumer.stop();
+    consumer = null;
+    await transport.waitForIdle();
+
+    assert.equal(statementsInto('deposits').length, 1);
+  });
+});
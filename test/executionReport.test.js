@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReport, diffReports } from '../src/services/executionReport.js';
+
+const totals = (count, sum, pending = { count: 0, sum: 0n }) => ({ count, sum, pending });
+
+function report({ kirk = totals(2, 300000000n), held = { count: 0, sum: 0n }, failures = [], balances = [] } = {}) {
+  return createReport({
+    executionId: null,
+    policy: { version: '3' },
+    aggregate: {
+      stats: {
+        known: { 'James T. Kirk': kirk, 'Wesley Crusher': totals(0, 0n) },
+        unknown: totals(1, 50000000n),
+        held,
+      },
+      smallest: 50000000n,
+      largest: 200000000n,
+    },
+    failuresByReason: failures,
+    balances,
+  });
+}
+
+describe('diffReports', () => {
+  it('no informa cambios entre reportes con las mismas cifras', () => {
+    assert.deepEqual(diffReports(report(), report()), []);
+  });
+
+  it('informa las filas cuyo conteo o monto cambió', () => {
+    const after = report({ kirk: totals(2, 300000000n, { count: 1, sum: 10000000n }), held: { count: 1, sum: 1n } });
+
+    assert.deepEqual(diffReports(report(), after), [
+      {
+        section: 'deposits',
+        subject: 'James T. Kirk',
+        metric: 'pending',
+        before: { count: 0, amount: '0.00000000' },
+        after: { count: 1, amount: '0.10000000' },
+      },
+      {
+        section: 'held',
+        subject: null,
+        metric: 'held',
+        before: { count: 0, amount: '0.00000000' },
+        after: { count: 1, amount: '0.00000001' },
+      },
+    ]);
+  });
+
+  it('informa las filas que aparecen y las que desaparecen', () => {
+    const before = report({
+      failures: [{ reason_code: 'INVALID_ADDRESS', rule: 'address.encoding', count: 2, sum: '3.5' }],
+    });
+    const after = report({
+      balances: [{ customer: null, credits: '1', debits: '0', net: '1', pending: '0', immature: '0' }],
+    });
+
+    const changes = diffReports(before, after);
+
+    assert.deepEqual(changes[0], {
+      section: 'failures',
+      subject: 'INVALID_ADDRESS',
+      metric: 'address.encoding',
+      before: { count: 2, amount: '3.50000000' },
+      after: null,
+    });
+    assert.deepEqual(
+      changes.slice(1).map(({ section, metric, before: previous, after: current }) => [section, metric, previous, current]),
+      [
+        ['balances', 'credits', null, { count: null, amount: '1.00000000' }],
+        ['balances', 'debits', null, { count: null, amount: '0.00000000' }],
+        ['balances', 'net', null, { count: null, amount: '1.00000000' }],
+        ['balances', 'pending', null, { count: null, amount: '0.00000000' }],
+        ['balances', 'immature', null, { count: null, amount: '0.00000000' }],
+      ]
+    );
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTransactionsJson } from '../src/utils/fileReader.js';
+
+describe('parseTransactionsJson', () => {
+  it('conserva amount y fee como el literal original a cualquier profundidad', () => {
+    const text = '{"amount": 36.9759613, "details": [{"fee":-0.00000001, "amount" : 1e-8}], "vout": 2}';
+
+    assert.deepEqual(parseTransactionsJson(text), {
+      amount: '36.9759613',
+      details: [{ fee: '-0.00000001', amount: '1e-8' }],
+      vout: 2,
+    });
+  });
+
+  it('no altera cadenas que contienen una clave de monto', () => {
+    const text = '{"label": "\\"amount\\": 1.5", "amount": "2.5", "fee": null}';
+
+    assert.deepEqual(parseTransactionsJson(text), { label: '"amount": 1.5', amount: '2.5', fee: null });
+  });
+
+  it('interpreta el resto de los valores como JSON.parse', () => {
+    const text = ' {"a": [true, false, null, -0.5, 12, "\\u00e9\\n"], "b": {}, "c": [], "__proto__": 1} ';
+
+    assert.deepEqual(parseTransactionsJson(text), JSON.parse(text));
+  });
+
+  it('rechaza JSON inválido con un SyntaxError', () => {
+    for (const text of ['', '{"amount": 01}', '{"a": 1,}', '[1 2]', '{"a": 1} x', '{"a": tru}', '"\t"']) {
+      assert.throws(() => parseTransactionsJson(text), SyntaxError, text);
+    }
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { queries, respondWith, resetDb } from './support/fakeDb.js';
+import { createInboxSource } from '../src/sources/inboxSource.js';
+import { logger } from '../src/utils/logger.js';
+
+const EXECUTION_ID = '0c7e4d7a-3b1f-4e55-9a1d-2f8b6c0e9d11';
+const CONTENT = '{"txid":"a","vout":0}\n{"txid":"b","vout":0}\n';
+
+async function readAll(source) {
+  const units = [];
+  for await (const unit of source.read({ executionId: EXECUTION_ID })) units.push(unit);
+  return units;
+}
+
+function recorded(status) {
+  return queries
+    .filter(({ text }) => text.includes('INSERT INTO ingested_files'))
+    .filter(({ params }) => params[2] === status)
+    .map(({ params: [, filename] }) => filename);
+}
+
+describe('createInboxSource', () => {
+  let dir;
+
+  beforeEach(async () => {
+    resetDb();
+    mock.method(logger, 'warn', () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-'));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('entrega cada archivo nuevo y lo mueve a processed/ al confirmar', async () => {
+    await fs.writeFile(path.join(dir, 'a.jsonl'), CONTENT);
+    const source = createInboxSource({ dir });
+
+    const units = await readAll(source);
+    await source.commit({ executionId: EXECUTION_ID });
+
+    assert.deepEqual(units.map(({ origin, count }) => [origin, count]), [['a.jsonl', 2]]);
+    assert.deepEqual(recorded('processed'), ['a.jsonl']);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'processed')), ['a.jsonl']);
+    assert.equal(await source.hasPending(), false);
+  });
+
+  it('rechaza un archivo con el mismo contenido que otro de la misma lectura', async () => {
+    await fs.writeFile(path.join(dir, 'a.jsonl'), CONTENT);
+    await fs.writeFile(path.join(dir, 'b.jsonl'), CONTENT);
+    const source = createInboxSource({ dir });
+
+    const units = await readAll(source);
+    await source.commit({ executionId: EXECUTION_ID });
+
+    assert.deepEqual(units.map(({ origin }) => origin), ['a.jsonl']);
+    assert.deepEqual(recorded('processed'), ['a.jsonl']);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'rejected')), ['b.jsonl']);
+  });
+
+  it('rechaza un archivo ya ingerido en otra ejecución', async () => {
+    respondWith((text) =>
+      text.includes('FROM ingested_files') ? [{ filename: 'viejo.jsonl', status: 'processed' }] : undefined
+    );
+    await fs.writeFile(path.join(dir, 'a.jsonl'), CONTENT);
+
+    assert.deepEqual(await readAll(createInboxSource({ dir })), []);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'rejected')), ['a.jsonl']);
+  });
+
+  it('registra y aparta los archivos inválidos', async () => {
+    await fs.writeFile(path.join(dir, 'a.jsonl'), '{"txid":"a"}\nno es json\n');
+
+    assert.deepEqual(await readAll(createInboxSource({ dir })), []);
+    assert.deepEqual(recorded('rejected'), ['a.jsonl']);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'rejected')), ['a.jsonl']);
+  });
+});
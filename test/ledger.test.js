@@ -0,0 +1,71 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { respondWith, resetDb } from './support/fakeDb.js';
+import { ledgerEntriesFor, ENTRY_TYPE, ENTRY_STATUS } from '../src/services/ledger.js';
+import { simulateIngest } from '../src/services/dryRun.js';
+
+const ADDRESS = 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ';
+
+function tx(overrides) {
+  return { txid: 't', vout: 0, address: ADDRESS, confirmations: 10, blockhash: 'h', blocktime: 1, ...overrides };
+}
+
+function memorySource(transactions) {
+  return {
+    name: 'memory',
+    async *read() {
+      yield { origin: 'a.json', checksum: 'sha-a', count: transactions.length, transactions: () => transactions };
+    },
+  };
+}
+
+describe('ledgerEntriesFor', () => {
+  it('debita el envío y la comisión en valor absoluto', () => {
+    const entries = ledgerEntriesFor(tx({ category: 'send', amount: '-0.5', fee: '-0.0001' }));
+
+    assert.deepEqual(
+      entries.map(({ entryType, direction, amount, status }) => [entryType, direction, amount, status]),
+      [
+        [ENTRY_TYPE.SEND, 'debit', '0.50000000', ENTRY_STATUS.POSTED],
+        [ENTRY_TYPE.FEE, 'debit', '0.00010000', ENTRY_STATUS.POSTED],
+      ]
+    );
+  });
+
+  it('omite una comisión nula', () => {
+    assert.equal(ledgerEntriesFor(tx({ category: 'send', amount: '-0.5', fee: '0' })).length, 1);
+  });
+
+  it('acredita los coinbase según su madurez', () => {
+    const [generated] = ledgerEntriesFor(tx({ category: 'generate', amount: '6.25' }));
+    const [immature] = ledgerEntriesFor(tx({ category: 'immature', amount: '6.25' }));
+
+    assert.deepEqual([generated.direction, generated.status], ['credit', ENTRY_STATUS.POSTED]);
+    assert.deepEqual([immature.direction, immature.status], ['credit', ENTRY_STATUS.IMMATURE]);
+  });
+});
+
+describe('totales del libro mayor', () => {
+  beforeEach(() => {
+    resetDb();
+    respondWith((text) => {
+      if (text.includes('FROM customers')) return [{ id: 1, name: 'Kirk', deactivated_at: null }];
+      if (text.includes('FROM addresses')) return [{ address: ADDRESS, customer: 'Kirk' }];
+      return undefined;
+    });
+  });
+
+  it('un envío a la dirección de un cliente no se le debita: queda en la fila sin cliente', async () => {
+    const { report } = await simulateIngest({
+      source: memorySource([
+        tx({ txid: 'in', category: 'receive', amount: '2' }),
+        tx({ txid: 'out', category: 'send', amount: '-0.5', fee: '-0.0001' }),
+      ]),
+    });
+
+    assert.deepEqual(report.balances, [
+      { customer: 'Kirk', credits: '2.00000000', debits: '0.00000000', net: '2.00000000', pending: '0.00000000', immature: '0.00000000' },
+      { customer: null, credits: '0.00000000', debits: '0.50010000', net: '-0.50010000', pending: '0.00000000', immature: '0.00000000' },
+    ]);
+  });
+});
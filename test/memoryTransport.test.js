@@ -0,0 +1,107 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Reintentos cortos, antes de que se lea la configuración
+process.env.MAX_DELIVERY_RETRIES = '2';
+process.env.RETRY_BASE_DELAY_MS = '5';
+const { createMemoryTransport } = await import('../src/transport/memoryTransport.js');
+const { RETRY_COUNT_HEADER, ERROR_HEADER, PUBLISHED_AT_HEADER } = await import('../src/transport/retryPolicy.js');
+
+const decode = (message) => JSON.parse(message.content.toString());
+
+describe('createMemoryTransport', () => {
+  let transport;
+
+  afterEach(async () => {
+    await transport.close();
+  });
+
+  it('entrega en orden lo publicado y queda inactivo al confirmarlo', async () => {
+    transport = createMemoryTransport();
+    const received = [];
+    await transport.consume((message) => {
+      received.push(decode(message));
+      assert.ok(message.headers[PUBLISHED_AT_HEADER] > 0);
+      assert.equal(message.ack(), true);
+    });
+
+    assert.deepEqual(await transport.publish([{ n: 1 }, { n: 2 }]), { published: 2, confirmed: 2 });
+    await transport.waitForIdle();
+
+    assert.deepEqual(received, [{ n: 1 }, { n: 2 }]);
+    assert.equal(await transport.queueDepth(), 0);
+  });
+
+  it('no entrega más mensajes sin confirmar que el prefetch', async () => {
+    transport = createMemoryTransport({ prefetch: 2 });
+    const pending = [];
+    await transport.consume((message) => pending.push(message));
+    await transport.publish([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(pending.length, 2);
+    assert.equal(await transport.queueDepth(), 1);
+
+    pending.shift().ack();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(pending.map(decode), [{ n: 2 }, { n: 3 }]);
+    const [second, third] = pending;
+    second.ack();
+    assert.throws(() => second.ack(), /ya confirmado/);
+    third.ack();
+    await transport.waitForIdle();
+  });
+
+  it('reintenta con espera y envía a la DLQ al agotar los reintentos', async () => {
+    transport = createMemoryTransport();
+    const attempts = [];
+    await transport.consume(async (message) => {
+      attempts.push(message.headers[RETRY_COUNT_HEADER] ?? 0);
+      await message.retryOrDeadLetter(new Error('falla'));
+    });
+    await transport.publish([{ n: 1 }]);
+    await transport.waitForIdle();
+
+    assert.deepEqual(attempts, [0, 1, 2]);
+    const [deadLetter] = await transport.deadLetters.list();
+    assert.equal(deadLetter.headers[RETRY_COUNT_HEADER], 2);
+    assert.equal(deadLetter.headers[ERROR_HEADER], 'falla');
+  });
+
+  it('un error no reintentable va directo a la DLQ', async () => {
+    transport = createMemoryTransport();
+    const destinations = [];
+    await transport.consume(async (message) => {
+      destinations.push(await message.retryOrDeadLetter(new SyntaxError('malformado'), { retryable: false }));
+    });
+    await transport.publish([{ n: 1 }]);
+    await transport.waitForIdle();
+
+    assert.deepEqual(destinations, ['dead-letter']);
+  });
+
+  it('reinyecta la DLQ sin las cabeceras del fallo', async () => {
+    transport = createMemoryTransport();
+    let fail = true;
+    const received = [];
+    await transport.consume(async (message) => {
+      if (fail) {
+        await message.retryOrDeadLetter(new Error('falla'), { retryable: false });
+        return;
+      }
+      received.push(message.headers);
+      message.ack();
+    });
+    await transport.publish([{ n: 1 }]);
+    await transport.waitForIdle();
+
+    fail = false;
+    assert.equal(await transport.deadLetters.replay(), 1);
+    await transport.waitForIdle();
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0][ERROR_HEADER], undefined);
+    assert.equal(received[0][RETRY_COUNT_HEADER], undefined);
+    assert.deepEqual(await transport.deadLetters.list(), []);
+  });
+});
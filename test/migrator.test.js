@@ -0,0 +1,154 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { queries, respondWith, resetDb } from './support/fakeDb.js';
+import {
+  loadMigrations,
+  parseVersion,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  MIGRATION_STATE,
+} from '../src/db/migrator.js';
+import { AppError } from '../src/utils/errors.js';
+import { sha256 } from '../src/utils/fileReader.js';
+
+/**
+ * Responde como una base con `schema_migrations` y las migraciones dadas
+ * (`{ version, name, checksum, down_checksum }`) aplicadas.
+ */
+function appliedMigrations(records) {
+  respondWith((text) => {
+    if (text.includes('to_regclass')) return [{ exists: true }];
+    if (text.includes('FROM schema_migrations')) {
+      return records.map((record) => ({ down_checksum: null, applied_at: new Date(0), ...record }));
+    }
+    return undefined;
+  });
+}
+
+function executed(pattern) {
+  return queries.filter(({ text }) => pattern.test(text));
+}
+
+describe('loadMigrations', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('ordena por versión y asocia cada bajada con su subida', async () => {
+    await fs.writeFile(path.join(dir, '0002_b.sql'), 'SELECT 2;');
+    await fs.writeFile(path.join(dir, '0001_a.sql'), 'SELECT 1;');
+    await fs.writeFile(path.join(dir, '0001_a.down.sql'), 'SELECT -1;');
+    await fs.writeFile(path.join(dir, 'notas.txt'), 'se ignora');
+
+    const migrations = await loadMigrations(dir);
+
+    assert.deepEqual(
+      migrations.map(({ version, name, checksum, down, downChecksum }) => ({ version, name, checksum, down, downChecksum })),
+      [
+        { version: '0001', name: 'a', checksum: sha256('SELECT 1;'), down: 'SELECT -1;', downChecksum: sha256('SELECT -1;') },
+        { version: '0002', name: 'b', checksum: sha256('SELECT 2;'), down: null, downChecksum: null },
+      ]
+    );
+  });
+
+  it('rechaza dos migraciones con la misma versión', async () => {
+    await fs.writeFile(path.join(dir, '0002_c.sql'), 'SELECT 3;');
+
+    await assert.rejects(loadMigrations(dir), /dos migraciones con la versión 0002/);
+  });
+});
+
+describe('parseVersion', () => {
+  it('completa la versión a cuatro dígitos y rechaza lo que no es un número', () => {
+    assert.equal(parseVersion(5), '0005');
+    assert.equal(parseVersion('0018'), '0018');
+    assert.throws(() => parseVersion('5a'), AppError);
+    assert.throws(() => parseVersion('12345'), AppError);
+  });
+});
+
+describe('migraciones sobre la base', () => {
+  let migrations;
+
+  before(async () => {
+    migrations = await loadMigrations();
+  });
+
+  beforeEach(() => {
+    resetDb();
+  });
+
+  const record = ({ version, name, checksum, downChecksum }) => ({
+    version,
+    name,
+    checksum,
+    down_checksum: downChecksum,
+  });
+
+  it('las migraciones del repositorio tienen bajada', () => {
+    assert.deepEqual(migrations.filter(({ down }) => down === null).map(({ file }) => file), []);
+  });
+
+  it('status distingue aplicadas, modificadas, pendientes y faltantes', async () => {
+    const [first, second] = migrations;
+    appliedMigrations([
+      record(first),
+      { ...record(second), checksum: 'otro' },
+      { version: '9999', name: 'borrada', checksum: 'x' },
+    ]);
+
+    const rows = await migrationStatus();
+
+    assert.deepEqual(rows.slice(0, 3).map(({ state }) => state), [
+      MIGRATION_STATE.APPLIED,
+      MIGRATION_STATE.MODIFIED,
+      MIGRATION_STATE.PENDING,
+    ]);
+    assert.deepEqual(rows.at(-1), {
+      version: '9999',
+      file: '9999_borrada.sql',
+      state: MIGRATION_STATE.MISSING,
+      appliedAt: new Date(0),
+    });
+  });
+
+  it('up aplica cada pendiente en su transacción y la registra', async () => {
+    appliedMigrations(migrations.slice(0, -2).map(record));
+
+    const files = await migrateUp();
+
+    assert.deepEqual(files, migrations.slice(-2).map(({ file }) => file));
+    assert.equal(executed(/^BEGIN$/).length, 2);
+    assert.equal(executed(/^COMMIT$/).length, 2);
+    const inserts = executed(/INSERT INTO schema_migrations/);
+    assert.deepEqual(inserts.map(({ params: [version] }) => version), migrations.slice(-2).map(({ version }) => version));
+    assert.equal(executed(/pg_advisory_unlock/).length, 1);
+  });
+
+  it('up se niega a continuar si una migración aplicada cambió', async () => {
+    appliedMigrations([{ ...record(migrations[0]), checksum: 'otro' }]);
+
+    await assert.rejects(migrateUp(), /fue modificada después de aplicarse/);
+    assert.equal(executed(/^BEGIN$/).length, 0);
+  });
+
+  it('down revierte por defecto solo la última', async () => {
+    appliedMigrations(migrations.map(record));
+
+    const files = await migrateDown();
+
+    assert.deepEqual(files, [migrations.at(-1).file]);
+    const [deleted] = executed(/DELETE FROM schema_migrations/);
+    assert.deepEqual(deleted.params, [migrations.at(-1).version]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { committedQueries, respondWith, resetDb } from './support/fakeDb.js';
+import { processTransactions } from '../src/services/transactionProcessor.js';
+import { startConsumer } from '../src/services/consumer.js';
+import { createMemoryTransport } from '../src/transport/memoryTransport.js';
+
+const EXECUTION_ID = '9d2c6a10-4f1b-4b7e-8a57-0c3e5d1f2a90';
+
+function memorySource(origin, transactions) {
+  return {
+    name: 'memory',
+    completeListing: false,
+    async *read() {
+      yield { origin, checksum: `sha-${origin}`, count: transactions.length, transactions: () => transactions };
+    },
+    async commit() {},
+  };
+}
+
+describe('pipeline en proceso', () => {
+  beforeEach(() => {
+    resetDb();
+    respondWith((text) => (text.includes('FROM executions') ? [{ id: EXECUTION_ID }] : undefined));
+    mock.method(console, 'log', () => {});
+  });
+
+  it('el consumidor escribe todo lo que publica processTransactions sobre el transporte en memoria', async () => {
+    const transport = createMemoryTransport();
+    const consumer = await startConsumer({ transport, batchSize: 50, flushIntervalMs: 10 });
+    const transactions = Array.from({ length: 60 }, (_, index) => ({
+      txid: `a${index}`,
+      vout: 0,
+      address: 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ',
+      amount: '0.5',
+      confirmations: 10,
+      category: 'receive',
+    }));
+
+    await processTransactions(EXECUTION_ID, { transport, source: memorySource('a.json', transactions) });
+    await transport.waitForIdle();
+    await consumer.stop();
+    await transport.close();
+
+    const writes = committedQueries().filter(({ text }) => text.trimStart().startsWith('INSERT INTO deposits '));
+    const txids = writes.flatMap(({ params }) => params.filter((value) => /^a\d+$/.test(value)));
+    assert.equal(new Set(txids).size, 60);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { respondWith, resetDb } from './support/fakeDb.js';
+import { reconcileExecution } from '../src/services/reconciliation.js';
+import { sha256 } from '../src/utils/fileReader.js';
+import { AppError } from '../src/utils/errors.js';
+
+const EXECUTION_ID = '7e4d1c2b-9a8f-4b6e-8d5c-3a2b1c0d9e8f';
+
+const INPUT = [
+  { txid: 'a', vout: 0, amount: '1.5', confirmations: 7, category: 'receive' },
+  { txid: 'b', vout: 0, amount: '-0.25', confirmations: 9, category: 'send' },
+  { txid: 'c', vout: 0, amount: '2', confirmations: 1, category: 'receive' },
+  { vout: 'x', amount: 'nada' },
+];
+
+const deposit = (txid, amount, confirmations) => ({ txid, vout: 0, amount, confirmations, status: 'credited' });
+
+/**
+ * Base con la ejecución, su archivo completado y lo que persistió el
+ * consumidor en ella.
+ */
+function persisted({ files, deposits = [], ledgerEntries = [], failed = [], config = { TRANSACTION_SOURCE: 'file' } }) {
+  respondWith((text) => {
+    if (text.includes('FROM executions')) return [{ id: EXECUTION_ID, status: 'completed', config }];
+    if (text.includes('FROM execution_files')) return files;
+    if (text.includes('FROM deposits d')) return deposits;
+    if (text.includes('FROM ledger_entries l')) return ledgerEntries;
+    if (text.includes('FROM failed_transactions')) return failed;
+    return undefined;
+  });
+}
+
+describe('reconcileExecution', () => {
+  let dir;
+  let file;
+  let checksum;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reconciliation-'));
+    file = path.join(dir, 'wallet.ndjson');
+    const content = INPUT.map((tx) => JSON.stringify(tx)).join('\n');
+    await fs.writeFile(file, content);
+    checksum = crypto.createHash('sha256').update(content).digest('hex');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    resetDb();
+  });
+
+  const invalidFailure = () => ({
+    id: 2, txid: null, vout: null, amount: null, confirmations: null, reason_code: 'INVALID_FORMAT',
+    fingerprint: sha256(JSON.stringify(INPUT[3])),
+  });
+
+  it('concilia cuando cada transacción terminó en un único destino', async () => {
+    persisted({
+      files: [{ origin: file, checksum }],
+      deposits: [deposit('a', '1.50000000', 7)],
+      ledgerEntries: [{ ...deposit('b', '0.25000000', 9), entry_type: 'send', status: 'posted' }],
+      failed: [
+        { id: 1, txid: 'c', vout: 0, amount: '2', confirmations: 1, reason_code: 'INSUFFICIENT_CONFIRMATIONS' },
+        invalidFailure(),
+      ],
+    });
+
+    const report = await reconcileExecution(EXECUTION_ID);
+
+    assert.equal(report.reconciled, true);
+    assert.equal(report.checked, 4);
+    assert.deepEqual(report.files, [{ origin: file, checksum, transactions: 4 }]);
+  });
+
+  it('informa faltantes, duplicadas, diferencias e inesperadas', async () => {
+    persisted({
+      files: [{ origin: file, checksum }],
+      deposits: [deposit('a', '1.40000000', 6), deposit('c', '2.00000000', 1)],
+      failed: [
+        { id: 1, txid: 'c', vout: 0, amount: '2', confirmations: 1, reason_code: 'INSUFFICIENT_CONFIRMATIONS' },
+        { id: 3, txid: 'z', vout: 0, amount: '1', confirmations: 1, reason_code: 'INVALID_ADDRESS' },
+      ],
+    });
+
+    const report = await reconcileExecution(EXECUTION_ID);
+
+    assert.equal(report.reconciled, false);
+    assert.deepEqual(report.missing.map(({ key }) => key), ['b:0', null]);
+    assert.deepEqual(report.duplicated.map(({ key }) => key), ['c:0']);
+    assert.deepEqual(report.mismatched.map(({ key, detail }) => [key, detail]), [
+      ['a:0', 'monto 1.40000000, entrada 1.50000000'],
+      ['a:0', 'confirmaciones 6, entrada 7'],
+    ]);
+    assert.deepEqual(report.unexpected.map(({ id }) => id), [3]);
+  });
+
+  it('no puede releer un archivo que cambió ni una fuente rpc', async () => {
+    persisted({ files: [{ origin: file, checksum: 'otro' }] });
+    assert.deepEqual((await reconcileExecution(EXECUTION_ID)).unreadable, [
+      { origin: file, reason: 'el contenido cambió desde la ejecución' },
+    ]);
+
+    persisted({ files: [{ origin: 'rpc', checksum }], config: { TRANSACTION_SOURCE: 'rpc' } });
+    assert.deepEqual((await reconcileExecution(EXECUTION_ID)).unreadable, [
+      { origin: 'rpc', reason: 'la fuente rpc no puede volver a leerse' },
+    ]);
+  });
+
+  it('falla si la ejecución no existe', async () => {
+    await assert.rejects(reconcileExecution(EXECUTION_ID), AppError);
+  });
+});
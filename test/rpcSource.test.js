@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, respondWith, resetDb } from './support/fakeDb.js';
+import { createRpcSource } from '../src/sources/rpcSource.js';
+import { logger } from '../src/utils/logger.js';
+import { AppError, ConnectionError } from '../src/utils/errors.js';
+
+const LISTSINCEBLOCK = `{"result": {
+  "transactions": [{"txid": "a", "vout": 0, "amount": 0.30000001, "fee": -0.0000141, "category": "receive"}],
+  "lastblock": "00ff"
+}, "error": null, "id": 1}`;
+
+function source(options = {}) {
+  return createRpcSource({
+    url: 'http://nodo:18332/',
+    user: 'rpc',
+    password: 'secreto',
+    wallet: 'depósitos',
+    targetConfirmations: 6,
+    retries: 2,
+    retryDelayMs: 1,
+    ...options,
+  });
+}
+
+async function readAll(rpc) {
+  const units = [];
+  for await (const unit of rpc.read({})) units.push({ ...unit, transactions: await unit.transactions() });
+  return units;
+}
+
+/** Responde a cada llamada con la siguiente respuesta de la lista. */
+function replies(...responses) {
+  return mock.method(globalThis, 'fetch', async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return new Response(next.body, { status: next.status ?? 200 });
+  });
+}
+
+describe('createRpcSource', () => {
+  beforeEach(() => {
+    resetDb();
+    mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lista desde el inicio sin cursor, con montos exactos, y guarda el cursor al confirmar', async () => {
+    const fetch = replies({ body: LISTSINCEBLOCK });
+    const rpc = source();
+
+    const [unit] = await readAll(rpc);
+
+    const [url, { headers, body }] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'http://nodo:18332/wallet/dep%C3%B3sitos');
+    assert.equal(headers.Authorization, `Basic ${Buffer.from('rpc:secreto').toString('base64')}`);
+    assert.deepEqual(JSON.parse(body).params, ['', 6, true]);
+    assert.equal(unit.origin, 'listsinceblock:genesis');
+    assert.deepEqual(unit.transactions, [
+      { txid: 'a', vout: 0, amount: '0.30000001', fee: '-0.0000141', category: 'receive' },
+    ]);
+
+    await rpc.commit();
+    const saved = queries.find(({ text }) => text.includes('INSERT INTO source_cursors'));
+    assert.deepEqual(saved.params, ['bitcoind:listsinceblock', '00ff']);
+  });
+
+  it('continúa desde el cursor guardado', async () => {
+    respondWith((text) => (text.includes('FROM source_cursors') ? [{ last_block: '00aa' }] : undefined));
+    const fetch = replies({ body: LISTSINCEBLOCK });
+
+    const [unit] = await readAll(source());
+
+    assert.deepEqual(JSON.parse(fetch.mock.calls[0].arguments[1].body).params, ['00aa', 6, true]);
+    assert.equal(unit.origin, 'listsinceblock:00aa');
+  });
+
+  it('reintenta fallos de red y respuestas 5xx sin error RPC', async () => {
+    const fetch = replies(new Error('ECONNRESET'), { status: 503, body: 'no disponible' }, { body: LISTSINCEBLOCK });
+
+    const [unit] = await readAll(source());
+
+    assert.equal(fetch.mock.callCount(), 3);
+    assert.equal(unit.transactions.length, 1);
+  });
+
+  it('deja de reintentar al agotar los reintentos', async () => {
+    const fetch = replies(new Error('ECONNRESET'), new Error('ECONNRESET'), new Error('ECONNRESET'));
+
+    await assert.rejects(readAll(source()), ConnectionError);
+    assert.equal(fetch.mock.callCount(), 3);
+  });
+
+  it('no reintenta credenciales rechazadas ni errores RPC', async () => {
+    replies({ status: 401, body: '' });
+    await assert.rejects(readAll(source()), (error) => error instanceof AppError && error.statusCode === 401);
+
+    const rpcError = { code: -18, message: 'Requested wallet does not exist' };
+    const fetch = replies({ status: 500, body: JSON.stringify({ result: null, error: rpcError }) });
+    await assert.rejects(readAll(source()), /Error RPC -18 en listsinceblock/);
+    assert.equal(fetch.mock.callCount(), 1);
+  });
+
+  it('rechaza un resultado sin arreglo de transacciones sin mover el cursor', async () => {
+    const rpc = source();
+    replies({ body: '{"result": {"lastblock": "00ff"}, "error": null}' });
+
+    await assert.rejects(readAll(rpc), /sin arreglo de transacciones/);
+    await rpc.commit();
+    assert.equal(queries.filter(({ text }) => text.includes('INSERT INTO source_cursors')).length, 0);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSource } from '../src/sources/index.js';
+import { INPUT_FILES } from '../src/config/index.js';
+
+describe('createSource', () => {
+  it('la fuente file con los archivos configurados es el listado completo', () => {
+    assert.equal(createSource('file').completeListing, true);
+    assert.equal(createSource('file', { files: [...INPUT_FILES].reverse() }).completeListing, true);
+    assert.deepEqual(createSource('file').scope, { source: 'file', files: INPUT_FILES });
+  });
+
+  it('la fuente rpc es el listado completo de su propia fuente', () => {
+    const source = createSource('rpc');
+    assert.equal(source.completeListing, true);
+    assert.deepEqual(source.scope, { source: 'rpc' });
+  });
+
+  it('la fuente file con otros archivos no es el listado completo', () => {
+    assert.equal(createSource('file', { files: ['/tmp/otra-exportacion.json'] }).completeListing, false);
+    assert.equal(createSource('file', { files: INPUT_FILES.slice(0, 1) }).completeListing, false);
+  });
+
+  it('la fuente inbox nunca es el listado completo', () => {
+    assert.equal(createSource('inbox').completeListing, false);
+  });
+
+  it('rechaza fuentes desconocidas', () => {
+    assert.throws(() => createSource('ftp'), /desconocida/);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Conexión en memoria que reemplaza `src/db/connection.js` en las pruebas
+ * (ver `hooks.js`). Registra cada consulta y responde con las filas que
+ * devuelva el `responder` configurado; por defecto, ninguna.
+ */
+
+/**
+ * Consultas ejecutadas, en orden: `{ text, params, status }`. `status` es
+ * `autocommit` fuera de una transacción y, dentro, `open`, `committed` o
+ * `rolled back` según cómo terminó.
+ */
+export const queries = [];
+
+let responder = () => undefined;
+let failures = [];
+
+function record(text, params, status) {
+  queries.push({ text, params, status });
+  const rows = responder(text, params) ?? [];
+  return { rows, rowCount: rows.length };
+}
+
+/**
+ * Define las filas de cada consulta: `responder(text, params)` devuelve un
+ * arreglo de filas o `undefined` para no devolver ninguna.
+ */
+export function respondWith(fn) {
+  responder = fn;
+}
+
+/**
+ * Hace fallar las próximas `count` transacciones con `error`.
+ */
+export function failTransactions(count, error = new Error('base de datos no disponible')) {
+  failures = Array.from({ length: count }, () => error);
+}
+
+/** Vuelve al estado inicial: sin consultas, sin filas y sin fallos. */
+export function resetDb() {
+  queries.length = 0;
+  responder = () => undefined;
+  failures = [];
+}
+
+/** Sentencias de las transacciones confirmadas (sin BEGIN ni COMMIT). */
+export function committedQueries() {
+  return queries.filter(({ status }) => status === 'committed');
+}
+
+async function query(text, params) {
+  return record(text, params, 'autocommit');
+}
+
+async function withTransaction(callback) {
+  const statements = [];
+  const client = {
+    async query(text, params) {
+      const result = record(text, params, 'open');
+      statements.push(queries[queries.length - 1]);
+      return result;
+    },
+  };
+
+  const failure = failures.shift();
+  try {
+    if (failure) throw failure;
+    const result = await callback(client);
+    statements.forEach((statement) => (statement.status = 'committed'));
+    return result;
+  } catch (error) {
+    statements.forEach((statement) => (statement.status = 'rolled back'));
+    throw error;
+  }
+}
+
+export default {
+  query,
+  withTransaction,
+  // Una conexión del pool registra sus consultas como `autocommit`
+  pool: { connect: async () => ({ query, release() {} }), end: async () => {} },
+};
@@ -0,0 +1,13 @@
+/**
+ * Hooks de carga de módulos para las pruebas: todo import que resuelva a
+ * `src/db/connection.js` recibe `fakeDb.js` en su lugar.
+ */
+const FAKE_DB_URL = new URL('./fakeDb.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (result.url.endsWith('/src/db/connection.js')) {
+    return { ...result, url: FAKE_DB_URL };
+  }
+  return result;
+}
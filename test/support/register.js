@@ -0,0 +1,7 @@
+/**
+ * Se carga con `--import` antes de cada archivo de pruebas: reemplaza la
+ * conexión a Postgres por la base en memoria de `fakeDb.js`.
+ */
+import { register } from 'module';
+
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDepositUpdate, getDepositStatus, DEPOSIT_STATUS } from '../src/services/transactionHelpers.js';
+
+const BLOCK_A = { blockhash: 'aaaa', blockindex: 3, blocktime: 1627633348873 };
+const BLOCK_B = { blockhash: 'bbbb', blockindex: 9, blocktime: 1627633400000 };
+
+describe('getDepositStatus', () => {
+  it('acredita al alcanzar el mínimo salvo que esté retenido', () => {
+    assert.equal(getDepositStatus({ confirmations: 5 }, 6), DEPOSIT_STATUS.PENDING);
+    assert.equal(getDepositStatus({ confirmations: 6 }, 6), DEPOSIT_STATUS.CREDITED);
+    assert.equal(getDepositStatus({ confirmations: 60, held: true }, 6), DEPOSIT_STATUS.HELD);
+  });
+});
+
+describe('resolveDepositUpdate', () => {
+  it('un depósito nuevo o descartado toma el estado de la observación', () => {
+    assert.deepEqual(resolveDepositUpdate(undefined, { confirmations: 1 }, 6), {
+      status: DEPOSIT_STATUS.PENDING,
+      changed: true,
+    });
+    assert.deepEqual(
+      resolveDepositUpdate({ status: DEPOSIT_STATUS.DROPPED, confirmations: 9 }, { confirmations: 7 }, 6),
+      { status: DEPOSIT_STATUS.CREDITED, changed: true }
+    );
+  });
+
+  it('un pendiente pasa a acreditado al alcanzar el mínimo', () => {
+    const current = { status: DEPOSIT_STATUS.PENDING, confirmations: 2, ...BLOCK_A };
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 4, ...BLOCK_A }, 6), {
+      status: DEPOSIT_STATUS.PENDING,
+      changed: false,
+    });
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 6, ...BLOCK_A }, 6), {
+      status: DEPOSIT_STATUS.CREDITED,
+      changed: true,
+    });
+  });
+
+  it('ignora una observación atrasada del mismo bloque', () => {
+    const current = { status: DEPOSIT_STATUS.PENDING, confirmations: 4, ...BLOCK_A };
+    assert.equal(resolveDepositUpdate(current, { confirmations: 3, ...BLOCK_A }, 6), null);
+  });
+
+  it('un pendiente que cambia de bloque adopta el nuevo', () => {
+    const current = { status: DEPOSIT_STATUS.PENDING, confirmations: 4, ...BLOCK_A };
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 1, ...BLOCK_B }, 6), {
+      status: DEPOSIT_STATUS.PENDING,
+      changed: false,
+    });
+  });
+
+  it('un acreditado nunca vuelve a pendiente', () => {
+    const current = { status: DEPOSIT_STATUS.CREDITED, confirmations: 8, ...BLOCK_A };
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 9, ...BLOCK_A }, 20), {
+      status: DEPOSIT_STATUS.CREDITED,
+      changed: false,
+    });
+  });
+
+  it('marca como reorganizado un acreditado que cambia de bloque o pierde confirmaciones', () => {
+    const current = { status: DEPOSIT_STATUS.CREDITED, confirmations: 8, ...BLOCK_A };
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 2, ...BLOCK_B }, 6), {
+      status: DEPOSIT_STATUS.REORGED,
+      changed: true,
+      reorg: {
+        oldBlock: { ...BLOCK_A, confirmations: 8 },
+        newBlock: { ...BLOCK_B, confirmations: 2 },
+      },
+    });
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 0 }, 6).reorg.newBlock, {
+      blockhash: null,
+      blockindex: null,
+      blocktime: null,
+      confirmations: 0,
+    });
+  });
+
+  it('un retenido sale de la retención cuando la observación ya no lo está', () => {
+    const current = { status: DEPOSIT_STATUS.HELD, confirmations: 3, ...BLOCK_A };
+    assert.equal(resolveDepositUpdate(current, { confirmations: 4, held: true, ...BLOCK_A }, 6).changed, false);
+    assert.deepEqual(resolveDepositUpdate(current, { confirmations: 12, ...BLOCK_A }, 6), {
+      status: DEPOSIT_STATUS.CREDITED,
+      changed: true,
+    });
+  });
+});
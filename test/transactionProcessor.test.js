@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, committedQueries, respondWith, resetDb } from './support/fakeDb.js';
+import { processTransactions } from '../src/services/transactionProcessor.js';
+import { createMemoryTransport } from '../src/transport/memoryTransport.js';
+import { logger } from '../src/utils/logger.js';
+import { AppError } from '../src/utils/errors.js';
+
+const EXECUTION_ID = '9d2c6a10-4f1b-4b7e-8a57-0c3e5d1f2a90';
+const ADDRESS = 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ';
+
+function transactions(prefix, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    txid: `${prefix}${index}`,
+    vout: 0,
+    address: ADDRESS,
+    amount: '0.5',
+    confirmations: 10,
+    category: 'receive',
+  }));
+}
+
+/**
+ * Fuente en memoria con la interfaz de `src/sources`: un lote por archivo,
+ * con checksum `sha-<origen>` salvo que se indique otro. Como listado
+ * completo, su alcance son sus propios archivos.
+ */
+function memorySource(files, { completeListing = false, checksums = {} } = {}) {
+  const commits = [];
+  return {
+    name: 'memory',
+    completeListing,
+    scope: { source: 'memory', files: Object.keys(files) },
+    commits,
+    async *read() {
+      for (const [origin, txs] of Object.entries(files)) {
+        yield {
+          origin,
+          checksum: checksums[origin] ?? `sha-${origin}`,
+          count: txs.length,
+          transactions: () => txs,
+        };
+      }
+    },
+    async commit({ executionId }) {
+      commits.push(executionId);
+    },
+  };
+}
+
+function logMessages() {
+  return queries
+    .filter(({ text }) => text.includes('INSERT INTO execution_logs'))
+    .map(({ params: [, level, message] }) => `${level} ${message}`);
+}
+
+describe('processTransactions', () => {
+  let transport;
+
+  beforeEach(() => {
+    resetDb();
+    mock.method(logger, 'error', () => {});
+    transport = createMemoryTransport();
+  });
+
+  afterEach(async () => {
+    await transport.close();
+    mock.restoreAll();
+  });
+
+  it('publica cada archivo en lotes de 50 y lo registra como completado', async () => {
+    const publish = mock.method(transport, 'publish');
+    const source = memorySource({ 'a.json': transactions('a', 120) });
+
+    const counts = await processTransactions(EXECUTION_ID, { transport, source });
+
+    assert.deepEqual(counts, [{ origin: 'a.json', published: 120, confirmed: 120 }]);
+    assert.deepEqual(publish.mock.calls.map(({ arguments: [batch] }) => batch.length), [50, 50, 20]);
+    assert.equal(await transport.queueDepth(), 120);
+    const [file] = committedQueries().filter(({ text }) => text.includes('INSERT INTO execution_files'));
+    assert.deepEqual(file.params, [EXECUTION_ID, 'a.json', 'sha-a.json', 120, 120, 120]);
+    assert.deepEqual(source.commits, [EXECUTION_ID]);
+  });
+
+  it('omite los archivos ya completados con el mismo checksum', async () => {
+    const source = memorySource(
+      { 'a.json': transactions('a', 2), 'b.json': transactions('b', 3) },
+      { checksums: { 'b.json': 'sha-nuevo' } }
+    );
+    const completedFiles = new Map([['a.json', 'sha-a.json'], ['b.json', 'sha-viejo']]);
+
+    const counts = await processTransactions(EXECUTION_ID, { transport, source, completedFiles });
+
+    assert.deepEqual(counts, [{ origin: 'b.json', published: 3, confirmed: 3 }]);
+    assert.equal(await transport.queueDepth(), 3);
+    const messages = logMessages();
+    assert.ok(messages.includes('INFO Archivo a.json ya completado en esta ejecución; se omite.'));
+    assert.ok(messages.includes('WARN Archivo b.json cambió desde que se completó; se vuelve a procesar.'));
+  });
+
+  it('recalcula los totales de la ejecución desde sus archivos al reprocesar uno', async () => {
+    const source = memorySource({ 'a.json': transactions('a', 2) }, { checksums: { 'a.json': 'sha-nuevo' } });
+    const completedFiles = new Map([['a.json', 'sha-viejo']]);
+
+    await processTransactions(EXECUTION_ID, { transport, source, completedFiles });
+
+    const [file, totals] = committedQueries();
+    assert.match(file.text, /ON CONFLICT \(execution_id, origin\) DO UPDATE SET/);
+    assert.match(file.text, /published_count = EXCLUDED\.published_count/);
+    assert.match(totals.text, /UPDATE executions[\s\S]*FROM execution_files/);
+    assert.deepEqual(totals.params, [EXECUTION_ID]);
+  });
+
+  it('con un listado completo descarta los pendientes de su alcance que no aparecen, incluidos los omitidos', async () => {
+    respondWith((text) => (text.includes('WITH missing') ? [{}, {}] : undefined));
+    const source = memorySource(
+      { 'a.json': transactions('a', 1), 'b.json': transactions('b', 2) },
+      { completeListing: true }
+    );
+    const completedFiles = new Map([['a.json', 'sha-a.json']]);
+
+    await processTransactions(EXECUTION_ID, { transport, source, completedFiles });
+
+    const [drop] = queries.filter(({ text }) => text.includes('WITH missing'));
+    assert.deepEqual(drop.params, [
+      EXECUTION_ID,
+      ['a0', 'b0', 'b1'],
+      [0, 0, 0],
+      'memory',
+      '["a.json","b.json"]',
+    ]);
+    assert.ok(logMessages().includes('INFO Depósitos pendientes descartados por no aparecer en la entrada: 2'));
+  });
+
+  it('sin un listado completo no descarta pendientes', async () => {
+    const source = memorySource({ 'a.json': transactions('a', 1) });
+
+    await processTransactions(EXECUTION_ID, { transport, source });
+
+    assert.equal(queries.filter(({ text }) => text.includes('WITH missing')).length, 0);
+  });
+
+  it('falla sin completar el archivo ni confirmar la fuente si el transporte no confirma todo', async () => {
+    mock.method(transport, 'publish', async (messages) => ({
+      published: messages.length,
+      confirmed: messages.length - 1,
+    }));
+    const source = memorySource({ 'a.json': transactions('a', 3) });
+
+    await assert.rejects(processTransactions(EXECUTION_ID, { transport, source }), AppError);
+
+    assert.ok(logMessages().includes('ERROR Archivo a.json: publicadas=3 confirmadas=2'));
+    assert.equal(queries.filter(({ text }) => text.includes('INSERT INTO execution_files')).length, 0);
+    assert.deepEqual(source.commits, []);
+  });
+});
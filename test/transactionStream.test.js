@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseJsonTransactions,
+  parseNdjsonTransactions,
+  isTransactionsFile,
+  streamTransactionsFile,
+  inspectTransactionsFile,
+} from '../src/utils/transactionStream.js';
+import { FileProcessingError } from '../src/utils/errors.js';
+
+/**
+ * Parte el texto en fragmentos de `size` bytes, como los entregaría un stream.
+ */
+function chunked(text, size) {
+  const buffer = Buffer.from(text);
+  const chunks = [];
+  for (let start = 0; start < buffer.length; start += size) {
+    chunks.push(buffer.subarray(start, start + size));
+  }
+  return chunks;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+// Montos tal como los exporta el wallet: deben llegar como el texto original
+const WALLET_EXPORT = `{
+  "removed": [{"txid": "x", "note": "con } y ] en \\"texto\\""}],
+  "transactions": [
+    {"txid": "a", "vout": 0, "amount": 36.9759613, "label": "llave {"},
+    {"txid": "b", "vout": 1, "amount": -0.00000001, "walletconflicts": ["c"]}
+  ],
+  "lastblock": "ceea46e5"
+}`;
+
+describe('parseJsonTransactions', () => {
+  it('entrega cada transacción aunque los fragmentos corten los registros', async () => {
+    for (const size of [1, 7, 64, WALLET_EXPORT.length]) {
+      const transactions = await collect(parseJsonTransactions(chunked(WALLET_EXPORT, size)));
+      assert.deepEqual(transactions, [
+        { txid: 'a', vout: 0, amount: '36.9759613', label: 'llave {' },
+        { txid: 'b', vout: 1, amount: '-0.00000001', walletconflicts: ['c'] },
+      ]);
+    }
+  });
+
+  it('acepta un arreglo vacío', async () => {
+    assert.deepEqual(await collect(parseJsonTransactions(chunked('{"transactions": [ ]}', 4))), []);
+  });
+
+  it('informa el registro y el byte de un registro malformado', async () => {
+    const text = '{"transactions":[{"txid":"a"},{"txid":}]}';
+    await assert.rejects(collect(parseJsonTransactions(chunked(text, 5))), (error) => {
+      assert.ok(error instanceof FileProcessingError);
+      assert.equal(error.index, 1);
+      assert.equal(error.offset, text.indexOf('{"txid":}'));
+      return true;
+    });
+  });
+
+  it('rechaza documentos sin el arreglo o incompletos', async () => {
+    await assert.rejects(collect(parseJsonTransactions(chunked('{"other": []}', 3))), /Falta el arreglo/);
+    await assert.rejects(collect(parseJsonTransactions(chunked('{"transactions": {}}', 3))), /debe ser un arreglo/);
+    await assert.rejects(collect(parseJsonTransactions(chunked('{"transactions": [{}', 3))), /Fin de archivo/);
+    await assert.rejects(collect(parseJsonTransactions(chunked('[]', 3))), /Se esperaba un objeto/);
+    await assert.rejects(collect(parseJsonTransactions(chunked('{"transactions": []} x', 3))), /después del objeto/);
+  });
+});
+
+describe('parseNdjsonTransactions', () => {
+  it('entrega un registro por línea e ignora las vacías', async () => {
+    const text = '{"txid":"a","amount":0.1}\n\n  \r\n{"txid":"b","amount":2}';
+    for (const size of [1, 5, text.length]) {
+      assert.deepEqual(await collect(parseNdjsonTransactions(chunked(text, size))), [
+        { txid: 'a', amount: '0.1' },
+        { txid: 'b', amount: '2' },
+      ]);
+    }
+  });
+
+  it('informa el registro y el byte de la línea malformada', async () => {
+    const text = '{"txid":"a"}\n\n{"txid":\n';
+    await assert.rejects(collect(parseNdjsonTransactions(chunked(text, 4))), (error) => {
+      assert.ok(error instanceof FileProcessingError);
+      assert.equal(error.index, 1);
+      assert.equal(error.offset, 14);
+      return true;
+    });
+  });
+});
+
+describe('archivos de transacciones', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transactions-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reconoce las extensiones admitidas', () => {
+    assert.equal(isTransactionsFile('a.json'), true);
+    assert.equal(isTransactionsFile('a.NDJSON'), true);
+    assert.equal(isTransactionsFile('a.jsonl'), true);
+    assert.equal(isTransactionsFile('a.csv'), false);
+  });
+
+  it('elige el formato según la extensión', async () => {
+    const json = path.join(dir, 'wallet.json');
+    const ndjson = path.join(dir, 'wallet.jsonl');
+    await fs.writeFile(json, WALLET_EXPORT);
+    await fs.writeFile(ndjson, '{"txid":"a"}\n{"txid":"b"}\n');
+
+    assert.deepEqual((await collect(streamTransactionsFile(json))).map(({ txid }) => txid), ['a', 'b']);
+    assert.deepEqual((await collect(streamTransactionsFile(ndjson))).map(({ txid }) => txid), ['a', 'b']);
+  });
+
+  it('cuenta los registros y calcula el checksum del contenido', async () => {
+    const file = path.join(dir, 'inspect.json');
+    await fs.writeFile(file, WALLET_EXPORT);
+
+    assert.deepEqual(await inspectTransactionsFile(file), {
+      checksum: crypto.createHash('sha256').update(WALLET_EXPORT).digest('hex'),
+      count: 2,
+    });
+  });
+
+  it('adjunta el checksum al error de un archivo inválido', async () => {
+    const file = path.join(dir, 'broken.ndjson');
+    const content = '{"txid":"a"}\nno es json\n';
+    await fs.writeFile(file, content);
+
+    await assert.rejects(inspectTransactionsFile(file), (error) => {
+      assert.equal(error.index, 1);
+      assert.equal(error.checksum, crypto.createHash('sha256').update(content).digest('hex'));
+      return true;
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadPolicy, evaluateTransaction, requiredConfirmations, REASON_CODES } from '../src/services/validationPolicy.js';
+import { AppError } from '../src/utils/errors.js';
+
+const POLICY = {
+  version: 'test-1',
+  requiredFields: ['txid', 'vout', 'address', 'amount', 'confirmations', 'category'],
+  allowedCategories: ['receive', 'send'],
+  amount: { min: '0.001', max: '10' },
+  confirmations: { min: 6, perCustomer: { 'James T. Kirk': 3 } },
+  risk: { clearConfirmations: 12 },
+};
+
+const TX = {
+  txid: 'dd23e0dfcc3df0e086ffc0f3662f3727fff6e10021bf0d396a7eb7c1f87dc284',
+  vout: 5,
+  address: 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKZ',
+  amount: '1.5',
+  confirmations: 7,
+  category: 'receive',
+};
+
+describe('validationPolicy', () => {
+  let dir;
+  let policy;
+
+  async function writePolicy(name, content) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, JSON.stringify(content));
+    return file;
+  }
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-'));
+    policy = loadPolicy(await writePolicy('policy.json', POLICY));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('loadPolicy', () => {
+    it('normaliza los montos a satoshis y las excepciones por cliente', () => {
+      assert.deepEqual(policy.amount, { min: 100000n, max: 1000000000n });
+      assert.equal(requiredConfirmations('James T. Kirk', policy), 3);
+      assert.equal(requiredConfirmations(null, policy), 6);
+      assert.equal(policy.risk.clearConfirmations, 12);
+    });
+
+    it('aplica el mínimo de confirmaciones dado', async () => {
+      const file = await writePolicy('override.json', POLICY);
+      assert.equal(loadPolicy(file, { minConfirmations: 2 }).confirmations.min, 2);
+    });
+
+    it('rechaza políticas inválidas', async () => {
+      const invalid = [
+        { ...POLICY, version: undefined },
+        { ...POLICY, requiredFields: ['txid'] },
+        { ...POLICY, allowedCategories: ['orphan'] },
+        { ...POLICY, amount: { min: 'mucho' } },
+        { ...POLICY, confirmations: { min: -1 } },
+        { ...POLICY, risk: { clearConfirmations: 1.5 } },
+      ];
+      for (const [index, content] of invalid.entries()) {
+        const file = await writePolicy(`invalid-${index}.json`, content);
+        assert.throws(() => loadPolicy(file), AppError);
+      }
+      assert.throws(() => loadPolicy(path.join(dir, 'missing.json')), /No se pudo leer/);
+    });
+  });
+
+  describe('evaluateTransaction', () => {
+    const reject = (tx) => {
+      const result = evaluateTransaction(tx, policy);
+      assert.equal(result.valid, false);
+      return result;
+    };
+
+    it('acepta una transacción que cumple la política', () => {
+      assert.deepEqual(evaluateTransaction(TX, policy), { valid: true });
+    });
+
+    it('informa el campo que falta o tiene formato inválido', () => {
+      assert.deepEqual(reject({ ...TX, category: undefined }), {
+        valid: false,
+        code: REASON_CODES.MISSING_FIELD,
+        rule: 'requiredFields.category',
+        message: 'Falta el campo category',
+      });
+      assert.equal(reject({ ...TX, vout: -1 }).rule, 'format.vout');
+      assert.equal(reject({ ...TX, amount: '0.000000001' }).rule, 'format.amount');
+      assert.equal(reject({ ...TX, 'bip125-replaceable': 'maybe' }).code, REASON_CODES.INVALID_FIELD);
+    });
+
+    it('distingue una dirección inválida de una de otra red', () => {
+      assert.equal(reject({ ...TX, address: 'myAre6hq8uSDAzhmNit1fjkTeajebBzrKz' }).code, REASON_CODES.INVALID_ADDRESS);
+      assert.equal(
+        reject({ ...TX, address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2' }).code,
+        REASON_CODES.ADDRESS_WRONG_NETWORK
+      );
+    });
+
+    it('rechaza categorías no permitidas', () => {
+      assert.equal(reject({ ...TX, category: 'generate' }).code, REASON_CODES.CATEGORY_NOT_ALLOWED);
+    });
+
+    it('aplica los límites al importe en el sentido de la categoría', () => {
+      assert.equal(reject({ ...TX, amount: '0.0001' }).code, REASON_CODES.AMOUNT_BELOW_MIN);
+      assert.equal(reject({ ...TX, amount: '10.00000001' }).code, REASON_CODES.AMOUNT_ABOVE_MAX);
+      assert.equal(reject({ ...TX, amount: '-1' }).code, REASON_CODES.AMOUNT_BELOW_MIN);
+      assert.deepEqual(evaluateTransaction({ ...TX, category: 'send', amount: '-1' }, policy), { valid: true });
+      assert.equal(reject({ ...TX, category: 'send', amount: '1' }).code, REASON_CODES.AMOUNT_BELOW_MIN);
+      assert.deepEqual(evaluateTransaction({ ...TX, amount: '10' }, policy), { valid: true });
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { committedQueries, queries, respondWith, resetDb } from './support/fakeDb.js';
+
+// Dos intentos con espera corta, antes de que se lea la configuración
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1000';
+process.env.WEBHOOK_RETRY_MAX_DELAY_MS = '3000';
+const { sendWebhook, dispatchDueWebhooks, webhookRetryDelay, webhookLeaseMs } = await import(
+  '../src/services/webhookDispatcher.js'
+);
+const {
+  signWebhook,
+  verifyWebhookSignature,
+  generateWebhookSecret,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+} = await import('../src/utils/webhookSignature.js');
+const { logger } = await import('../src/utils/logger.js');
+
+const SECRET = 'whsec_prueba';
+
+function delivery(overrides = {}) {
+  return {
+    id: 1,
+    event_id: '3f1c2b7a-6d5e-4a9b-8c7d-1e2f3a4b5c6d',
+    event_type: 'deposit.credited',
+    endpoint_id: 1,
+    payload: { txid: 'a', amount: '1.50000000' },
+    attempts: 0,
+    created_at: '2026-01-01T00:00:00.000Z',
+    url: 'http://127.0.0.1:1/hook',
+    secret: SECRET,
+    ...overrides,
+  };
+}
+
+/** Estado registrado de cada intento: `[outboxId, status, nextAttemptAt]`. */
+function recordedStatuses() {
+  return committedQueries()
+    .filter(({ text }) => text.includes('UPDATE webhook_outbox SET'))
+    .map(({ params: [outboxId, status, nextAttemptAt] }) => [outboxId, status, nextAttemptAt]);
+}
+
+describe('firma de webhooks', () => {
+  it('verifica una firma propia y rechaza cuerpos, secretos o firmas alterados', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signWebhook(SECRET, timestamp, '{"a":1}');
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifyWebhookSignature(SECRET, String(timestamp), '{"a":1}', signature), true);
+    assert.equal(verifyWebhookSignature(SECRET, timestamp, '{"a":2}', signature), false);
+    assert.equal(verifyWebhookSignature('otro', timestamp, '{"a":1}', signature), false);
+    assert.equal(verifyWebhookSignature(SECRET, timestamp, '{"a":1}', signature.slice(0, -1)), false);
+    assert.equal(verifyWebhookSignature(SECRET, timestamp, '{"a":1}', undefined), false);
+  });
+
+  it('rechaza timestamps fuera de la tolerancia o inválidos', () => {
+    const old = Math.floor(Date.now() / 1000) - 301;
+
+    assert.equal(verifyWebhookSignature(SECRET, old, 'x', signWebhook(SECRET, old, 'x')), false);
+    assert.equal(verifyWebhookSignature(SECRET, old, 'x', signWebhook(SECRET, old, 'x'), 600), true);
+    assert.equal(verifyWebhookSignature(SECRET, 'ayer', 'x', signWebhook(SECRET, 'ayer', 'x')), false);
+  });
+
+  it('genera secretos distintos con prefijo', () => {
+    const secret = generateWebhookSecret();
+
+    assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+    assert.notEqual(secret, generateWebhookSecret());
+  });
+});
+
+describe('sendWebhook', () => {
+  let server;
+  let received;
+  let status;
+
+  beforeEach(async () => {
+    received = [];
+    status = 204;
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => (body += chunk));
+      request.on('end', () => {
+        received.push({ headers: request.headers, body });
+        response.writeHead(status).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const url = () => `http://127.0.0.1:${server.address().port}/hook`;
+
+  it('envía el evento firmado de modo que el receptor puede verificarlo', async () => {
+    const result = await sendWebhook(delivery({ url: url() }));
+
+    assert.equal(result.ok, true);
+    assert.equal(result.statusCode, 204);
+    const [{ headers, body }] = received;
+    assert.equal(headers[EVENT_ID_HEADER], delivery().event_id);
+    assert.equal(verifyWebhookSignature(SECRET, headers[TIMESTAMP_HEADER], body, headers[SIGNATURE_HEADER]), true);
+    assert.deepEqual(JSON.parse(body), {
+      id: delivery().event_id,
+      type: 'deposit.credited',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      data: { txid: 'a', amount: '1.50000000' },
+    });
+  });
+
+  it('informa una respuesta que no es 2xx', async () => {
+    status = 500;
+
+    const result = await sendWebhook(delivery({ url: url() }));
+
+    assert.deepEqual([result.ok, result.statusCode, result.error], [false, 500, 'HTTP 500']);
+  });
+
+  it('informa un error de conexión sin lanzar', async () => {
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    server = http.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const result = await sendWebhook(delivery({ url: `http://127.0.0.1:${port}/hook` }));
+
+    assert.equal(result.ok, false);
+    assert.equal(result.statusCode, null);
+    assert.ok(result.error);
+  });
+});
+
+describe('dispatchDueWebhooks', () => {
+  let claimed;
+
+  beforeEach(() => {
+    resetDb();
+    claimed = [];
+    respondWith((text) => (text.includes('WITH due AS') ? claimed : undefined));
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'warn', () => {});
+    mock.method(logger, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('registra cada entrega como entregada, reintentada o fallida', async () => {
+    claimed = [
+      delivery({ id: 1, url: 'http://receptor/ok' }),
+      delivery({ id: 2, url: 'http://receptor/caido' }),
+      delivery({ id: 3, url: 'http://receptor/caido', attempts: 1 }),
+    ];
+    mock.method(globalThis, 'fetch', async (url) => new Response(null, { status: url.endsWith('/ok') ? 200 : 503 }));
+
+    const before = Date.now();
+    const result = await dispatchDueWebhooks({ batchSize: 3 });
+
+    assert.deepEqual(result, { delivered: 1, retried: 1, failed: 1 });
+    const statuses = recordedStatuses();
+    assert.deepEqual(statuses.map(([id, status]) => [id, status]), [[1, 'delivered'], [2, 'pending'], [3, 'failed']]);
+    const retryAt = statuses[1][2].getTime();
+    assert.ok(retryAt >= before + 1000 && retryAt <= Date.now() + 1000);
+  });
+
+  it('reserva el lote por el peor caso de sus entregas', async () => {
+    await dispatchDueWebhooks({ batchSize: 4 });
+
+    const [claim] = queries;
+    assert.deepEqual(claim.params, [4, webhookLeaseMs(4)]);
+  });
+});
+
+describe('webhookRetryDelay', () => {
+  it('duplica la espera en cada intento hasta el máximo', () => {
+    assert.deepEqual([1, 2, 3].map(webhookRetryDelay), [1000, 2000, 3000]);
+  });
+});